@@ -0,0 +1,68 @@
+/**
+ * Revoke one of the signed-in user's API keys
+ *
+ * DELETE takes effect immediately: the next request with the key gets a 401.
+ * Revoking doesn't need a recent sign-in, so a leaked key can be shut off quickly.
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { rateLimit } from '@/utils/rate-limit';
+import { authOptions } from '@/auth/auth-config';
+import { apiKeys } from '@/auth/api-keys';
+import { z } from 'zod';
+
+// Configure rate limiting
+const limiter = rateLimit({
+  interval: 60 * 1000, // 1 minute
+  uniqueTokenPerInterval: 500,
+});
+
+// Key IDs are the 16 hex characters after `sk_`
+const keyIdSchema = z.string().regex(/^[0-9a-f]{16}$/);
+
+export async function DELETE(request, { params }) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+    
+    try {
+      await limiter.check(20, `api_keys_revoke_${session.user.id}`); // 20 requests per minute
+    } catch {
+      return NextResponse.json(
+        { error: 'Too many requests. Please try again later.' },
+        { status: 429 }
+      );
+    }
+    
+    const id = keyIdSchema.safeParse(params.id);
+    if (!id.success) {
+      return NextResponse.json(
+        { error: 'API key not found' },
+        { status: 404 }
+      );
+    }
+    
+    await apiKeys.revoke(session.user.id, id.data);
+    
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    if (error.status) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status }
+      );
+    }
+    
+    console.error('Error revoking API key:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,139 @@
+/**
+ * API keys for the signed-in user
+ *
+ * GET lists the user's keys (never the secrets). POST { name, scopes,
+ * expiresInDays } creates one for the active organization: it needs a
+ * recent sign-in, scopes must be permissions the user has there, and the
+ * full key is in the response only this once. Revoke a key with
+ * DELETE /api/auth/api-keys/:id.
+ *
+ * Keys can't manage keys: these routes only accept browser sessions.
+ * See auth/api-keys.js for the key format and storage.
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { rateLimit } from '@/utils/rate-limit';
+import { authOptions } from '@/auth/auth-config';
+import { MAX_API_KEY_TTL_DAYS, apiKeys } from '@/auth/api-keys';
+import { policy } from '@/auth/rbac';
+import { RECENT_AUTHENTICATION, requireStepUp } from '@/auth/step-up';
+import { requireOrg } from '@/auth/tenancy';
+import { validateInput } from '@/utils/input-validation';
+import { z } from 'zod';
+
+// Configure rate limiting
+const limiter = rateLimit({
+  interval: 60 * 1000, // 1 minute
+  uniqueTokenPerInterval: 500,
+});
+
+const createKeySchema = z.object({
+  name: z.string().trim().min(1).max(100),
+  scopes: z.array(z.string().min(1).max(100)).min(1).max(50),
+  expiresInDays: z.number().int().min(1).max(MAX_API_KEY_TTL_DAYS).optional(),
+});
+
+// Timestamps as ISO strings for clients
+const formatKey = ({ createdAt, expiresAt, lastUsedAt, ...apiKey }) => ({
+  ...apiKey,
+  createdAt: new Date(createdAt).toISOString(),
+  expiresAt: new Date(expiresAt).toISOString(),
+  lastUsedAt: lastUsedAt ? new Date(lastUsedAt).toISOString() : null,
+});
+
+export async function GET() {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+    
+    const keys = await apiKeys.list(session.user.id);
+    
+    const response = NextResponse.json({ data: keys.map(formatKey) });
+    response.headers.set('Cache-Control', 'no-store');
+    
+    return response;
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+export async function POST(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+    
+    try {
+      await limiter.check(10, `api_keys_${session.user.id}`); // 10 requests per minute
+    } catch {
+      return NextResponse.json(
+        { error: 'Too many requests. Please try again later.' },
+        { status: 429 }
+      );
+    }
+    
+    const { org, denied: notMember } = requireOrg(session, request);
+    if (notMember) {
+      return notMember;
+    }
+    
+    // A key is a long-lived credential, so creating one needs a recent sign-in
+    const challenge = await requireStepUp(request, RECENT_AUTHENTICATION);
+    if (challenge) {
+      return challenge;
+    }
+    
+    const validation = validateInput(await request.json(), createKeySchema);
+    if (!validation.success) {
+      return NextResponse.json(
+        { error: 'Invalid request', details: validation.errors },
+        { status: 400 }
+      );
+    }
+    
+    const { name, scopes, expiresInDays } = validation.data;
+    const { key, apiKey } = await apiKeys.create({
+      userId: session.user.id,
+      orgId: org.id,
+      grantable: policy.permissionsFor(org.role),
+      name,
+      scopes,
+      expiresInDays,
+    });
+    
+    const response = NextResponse.json(
+      { key, apiKey: formatKey(apiKey) },
+      { status: 201 }
+    );
+    response.headers.set('Cache-Control', 'no-store');
+    
+    return response;
+  } catch (error) {
+    if (error.status) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status }
+      );
+    }
+    
+    console.error('Error creating API key:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * Email change confirmation
+ *
+ * POST { token } switches the account to the address the token was sent
+ * to (see auth/email-change.js). The email links to a page that POSTs
+ * here, so link scanners that follow GET links can't spend the token.
+ *
+ * Existing sessions carry the old address, so they are revoked.
+ *
+ * Public: the link may be opened on a device that isn't signed in.
+ */
+
+import { NextResponse } from 'next/server';
+import { rateLimit } from '@/utils/rate-limit';
+import { emailChangeService } from '@/auth/email-change';
+import { sessionRevocation } from '@/auth/session-revocation';
+import { validateInput } from '@/utils/input-validation';
+import { z } from 'zod';
+
+// Tokens are unguessable, but don't let anyone try millions of them
+const limiter = rateLimit({
+  interval: 60 * 1000, // 1 minute
+  uniqueTokenPerInterval: 1000,
+});
+
+const confirmSchema = z.object({
+  token: z.string().min(1).max(256),
+});
+
+export async function POST(request) {
+  try {
+    // Rate limiting per client IP
+    const forwarded = request.headers.get('x-forwarded-for');
+    const ip = forwarded ? forwarded.split(',')[0].trim() : 'anonymous';
+    
+    try {
+      await limiter.check(10, `email_change_${ip}`); // 10 requests per minute
+    } catch {
+      return NextResponse.json(
+        { error: 'Too many requests. Please try again later.' },
+        { status: 429 }
+      );
+    }
+    
+    const validation = validateInput(await request.json(), confirmSchema);
+    if (!validation.success) {
+      return NextResponse.json(
+        { error: 'Validation failed', details: validation.errors },
+        { status: 400 }
+      );
+    }
+    
+    const { userId } = await emailChangeService.confirmChange(validation.data.token);
+    await sessionRevocation.revokeAllSessions(userId, 'email_changed');
+    
+    const response = NextResponse.json({ success: true });
+    response.headers.set('Cache-Control', 'no-store');
+    
+    return response;
+  } catch (error) {
+    if (error.status) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status }
+      );
+    }
+    
+    console.error('Error confirming email change:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
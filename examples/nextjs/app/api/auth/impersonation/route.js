@@ -0,0 +1,111 @@
+/**
+ * Impersonation grants for support staff
+ *
+ * POST { userId, reason } lets an admin act as a member of their active
+ * organization. It needs the `users:impersonate` permission in that
+ * organization and a recent sign-in, and returns a single-use grant the
+ * client redeems with useSession().update({ impersonate: grantId }).
+ *
+ * See auth/impersonation.js for the rules and the audit trail.
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { rateLimit } from '@/utils/rate-limit';
+import { authOptions } from '@/auth/auth-config';
+import { impersonation, rejectImpersonated } from '@/auth/impersonation';
+import { requirePermission } from '@/auth/rbac';
+import { RECENT_AUTHENTICATION, requireStepUp } from '@/auth/step-up';
+import { requireOrg } from '@/auth/tenancy';
+import { validateInput } from '@/utils/input-validation';
+import { z } from 'zod';
+
+// Configure rate limiting
+const limiter = rateLimit({
+  interval: 60 * 1000, // 1 minute
+  uniqueTokenPerInterval: 500,
+});
+
+// The reason goes into the audit trail, e.g. a support ticket reference
+const impersonationSchema = z.object({
+  userId: z.string().min(1).max(100),
+  reason: z.string().trim().min(3, 'A reason is required').max(500),
+});
+
+export async function POST(request) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+    
+    // Impersonated sessions can't start another impersonation
+    const impersonating = rejectImpersonated(session);
+    if (impersonating) {
+      return impersonating;
+    }
+    
+    try {
+      await limiter.check(10, `impersonation_${session.user.id}`); // 10 requests per minute
+    } catch {
+      return NextResponse.json(
+        { error: 'Too many requests. Please try again later.' },
+        { status: 429 }
+      );
+    }
+    
+    const { org, denied: notMember } = requireOrg(session, request);
+    if (notMember) {
+      return notMember;
+    }
+    
+    const denied = requirePermission(session, 'users:impersonate', org.role);
+    if (denied) {
+      return denied;
+    }
+    
+    const challenge = await requireStepUp(request, RECENT_AUTHENTICATION);
+    if (challenge) {
+      return challenge;
+    }
+    
+    const validation = validateInput(await request.json(), impersonationSchema);
+    if (!validation.success) {
+      return NextResponse.json(
+        { error: 'Invalid request', details: validation.errors },
+        { status: 400 }
+      );
+    }
+    
+    const { grantId, expiresAt } = await impersonation.grant({
+      actor: { id: session.user.id, email: session.user.email },
+      orgId: org.id,
+      userId: validation.data.userId,
+      reason: validation.data.reason,
+    });
+    
+    const response = NextResponse.json({
+      grantId,
+      expiresAt: new Date(expiresAt).toISOString(),
+    });
+    response.headers.set('Cache-Control', 'no-store');
+    
+    return response;
+  } catch (error) {
+    if (error.status) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status }
+      );
+    }
+    
+    console.error('Error granting impersonation:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * Confirm a provider link
+ *
+ * After the provider sign-in started by POST /api/auth/link, the user lands
+ * on /auth/link?link=<id>. That page shows GET ?link=<id> (the provider and
+ * its email) and asks the signed-in user to confirm; POST { link } then
+ * links the identity. Only the user who started the link can see or
+ * confirm it, so a link ID leaked from someone else's browser is useless.
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { rateLimit } from '@/utils/rate-limit';
+import { authOptions } from '@/auth/auth-config';
+import { accountLinking } from '@/auth/oauth';
+import { validateInput } from '@/utils/input-validation';
+import { z } from 'zod';
+
+// Configure rate limiting
+const limiter = rateLimit({
+  interval: 60 * 1000, // 1 minute
+  uniqueTokenPerInterval: 500,
+});
+
+const linkSchema = z.object({
+  link: z.string().min(16).max(128),
+});
+
+// Respond to a request for the signed-in user, with the validated link ID
+async function withLink(readInput, respond) {
+  try {
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+    
+    try {
+      await limiter.check(10, `link_confirm_${session.user.id}`); // 10 requests per minute
+    } catch {
+      return NextResponse.json(
+        { error: 'Too many requests. Please try again later.' },
+        { status: 429 }
+      );
+    }
+    
+    const validation = validateInput(await readInput(), linkSchema);
+    if (!validation.success) {
+      return NextResponse.json(
+        { error: 'Invalid request', details: validation.errors },
+        { status: 400 }
+      );
+    }
+    
+    const response = NextResponse.json(await respond(validation.data.link, session.user.id));
+    response.headers.set('Cache-Control', 'no-store');
+    
+    return response;
+  } catch (error) {
+    if (error.status) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status }
+      );
+    }
+    
+    console.error('Error confirming provider link:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+export async function GET(request) {
+  return withLink(
+    async () => ({ link: new URL(request.url).searchParams.get('link') }),
+    (link, userId) => accountLinking.getPendingLink(link, userId)
+  );
+}
+
+export async function POST(request) {
+  return withLink(
+    () => request.json(),
+    async (link, userId) => {
+      await accountLinking.confirmLink(link, userId);
+      return { success: true };
+    }
+  );
+}
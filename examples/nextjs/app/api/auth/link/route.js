@@ -0,0 +1,182 @@
+/**
+ * Linked sign-in providers
+ *
+ * GET lists the providers linked to the signed-in user and the ones that
+ * can be linked. POST { provider } starts linking one: it needs a recent
+ * sign-in, records a short-lived intent in an HttpOnly cookie, and the
+ * client then calls signIn(provider). The provider callback doesn't switch
+ * accounts; it redirects to a confirmation page (see
+ * app/api/auth/link/confirm/route.js). DELETE { provider } unlinks one.
+ *
+ * See auth/oauth.js for the linking policy.
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { rateLimit } from '@/utils/rate-limit';
+import { authOptions } from '@/auth/auth-config';
+import { cookiePolicy } from '@/config/cookie-policy';
+import { LINK_INTENT_COOKIE, LINK_TTL, accountLinking, oauthProviders } from '@/auth/oauth';
+import { RECENT_AUTHENTICATION, requireStepUp } from '@/auth/step-up';
+import { userRepository } from '@/auth/user-repository';
+import { validateInput } from '@/utils/input-validation';
+import { z } from 'zod';
+
+// Configure rate limiting
+const limiter = rateLimit({
+  interval: 60 * 1000, // 1 minute
+  uniqueTokenPerInterval: 500,
+});
+
+const providerSchema = z.object({
+  provider: z.string().min(1).max(50),
+});
+
+// Shared by every method: session, then a per-user rate limit
+async function authenticate() {
+  const session = await getServerSession(authOptions);
+  if (!session?.user?.id) {
+    return {
+      denied: NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      ),
+    };
+  }
+  
+  try {
+    await limiter.check(10, `link_${session.user.id}`); // 10 requests per minute
+  } catch {
+    return {
+      denied: NextResponse.json(
+        { error: 'Too many requests. Please try again later.' },
+        { status: 429 }
+      ),
+    };
+  }
+  
+  return { session };
+}
+
+// Parse { provider } and check it's one of the configured providers
+async function parseProvider(request) {
+  const validation = validateInput(await request.json(), providerSchema);
+  const provider = validation.success ? validation.data.provider : null;
+  
+  if (!oauthProviders().some(configured => configured.id === provider)) {
+    return {
+      denied: NextResponse.json(
+        { error: 'Unknown sign-in provider' },
+        { status: 400 }
+      ),
+    };
+  }
+  
+  return { provider };
+}
+
+export async function GET() {
+  try {
+    const { session, denied } = await authenticate();
+    if (denied) {
+      return denied;
+    }
+    
+    const user = await userRepository.findById(session.user.id);
+    
+    const response = NextResponse.json({
+      linked: (user?.identities || []).map(({ provider, email, linkedAt }) => ({
+        provider,
+        email,
+        linkedAt: new Date(linkedAt).toISOString(),
+      })),
+      available: oauthProviders().map(({ id, name }) => ({ id, name })),
+    });
+    response.headers.set('Cache-Control', 'no-store');
+    
+    return response;
+  } catch (error) {
+    console.error('Error listing linked providers:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+export async function POST(request) {
+  try {
+    const { session, denied } = await authenticate();
+    if (denied) {
+      return denied;
+    }
+    
+    // Adding a way into the account needs a recent sign-in
+    const challenge = await requireStepUp(request, RECENT_AUTHENTICATION);
+    if (challenge) {
+      return challenge;
+    }
+    
+    const { provider, denied: invalid } = await parseProvider(request);
+    if (invalid) {
+      return invalid;
+    }
+    
+    const intentId = await accountLinking.startLink(session.user.id, provider);
+    
+    // Read back by the signIn callback when the provider redirects to
+    // /api/auth/callback/<provider>. Lax, because that redirect is a
+    // top-level navigation from the provider's site.
+    const { name, options } = cookiePolicy.cookie(LINK_INTENT_COOKIE, { maxAge: LINK_TTL / 1000 });
+    const response = NextResponse.json({ success: true, provider });
+    response.cookies.set(name, intentId, options);
+    
+    return response;
+  } catch (error) {
+    console.error('Error starting provider link:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE(request) {
+  try {
+    const { session, denied } = await authenticate();
+    if (denied) {
+      return denied;
+    }
+    
+    const challenge = await requireStepUp(request, RECENT_AUTHENTICATION);
+    if (challenge) {
+      return challenge;
+    }
+    
+    const validation = validateInput(await request.json(), providerSchema);
+    if (!validation.success) {
+      return NextResponse.json(
+        { error: 'Invalid request', details: validation.errors },
+        { status: 400 }
+      );
+    }
+    
+    // Providers removed from the configuration can still be unlinked
+    await accountLinking.unlink(session.user.id, validation.data.provider);
+    
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    if (error.status) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status }
+      );
+    }
+    
+    console.error('Error unlinking provider:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
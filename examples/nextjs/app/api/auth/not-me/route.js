@@ -0,0 +1,88 @@
+/**
+ * "This wasn't me"
+ *
+ * POST { token } handles the link in a new sign-in notification (see
+ * auth/login-anomaly.js). The email links to a page that POSTs here, so
+ * link scanners that follow GET links can't trigger it. It:
+ * - forgets the device the notification was about
+ * - revokes every session the account has
+ * - emails a password reset link, since the password may be known
+ *
+ * Public: the user may not be able to sign in.
+ */
+
+import { NextResponse } from 'next/server';
+import { rateLimit } from '@/utils/rate-limit';
+import { loginAnomaly } from '@/auth/login-anomaly';
+import { passwordResetService } from '@/auth/password-reset';
+import { sessionRevocation } from '@/auth/session-revocation';
+import { userRepository } from '@/auth/user-repository';
+import { validateInput } from '@/utils/input-validation';
+import { z } from 'zod';
+
+// Tokens are unguessable, but don't let anyone try millions of them
+const limiter = rateLimit({
+  interval: 60 * 1000, // 1 minute
+  uniqueTokenPerInterval: 1000,
+});
+
+const notMeSchema = z.object({
+  token: z.string().min(16).max(128),
+});
+
+export async function POST(request) {
+  try {
+    // Rate limiting per client IP
+    const forwarded = request.headers.get('x-forwarded-for');
+    const ip = forwarded ? forwarded.split(',')[0].trim() : 'anonymous';
+    
+    try {
+      await limiter.check(10, `not_me_${ip}`); // 10 requests per minute
+    } catch {
+      return NextResponse.json(
+        { error: 'Too many requests. Please try again later.' },
+        { status: 429 }
+      );
+    }
+    
+    const body = await request.json();
+    const validation = validateInput(body, notMeSchema);
+    
+    if (!validation.success) {
+      return NextResponse.json(
+        { error: 'Validation failed', details: validation.errors },
+        { status: 400 }
+      );
+    }
+    
+    const { userId } = await loginAnomaly.reportNotMe(validation.data.token);
+    
+    await sessionRevocation.revokeAllSessions(userId, 'login_reported');
+    
+    const user = await userRepository.findById(userId);
+    if (user) {
+      await passwordResetService.requestReset(user.email);
+    }
+    
+    const response = NextResponse.json({
+      success: true,
+      message: 'We signed out every device. Check your email for a link to reset your password.',
+    });
+    response.headers.set('Cache-Control', 'no-store');
+    
+    return response;
+  } catch (error) {
+    if (error.status) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status }
+      );
+    }
+    
+    console.error('Error handling login report:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
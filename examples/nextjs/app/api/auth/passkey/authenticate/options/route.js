@@ -0,0 +1,49 @@
+/**
+ * Passkey sign-in - step 1
+ *
+ * POST returns a ceremony ID and options for navigator.credentials.get().
+ * The signed assertion is then sent to the `passkey` NextAuth provider
+ * with signIn('passkey', { ceremonyId, response }).
+ *
+ * Public: the user isn't signed in yet.
+ */
+
+import { NextResponse } from 'next/server';
+import { rateLimit } from '@/utils/rate-limit';
+import { passkeyService } from '@/auth/passkeys';
+
+// Each request stores a challenge, so limit how fast clients can create them
+const limiter = rateLimit({
+  interval: 60 * 1000, // 1 minute
+  uniqueTokenPerInterval: 1000,
+});
+
+export async function POST(request) {
+  try {
+    // Rate limiting per client IP
+    const forwarded = request.headers.get('x-forwarded-for');
+    const ip = forwarded ? forwarded.split(',')[0].trim() : 'anonymous';
+    
+    try {
+      await limiter.check(10, `passkey_authenticate_${ip}`); // 10 requests per minute
+    } catch {
+      return NextResponse.json(
+        { error: 'Too many requests. Please try again later.' },
+        { status: 429 }
+      );
+    }
+    
+    const { ceremonyId, options } = await passkeyService.startAuthentication();
+    
+    const response = NextResponse.json({ success: true, data: { ceremonyId, options } });
+    response.headers.set('Cache-Control', 'no-store');
+    
+    return response;
+  } catch (error) {
+    console.error('Error starting passkey sign-in:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
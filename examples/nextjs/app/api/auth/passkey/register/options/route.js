@@ -0,0 +1,64 @@
+/**
+ * Passkey registration - step 1
+ *
+ * POST returns options for navigator.credentials.create() for the
+ * signed-in user. The challenge is stored server-side and can only be
+ * answered once (app/api/auth/passkey/register/verify/route.js).
+ *
+ * A passkey signs in on its own, without the password or a second factor,
+ * so both steps need a recent sign-in, not just a live session.
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { rateLimit } from '@/utils/rate-limit';
+import { authOptions } from '@/auth/auth-config';
+import { passkeyService } from '@/auth/passkeys';
+import { RECENT_AUTHENTICATION, requireStepUp } from '@/auth/step-up';
+
+// Configure rate limiting
+const limiter = rateLimit({
+  interval: 60 * 1000, // 1 minute
+  uniqueTokenPerInterval: 500,
+});
+
+export async function POST(request) {
+  try {
+    // Authentication check - passkeys are added to an existing account
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+    
+    // Rate limiting per user
+    try {
+      await limiter.check(10, `passkey_register_${session.user.id}`); // 10 requests per minute
+    } catch {
+      return NextResponse.json(
+        { error: 'Too many requests. Please try again later.' },
+        { status: 429 }
+      );
+    }
+    
+    const challenge = await requireStepUp(request, RECENT_AUTHENTICATION);
+    if (challenge) {
+      return challenge;
+    }
+    
+    const options = await passkeyService.startRegistration(session.user);
+    
+    const response = NextResponse.json({ success: true, data: options });
+    response.headers.set('Cache-Control', 'no-store');
+    
+    return response;
+  } catch (error) {
+    console.error('Error starting passkey registration:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,98 @@
+/**
+ * Passkey registration - step 2
+ *
+ * POST { response, label } verifies the result of
+ * navigator.credentials.create() against the stored challenge and saves
+ * the credential for the signed-in user. Like step 1, it needs a recent
+ * sign-in, and the owner is emailed about the new passkey.
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { rateLimit } from '@/utils/rate-limit';
+import { authOptions } from '@/auth/auth-config';
+import { passkeyService } from '@/auth/passkeys';
+import { RECENT_AUTHENTICATION, requireStepUp } from '@/auth/step-up';
+import { validateInput } from '@/utils/input-validation';
+import { z } from 'zod';
+
+// Configure rate limiting
+const limiter = rateLimit({
+  interval: 60 * 1000, // 1 minute
+  uniqueTokenPerInterval: 500,
+});
+
+// The attestation itself is checked by the WebAuthn library; this only
+// bounds its shape and size
+const registrationSchema = z.object({
+  response: z.object({
+    id: z.string().min(1).max(1024),
+    rawId: z.string().min(1).max(1024),
+    type: z.literal('public-key'),
+    response: z.object({
+      clientDataJSON: z.string().max(8 * 1024),
+      attestationObject: z.string().max(16 * 1024),
+      transports: z.array(z.string().max(32)).max(10).optional(),
+    }).passthrough(),
+  }).passthrough(),
+  label: z.string().trim().min(1).max(50).default('Passkey'),
+});
+
+export async function POST(request) {
+  try {
+    // Authentication check
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+    
+    // Rate limiting per user
+    try {
+      await limiter.check(10, `passkey_verify_${session.user.id}`); // 10 requests per minute
+    } catch {
+      return NextResponse.json(
+        { error: 'Too many requests. Please try again later.' },
+        { status: 429 }
+      );
+    }
+    
+    const challenge = await requireStepUp(request, RECENT_AUTHENTICATION);
+    if (challenge) {
+      return challenge;
+    }
+    
+    const body = await request.json();
+    const validation = validateInput(body, registrationSchema);
+    
+    if (!validation.success) {
+      return NextResponse.json(
+        { error: 'Invalid registration response', details: validation.errors },
+        { status: 400 }
+      );
+    }
+    
+    const { response, label } = validation.data;
+    const credential = await passkeyService.finishRegistration(session.user, response, label);
+    
+    return NextResponse.json({
+      success: true,
+      data: credential,
+    }, { status: 201 });
+  } catch (error) {
+    if (error.status) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status }
+      );
+    }
+    
+    console.error('Error verifying passkey registration:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
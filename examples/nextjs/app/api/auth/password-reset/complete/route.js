@@ -0,0 +1,92 @@
+/**
+ * Password reset - step 2
+ *
+ * POST { token, password, confirmPassword } sets a new password with the
+ * token from the reset email. The email links to a page that POSTs here,
+ * so link scanners that follow GET links can't spend the token.
+ *
+ * The password policy runs with the account's username, email and name,
+ * which the request itself doesn't carry, so passwords containing them are
+ * rejected here too.
+ *
+ * On success every existing session for the account is revoked and any
+ * account lockout is lifted, since the user just proved they own the inbox.
+ *
+ * Public: the user can't sign in.
+ */
+
+import { NextResponse } from 'next/server';
+import { rateLimit } from '@/utils/rate-limit';
+import { passwordResetService } from '@/auth/password-reset';
+import { accountLockout } from '@/auth/account-lockout';
+import { sessionRevocation } from '@/auth/session-revocation';
+import { breachCheckedSchemas, validateInputAsync } from '@/utils/input-validation';
+import { passwordPolicy } from '@/utils/password-policy';
+
+// Tokens are unguessable, but don't let anyone try millions of them
+const limiter = rateLimit({
+  interval: 60 * 1000, // 1 minute
+  uniqueTokenPerInterval: 1000,
+});
+
+export async function POST(request) {
+  try {
+    // Rate limiting per client IP
+    const forwarded = request.headers.get('x-forwarded-for');
+    const ip = forwarded ? forwarded.split(',')[0].trim() : 'anonymous';
+    
+    try {
+      await limiter.check(10, `reset_complete_${ip}`); // 10 requests per minute
+    } catch {
+      return NextResponse.json(
+        { error: 'Too many requests. Please try again later.' },
+        { status: 429 }
+      );
+    }
+    
+    const body = await request.json();
+    const validation = await validateInputAsync(body, breachCheckedSchemas.passwordReset);
+    
+    if (!validation.success) {
+      return NextResponse.json(
+        { error: 'Validation failed', details: validation.errors },
+        { status: 400 }
+      );
+    }
+    
+    const { token, password } = validation.data;
+    
+    // An invalid token is rejected by completeReset() below
+    const account = await passwordResetService.findAccount(token);
+    const { errors } = account ? passwordPolicy.evaluate(password, account) : { errors: [] };
+    if (errors.length > 0) {
+      return NextResponse.json(
+        { error: 'Validation failed', details: { password: errors[0] } },
+        { status: 400 }
+      );
+    }
+    
+    const { userId, email } = await passwordResetService.completeReset(token, password);
+    
+    await sessionRevocation.revokeAllSessions(userId, 'password_reset');
+    await accountLockout.recordSuccess(email);
+    
+    const response = NextResponse.json({ success: true });
+    response.headers.set('Cache-Control', 'no-store');
+    
+    return response;
+  } catch (error) {
+    if (error.status) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status }
+      );
+    }
+    
+    console.error('Error completing password reset:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
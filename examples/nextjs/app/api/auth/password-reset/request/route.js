@@ -0,0 +1,73 @@
+/**
+ * Password reset - step 1
+ *
+ * POST { email } emails a reset link if an account exists for the
+ * address (see auth/password-reset.js). The response is identical either
+ * way, so this endpoint can't be used to find out who has an account.
+ *
+ * Public: the user can't sign in.
+ */
+
+import { NextResponse } from 'next/server';
+import { rateLimit } from '@/utils/rate-limit';
+import { passwordResetService } from '@/auth/password-reset';
+import { schemas, validateInput } from '@/utils/input-validation';
+
+// Configure rate limiting
+const limiter = rateLimit({
+  interval: 60 * 1000, // 1 minute
+  uniqueTokenPerInterval: 1000,
+});
+
+// Shown whether or not the account exists
+const RESET_REQUESTED = 'If an account exists for that email, we sent a link to reset the password.';
+
+export async function POST(request) {
+  try {
+    // Rate limiting per client IP
+    const forwarded = request.headers.get('x-forwarded-for');
+    const ip = forwarded ? forwarded.split(',')[0].trim() : 'anonymous';
+    
+    try {
+      await limiter.check(5, `reset_request_${ip}`); // 5 requests per minute
+    } catch {
+      return NextResponse.json(
+        { error: 'Too many requests. Please try again later.' },
+        { status: 429 }
+      );
+    }
+    
+    const body = await request.json();
+    const validation = validateInput(body, schemas.passwordResetRequest);
+    
+    if (!validation.success) {
+      return NextResponse.json(
+        { error: 'Validation failed', details: validation.errors },
+        { status: 400 }
+      );
+    }
+    
+    const email = validation.data.email.trim().toLowerCase();
+    
+    // Rate limiting per address too, so nobody's inbox can be flooded.
+    // Applies to unknown addresses as well, so it reveals nothing.
+    try {
+      await limiter.check(3, `reset_request_${email}`); // 3 requests per minute
+    } catch {
+      return NextResponse.json(
+        { error: 'Too many requests. Please try again later.' },
+        { status: 429 }
+      );
+    }
+    
+    await passwordResetService.requestReset(email);
+    
+    return NextResponse.json({ success: true, message: RESET_REQUESTED });
+  } catch (error) {
+    console.error('Error requesting password reset:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,52 @@
+/**
+ * Log out all devices
+ *
+ * DELETE revokes every session the signed-in user has, including this
+ * one (see auth/session-revocation.js). Use it after a lost device or a
+ * suspected account compromise; the user signs in again afterwards.
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { rateLimit } from '@/utils/rate-limit';
+import { authOptions } from '@/auth/auth-config';
+import { sessionRevocation } from '@/auth/session-revocation';
+
+// Configure rate limiting
+const limiter = rateLimit({
+  interval: 60 * 1000, // 1 minute
+  uniqueTokenPerInterval: 500,
+});
+
+export async function DELETE() {
+  try {
+    // Authentication check
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+    
+    // Rate limiting per user
+    try {
+      await limiter.check(5, `sessions_revoke_${session.user.id}`); // 5 requests per minute
+    } catch {
+      return NextResponse.json(
+        { error: 'Too many requests. Please try again later.' },
+        { status: 429 }
+      );
+    }
+    
+    await sessionRevocation.revokeAllSessions(session.user.id, 'logout_all');
+    
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('Error revoking sessions:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * Account unlock endpoint
+ *
+ * POST { token } unlocks an account locked after repeated failed
+ * sign-ins (see auth/account-lockout.js), using the token from the
+ * unlock email. The email links to a page that POSTs here, so link
+ * scanners that follow GET links can't spend the token.
+ *
+ * Public: the account owner can't sign in yet.
+ */
+
+import { NextResponse } from 'next/server';
+import { z } from 'zod';
+import { rateLimit } from '@/utils/rate-limit';
+import { accountLockout } from '@/auth/account-lockout';
+import { validateInput } from '@/utils/input-validation';
+
+// Tokens are unguessable, but don't let anyone try millions of them
+const limiter = rateLimit({
+  interval: 60 * 1000, // 1 minute
+  uniqueTokenPerInterval: 1000,
+});
+
+const unlockSchema = z.object({
+  token: z.string().min(16).max(128),
+});
+
+export async function POST(request) {
+  try {
+    // Rate limiting per client IP
+    const forwarded = request.headers.get('x-forwarded-for');
+    const ip = forwarded ? forwarded.split(',')[0].trim() : 'anonymous';
+    
+    try {
+      await limiter.check(10, `unlock_${ip}`); // 10 requests per minute
+    } catch {
+      return NextResponse.json(
+        { error: 'Too many requests. Please try again later.' },
+        { status: 429 }
+      );
+    }
+    
+    const body = await request.json();
+    const validation = validateInput(body, unlockSchema);
+    
+    if (!validation.success) {
+      return NextResponse.json(
+        { error: 'Invalid or expired unlock link' },
+        { status: 400 }
+      );
+    }
+    
+    const unlocked = await accountLockout.unlock(validation.data.token);
+    if (!unlocked) {
+      return NextResponse.json(
+        { error: 'Invalid or expired unlock link' },
+        { status: 400 }
+      );
+    }
+    
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error('Error unlocking account:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,120 @@
+/**
+ * CSP Violation Report Endpoint
+ *
+ * Receives Content-Security-Policy violation reports from browsers:
+ * - POST accepts legacy `report-uri` (application/csp-report) and
+ *   Reporting API `report-to` (application/reports+json) payloads
+ * - GET returns an aggregated summary to platform operators (csp:read in
+ *   auth/rbac.js). Reports come from every organization, so an
+ *   organization admin role isn't enough.
+ *
+ * The headers in config/secure-headers.js point report-uri,
+ * Report-To and Reporting-Endpoints at this route.
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { z } from 'zod';
+import { rateLimit } from '@/utils/rate-limit';
+import { authOptions } from '@/auth/auth-config';
+import { requirePermission } from '@/auth/rbac';
+import { validateInput } from '@/utils/input-validation';
+import {
+  parseCspReports,
+  cspReportStore,
+  MAX_REPORT_BYTES,
+} from '@/utils/csp-reports';
+
+// Browsers can send bursts of reports from a single page load
+const limiter = rateLimit({
+  interval: 60 * 1000, // 1 minute
+  uniqueTokenPerInterval: 1000,
+});
+
+// Summary query parameters
+const summaryQuerySchema = z.object({
+  directive: z.string().max(64).regex(/^[a-z-]+$/).optional(),
+  disposition: z.enum(['enforce', 'report']).optional(),
+  limit: z.coerce.number().int().positive().max(200).default(50),
+});
+
+export async function POST(request) {
+  try {
+    // Rate limiting per client IP
+    const forwarded = request.headers.get('x-forwarded-for');
+    const ip = forwarded ? forwarded.split(',')[0].trim() : 'anonymous';
+    
+    try {
+      await limiter.check(30, `csp_report_${ip}`); // 30 reports per minute
+    } catch {
+      return new NextResponse(null, { status: 429 });
+    }
+    
+    // Reject oversized payloads before reading them
+    const contentLength = Number(request.headers.get('content-length') || 0);
+    if (contentLength > MAX_REPORT_BYTES) {
+      return new NextResponse(null, { status: 413 });
+    }
+    
+    // Content-Length can be missing or wrong, so check the actual body too
+    const rawBody = await request.text();
+    if (rawBody.length > MAX_REPORT_BYTES) {
+      return new NextResponse(null, { status: 413 });
+    }
+    
+    const result = parseCspReports(rawBody, request.headers.get('content-type') || '');
+    if (!result.success) {
+      const status = result.error === 'Unsupported content type' ? 415 : 400;
+      return NextResponse.json({ error: result.error }, { status });
+    }
+    
+    result.reports.forEach(report => cspReportStore.record(report));
+    
+    // Browsers ignore the response body
+    return new NextResponse(null, { status: 204 });
+  } catch (error) {
+    console.error('Error in CSP report API:', error);
+    return new NextResponse(null, { status: 500 });
+  }
+}
+
+export async function GET(request) {
+  try {
+    // Violation data can reveal internal URLs of any organization, so
+    // check the platform role rather than the role in the active organization
+    const session = await getServerSession(authOptions);
+    const denied = requirePermission(session, 'csp:read', session?.user?.platformRole);
+    if (denied) {
+      return denied;
+    }
+    
+    // Parse and validate query parameters
+    const { searchParams } = new URL(request.url);
+    const validation = validateInput(
+      Object.fromEntries(searchParams.entries()),
+      summaryQuerySchema
+    );
+    
+    if (!validation.success) {
+      return NextResponse.json(
+        { error: 'Invalid query parameters', details: validation.errors },
+        { status: 400 }
+      );
+    }
+    
+    const response = NextResponse.json({
+      success: true,
+      data: cspReportStore.summary(validation.data),
+    });
+    
+    response.headers.set('Cache-Control', 'private, max-age=0, no-cache, no-store');
+    
+    return response;
+  } catch (error) {
+    console.error('Error in CSP report summary API:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * MFA enrollment - step 2
+ *
+ * POST { code } checks a code from the authenticator app against the
+ * pending secret, enables MFA and returns recovery codes. The codes are
+ * only stored hashed, so this is the only time they can be shown.
+ *
+ * Like step 1, it needs a recent sign-in, and the owner is emailed that
+ * MFA was turned on.
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { rateLimit } from '@/utils/rate-limit';
+import { authOptions } from '@/auth/auth-config';
+import { mfaService } from '@/auth/mfa';
+import { RECENT_AUTHENTICATION, requireStepUp } from '@/auth/step-up';
+import { validateInput } from '@/utils/input-validation';
+import { z } from 'zod';
+
+// Configure rate limiting
+const limiter = rateLimit({
+  interval: 60 * 1000, // 1 minute
+  uniqueTokenPerInterval: 500,
+});
+
+const confirmSchema = z.object({
+  code: z.string().regex(/^\d{6}$/, 'Code must be 6 digits'),
+});
+
+export async function POST(request) {
+  try {
+    // Authentication check - the session must be fully authenticated
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+    
+    // Rate limiting per user - codes are only 6 digits
+    try {
+      await limiter.check(5, `mfa_confirm_${session.user.id}`); // 5 requests per minute
+    } catch {
+      return NextResponse.json(
+        { error: 'Too many requests. Please try again later.' },
+        { status: 429 }
+      );
+    }
+    
+    const challenge = await requireStepUp(request, RECENT_AUTHENTICATION);
+    if (challenge) {
+      return challenge;
+    }
+    
+    const body = await request.json();
+    const validation = validateInput(body, confirmSchema);
+    
+    if (!validation.success) {
+      return NextResponse.json(
+        { error: 'Invalid code', details: validation.errors },
+        { status: 400 }
+      );
+    }
+    
+    const { recoveryCodes } = await mfaService.confirmEnrollment(
+      session.user.id,
+      validation.data.code,
+      session.user.email
+    );
+    
+    const response = NextResponse.json({
+      success: true,
+      data: { recoveryCodes },
+    });
+    response.headers.set('Cache-Control', 'no-store');
+    
+    return response;
+  } catch (error) {
+    if (error.status) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status }
+      );
+    }
+    
+    console.error('Error confirming MFA enrollment:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * MFA enrollment - step 1
+ *
+ * POST generates a TOTP secret for the signed-in user and returns the
+ * otpauth:// URI to render as a QR code. MFA is not enabled until the
+ * user confirms a code (app/api/mfa/enroll/confirm/route.js).
+ *
+ * Both steps need a recent sign-in, so a stolen session cookie can't add
+ * an authenticator and lock the owner out.
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { rateLimit } from '@/utils/rate-limit';
+import { authOptions } from '@/auth/auth-config';
+import { mfaService } from '@/auth/mfa';
+import { RECENT_AUTHENTICATION, requireStepUp } from '@/auth/step-up';
+
+// Configure rate limiting
+const limiter = rateLimit({
+  interval: 60 * 1000, // 1 minute
+  uniqueTokenPerInterval: 500,
+});
+
+export async function POST(request) {
+  try {
+    // Authentication check - the session must be fully authenticated
+    const session = await getServerSession(authOptions);
+    if (!session?.user?.id) {
+      return NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      );
+    }
+    
+    // Rate limiting per user
+    try {
+      await limiter.check(5, `mfa_enroll_${session.user.id}`); // 5 requests per minute
+    } catch {
+      return NextResponse.json(
+        { error: 'Too many requests. Please try again later.' },
+        { status: 429 }
+      );
+    }
+    
+    const challenge = await requireStepUp(request, RECENT_AUTHENTICATION);
+    if (challenge) {
+      return challenge;
+    }
+    
+    const { secret, otpauthUri } = await mfaService.startEnrollment(session.user.id, session.user.email);
+    
+    // The secret is shown once so it can be typed in if the QR code can't be scanned
+    const response = NextResponse.json({
+      success: true,
+      data: { secret, otpauthUri },
+    });
+    response.headers.set('Cache-Control', 'no-store');
+    
+    return response;
+  } catch (error) {
+    if (error.status) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status }
+      );
+    }
+    
+    console.error('Error starting MFA enrollment:', error);
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,233 @@
+/**
+ * Secure API Route Example - single user record
+ *
+ * Role checks decide who may list or create users (app/api/users/route.js).
+ * Access to a single record also depends on who owns it, so this route
+ * uses the attribute-based policies in auth/abac.js:
+ * - Users can read and update their own record
+ * - Admins can read and update any record
+ * - Only admins can change role or status, and never their own
+ * - The role is per organization; username, email and status belong to the
+ *   account, so admins can only change them for users in no other organization
+ * - Email changes take effect once the new address confirms (auth/email-change.js)
+ * - Admins impersonating a user can't change the account fields either
+ * - Records are only visible within the caller's organization
+ * - Changing a user's role or status signs them out everywhere
+ * - Granting the admin role requires a recent sign-in (auth/step-up.js)
+ */
+
+import { NextResponse } from 'next/server';
+import { getServerSession } from 'next-auth/next';
+import { rateLimit } from '@/utils/rate-limit';
+import { authOptions } from '@/auth/auth-config';
+import { subjectFromSession, userAuthorizer } from '@/auth/abac';
+import { emailChangeService } from '@/auth/email-change';
+import { requireOrg } from '@/auth/tenancy';
+import { sessionRevocation } from '@/auth/session-revocation';
+import { RECENT_AUTHENTICATION, requireStepUp } from '@/auth/step-up';
+import { toOrgMember, userRepository } from '@/auth/user-repository';
+import { validateInput } from '@/utils/input-validation';
+import { z } from 'zod';
+
+// Configure rate limiting
+const limiter = rateLimit({
+  interval: 60 * 1000, // 1 minute
+  uniqueTokenPerInterval: 500,
+});
+
+// Route parameter schema
+const userIdSchema = z.string().regex(/^[a-zA-Z0-9_-]{1,64}$/);
+
+// Updatable fields; unknown fields are rejected rather than ignored
+const updateUserSchema = z.object({
+  username: z.string().min(3).max(50).optional(),
+  email: z.string().email().optional(),
+  role: z.enum(['admin', 'user', 'guest']).optional(),
+  status: z.enum(['active', 'inactive']).optional(),
+}).strict().refine(data => Object.keys(data).length > 0, {
+  message: 'At least one field is required',
+});
+
+// Deny reasons are safe to return: they describe the policy, not the data
+const toDenyResponse = (decision) => NextResponse.json(
+  {
+    error: 'Insufficient permissions',
+    reasons: decision.reasons.map(({ code, message }) => ({ code, message })),
+  },
+  { status: 403 }
+);
+
+// Don't reveal whether a record exists to someone who may not read it
+const notFound = () => NextResponse.json(
+  { error: 'User not found' },
+  { status: 404 }
+);
+
+export async function GET(request, { params }) {
+  try {
+    // Rate limiting
+    try {
+      await limiter.check(30, 'user_record_api'); // 30 requests per minute
+    } catch {
+      return NextResponse.json(
+        { error: 'Too many requests. Please try again later.' },
+        { status: 429 }
+      );
+    }
+    
+    // Authentication and organization membership check
+    const session = await getServerSession(authOptions);
+    const { org, denied } = requireOrg(session, request);
+    if (denied) {
+      return denied;
+    }
+    const subject = subjectFromSession(session, org);
+    
+    const id = userIdSchema.safeParse(params.id);
+    if (!id.success) {
+      return notFound();
+    }
+    
+    // Only members of the caller's organization are visible
+    const user = toOrgMember(await userRepository.findById(id.data), org.id);
+    if (!user || !userAuthorizer.can(subject, 'users:read', user).allowed) {
+      return notFound();
+    }
+    
+    const response = NextResponse.json({
+      success: true,
+      data: user,
+    });
+    
+    // Set security headers
+    response.headers.set('Cache-Control', 'private, max-age=0, no-cache, no-store');
+    response.headers.set('Pragma', 'no-cache');
+    
+    return response;
+  } catch (error) {
+    console.error('Error in user API:', error);
+    
+    // Return a generic error message (don't leak implementation details)
+    return NextResponse.json(
+      { error: 'Internal server error' },
+      { status: 500 }
+    );
+  }
+}
+
+export async function PATCH(request, { params }) {
+  try {
+    // Rate limiting
+    try {
+      await limiter.check(10, 'update_user'); // 10 requests per minute
+    } catch {
+      return NextResponse.json(
+        { error: 'Too many requests. Please try again later.' },
+        { status: 429 }
+      );
+    }
+    
+    // Authentication and organization membership check
+    const session = await getServerSession(authOptions);
+    const { org, denied } = requireOrg(session, request);
+    if (denied) {
+      return denied;
+    }
+    const subject = subjectFromSession(session, org);
+    
+    const id = userIdSchema.safeParse(params.id);
+    if (!id.success) {
+      return notFound();
+    }
+    
+    // Only members of the caller's organization are visible
+    const record = await userRepository.findById(id.data);
+    const user = toOrgMember(record, org.id);
+    if (!user || !userAuthorizer.can(subject, 'users:read', user).allowed) {
+      return notFound();
+    }
+    
+    // Parse and validate request body
+    const body = await request.json();
+    const validation = validateInput(body, updateUserSchema);
+    
+    if (!validation.success) {
+      return NextResponse.json(
+        { error: 'Invalid user data', details: validation.errors },
+        { status: 400 }
+      );
+    }
+    
+    // Per-record authorization: the changes, and whether the account is
+    // shared with other organizations, are part of the decision
+    const changes = validation.data;
+    const decision = userAuthorizer.can(subject, 'users:update', user, {
+      changes,
+      memberships: record.orgs.length,
+    });
+    if (!decision.allowed) {
+      return toDenyResponse(decision);
+    }
+    
+    // Granting admin or redirecting the account's email needs a recent
+    // sign-in, not just a live session
+    if ((changes.role === 'admin' && user.role !== 'admin') || changes.email) {
+      const challenge = await requireStepUp(request, RECENT_AUTHENTICATION);
+      if (challenge) {
+        return challenge;
+      }
+    }
+    
+    // The role is per organization: only the membership in this one changes
+    const { role, email, ...fields } = changes;
+    if (role) {
+      fields.orgs = record.orgs.map(membership => (
+        membership.id === org.id ? { ...membership, role } : membership
+      ));
+    }
+    const updatedUser = Object.keys(fields).length > 0
+      ? toOrgMember(await userRepository.update(user.id, fields), org.id)
+      : user;
+    
+    // The new address has to confirm before it replaces the current one
+    const emailPending = Boolean(email && email.toLowerCase() !== user.email);
+    if (emailPending) {
+      await emailChangeService.requestChange(user.id, email);
+    }
+    
+    // Existing sessions carry the old role, so end them
+    if (changes.role && changes.role !== user.role) {
+      await sessionRevocation.revokeAllSessions(user.id, 'role_changed');
+    } else if (changes.status && changes.status !== user.status) {
+      await sessionRevocation.revokeAllSessions(user.id, 'status_changed');
+    }
+    
+    return NextResponse.json({
+      success: true,
+      data: updatedUser,
+      ...(emailPending && { pendingEmail: email.toLowerCase() }),
+    });
+  } catch (error) {
+    console.error('Error updating user:', error);
+    
+    // Determine the appropriate status code
+    let statusCode = 500;
+    let errorMessage = 'Internal server error';
+    
+    if (error instanceof SyntaxError) {
+      statusCode = 400;
+      errorMessage = 'Invalid JSON body';
+    } else if (error.code === 'CONFLICT') {
+      // Duplicate username, whatever the database. Usernames are unique
+      // across all organizations, so say no more than that it's taken.
+      statusCode = 409;
+      errorMessage = 'This email or username is not available';
+    }
+    
+    // Return a generic error message (don't leak implementation details)
+    return NextResponse.json(
+      { error: errorMessage },
+      { status: statusCode }
+    );
+  }
+}
@@ -3,16 +3,21 @@
  * 
  * This demonstrates a secure implementation of a Next.js API route with:
  * - Input validation
- * - Authentication and authorization
+ * - Authentication and authorization, by session or API key
+ * - Step-up authentication before creating admins
+ * - Organization (tenant) scoping
  * - Rate limiting
  * - Error handling
  * - Secure response formatting
  */
 
 import { NextResponse } from 'next/server';
-import { getServerSession } from 'next-auth/next';
 import { rateLimit } from '@/utils/rate-limit';
-import { authOptions } from '@/auth/auth-config';
+import { authenticateRequest } from '@/auth/authenticate-request';
+import { requirePermission } from '@/auth/rbac';
+import { RECENT_AUTHENTICATION, requireStepUp } from '@/auth/step-up';
+import { requireOrg } from '@/auth/tenancy';
+import { toOrgMember, userRepository } from '@/auth/user-repository';
 import { validateInput, schemas } from '@/utils/input-validation';
 import { z } from 'zod';
 
@@ -28,11 +33,20 @@ const userQuerySchema = schemas.queryParams.extend({
   status: z.enum(['active', 'inactive']).optional(),
 });
 
+// Each API key has its own rate limit; browser sessions share one
+const limitKey = (name, session) => (session?.apiKey ? `${name}_${session.apiKey.id}` : name);
+
 export async function GET(request) {
   try {
+    // Authentication by session cookie or API key
+    const { session, denied: unauthenticated } = await authenticateRequest(request);
+    if (unauthenticated) {
+      return unauthenticated;
+    }
+    
     // Rate limiting
     try {
-      await limiter.check(10, 'users_api'); // 10 requests per minute
+      await limiter.check(10, limitKey('users_api', session)); // 10 requests per minute
     } catch {
       return NextResponse.json(
         { error: 'Too many requests. Please try again later.' },
@@ -40,21 +54,16 @@ export async function GET(request) {
       );
     }
     
-    // Authentication check
-    const session = await getServerSession(authOptions);
-    if (!session) {
-      return NextResponse.json(
-        { error: 'Authentication required' },
-        { status: 401 }
-      );
+    // Organization membership check
+    const { org, denied: notMember } = requireOrg(session, request);
+    if (notMember) {
+      return notMember;
     }
     
-    // Authorization check - only admins can list all users
-    if (session.user.role !== 'admin') {
-      return NextResponse.json(
-        { error: 'Insufficient permissions' },
-        { status: 403 }
-      );
+    // Authorization check - listing users requires users:read in this organization
+    const denied = requirePermission(session, 'users:read', org.role);
+    if (denied) {
+      return denied;
     }
     
     // Parse and validate query parameters
@@ -71,14 +80,13 @@ export async function GET(request) {
     
     const { page, limit, sortBy, order, search, role, status } = validation.data;
     
-    // Real implementation would query the database
-    // This is just a simulation for the example
-    const users = await fetchUsers({ page, limit, sortBy, order, search, role, status });
+    // The organization comes from the verified membership, never from the query
+    const users = await userRepository.list({ orgId: org.id, page, limit, sortBy, order, search, role, status });
     
     // Return success response with pagination headers
     const response = NextResponse.json({
       success: true,
-      data: users.data,
+      data: users.data.map(user => toOrgMember(user, org.id)),
       pagination: {
         page,
         limit,
@@ -114,9 +122,15 @@ export async function GET(request) {
 
 export async function POST(request) {
   try {
+    // Authentication by session cookie or API key
+    const { session, denied: unauthenticated } = await authenticateRequest(request);
+    if (unauthenticated) {
+      return unauthenticated;
+    }
+    
     // Rate limiting
     try {
-      await limiter.check(5, 'create_user'); // 5 requests per minute
+      await limiter.check(5, limitKey('create_user', session)); // 5 requests per minute
     } catch {
       return NextResponse.json(
         { error: 'Too many requests. Please try again later.' },
@@ -124,21 +138,16 @@ export async function POST(request) {
       );
     }
     
-    // Authentication check
-    const session = await getServerSession(authOptions);
-    if (!session) {
-      return NextResponse.json(
-        { error: 'Authentication required' },
-        { status: 401 }
-      );
+    // Organization membership check
+    const { org, denied: notMember } = requireOrg(session, request);
+    if (notMember) {
+      return notMember;
     }
     
-    // Authorization check - only admins can create users
-    if (session.user.role !== 'admin') {
-      return NextResponse.json(
-        { error: 'Insufficient permissions' },
-        { status: 403 }
-      );
+    // Authorization check - creating users requires users:write in this organization
+    const denied = requirePermission(session, 'users:write', org.role);
+    if (denied) {
+      return denied;
     }
     
     // Parse and validate request body
@@ -161,17 +170,38 @@ export async function POST(request) {
       );
     }
     
-    // Validated data
-    const userData = validation.data;
+    // Validated data (unknown fields such as orgId are stripped by the schema)
+    const { username, email, role, isActive } = validation.data;
+    
+    // Creating an admin needs a recent sign-in, not just a live session,
+    // so API keys can't do it
+    if (role === 'admin') {
+      if (session.apiKey) {
+        return NextResponse.json(
+          { error: 'Creating an admin requires a signed-in user' },
+          { status: 403 }
+        );
+      }
+      
+      const challenge = await requireStepUp(request, RECENT_AUTHENTICATION);
+      if (challenge) {
+        return challenge;
+      }
+    }
     
-    // Real implementation would create the user in the database
-    // This is just a simulation for the example
-    const newUser = await createUser(userData);
+    // The new user joins the caller's organization. Without a password
+    // they set one through the password reset flow.
+    const newUser = await userRepository.create({
+      username,
+      email,
+      status: isActive ? 'active' : 'inactive',
+      orgs: [{ id: org.id, role }],
+    });
     
     // Return success response
     return NextResponse.json({
       success: true,
-      data: newUser,
+      data: toOrgMember(newUser, org.id),
     }, { status: 201 });
   } catch (error) {
     console.error('Error creating user:', error);
@@ -183,10 +213,12 @@ export async function POST(request) {
     if (error instanceof z.ZodError) {
       statusCode = 400;
       errorMessage = 'Validation error';
-    } else if (error.code === 'P2002') {
-      // Prisma unique constraint error
+    } else if (error.code === 'CONFLICT') {
+      // Duplicate email or username, whatever the database. Both are unique
+      // across all organizations, so don't say which one, or whose account
+      // it is, to an admin of just this one.
       statusCode = 409;
-      errorMessage = 'User with this email already exists';
+      errorMessage = 'This email or username is not available';
     }
     
     // Return a generic error message (don't leak implementation details)
@@ -196,63 +228,3 @@ export async function POST(request) {
     );
   }
 }
-
-// Simulated database functions
-async function fetchUsers({ page, limit, sortBy, order, search, role, status }) {
-  // In a real app, this would query your database
-  // This is just a simulation
-  
-  // Simulate some delay for a database query
-  await new Promise(resolve => setTimeout(resolve, 100));
-  
-  // Mock data
-  const mockUsers = [
-    { id: '1', username: 'admin', email: 'admin@example.com', role: 'admin', status: 'active' },
-    { id: '2', username: 'user1', email: 'user1@example.com', role: 'user', status: 'active' },
-    { id: '3', username: 'user2', email: 'user2@example.com', role: 'user', status: 'inactive' },
-  ];
-  
-  // Filter based on query parameters
-  let filteredUsers = [...mockUsers];
-  
-  if (search) {
-    const searchLower = search.toLowerCase();
-    filteredUsers = filteredUsers.filter(user => 
-      user.username.toLowerCase().includes(searchLower) || 
-      user.email.toLowerCase().includes(searchLower)
-    );
-  }
-  
-  if (role) {
-    filteredUsers = filteredUsers.filter(user => user.role === role);
-  }
-  
-  if (status) {
-    filteredUsers = filteredUsers.filter(user => user.status === status);
-  }
-  
-  // Calculate pagination
-  const startIndex = (page - 1) * limit;
-  const endIndex = startIndex + limit;
-  
-  // Return paginated results
-  return {
-    data: filteredUsers.slice(startIndex, endIndex),
-    total: filteredUsers.length,
-  };
-}
-
-async function createUser(userData) {
-  // In a real app, this would create a user in your database
-  // This is just a simulation
-  
-  // Simulate some delay for a database operation
-  await new Promise(resolve => setTimeout(resolve, 100));
-  
-  // Return a mock created user
-  return {
-    id: Math.random().toString(36).substring(2, 15),
-    ...userData,
-    createdAt: new Date().toISOString(),
-  };
-}
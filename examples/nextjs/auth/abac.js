@@ -0,0 +1,221 @@
+/**
+ * Attribute-based access control for route handlers
+ *
+ * Role checks (auth/rbac.js) answer "may this kind of user do this kind of
+ * thing?". Policies here answer "may this user do this to this record?",
+ * using attributes of the subject, the resource and the request context.
+ *
+ * A policy is a function of (subject, action, resource, context) that
+ * returns one of:
+ * - allow()              grants access
+ * - deny(code, message)  blocks access, overriding any allow
+ * - abstain(code, msg)   does not apply, but explains why (used in reasons)
+ * - undefined            does not apply
+ *
+ * Access is denied unless at least one policy allows and none deny.
+ */
+
+import { policy as rbac } from './rbac';
+
+// Policy result helpers
+export const allow = () => ({ effect: 'allow' });
+export const deny = (code, message) => ({ effect: 'deny', code, message });
+export const abstain = (code, message) => ({ effect: 'abstain', code, message });
+
+/**
+ * Build an authorization subject from a NextAuth session
+ * @param {Object|null} session - Session from getServerSession(authOptions)
+ * @param {Object} org - Membership from requireOrg(); defaults to the active organization
+ * @returns {Object|null} Subject with id, role, orgId and, while an admin is
+ *   impersonating the user, impersonatorId; null if unauthenticated
+ */
+export function subjectFromSession(session, org) {
+  if (!session?.user?.id) {
+    return null;
+  }
+  
+  return {
+    id: session.user.id,
+    role: org ? org.role : session.user.role,
+    orgId: org ? org.id : session.user.activeOrgId,
+    email: session.user.email,
+    impersonatorId: session.impersonator?.id ?? null,
+  };
+}
+
+/**
+ * Create an authorizer from a set of named policies
+ * @param {Object} policies - Map of policy name to policy function
+ * @returns {Object} Authorizer with can() and authorize()
+ */
+export function createAuthorizer(policies) {
+  const evaluate = (subject, action, resource, context = {}) => {
+    if (!subject) {
+      return {
+        allowed: false,
+        reasons: [{ policy: null, code: 'UNAUTHENTICATED', message: 'Authentication required' }],
+      };
+    }
+    
+    const results = Object.entries(policies)
+      .map(([name, policyFn]) => ({ name, result: policyFn(subject, action, resource, context) }))
+      .filter(({ result }) => result);
+    
+    const toReason = ({ name, result }) => ({ policy: name, code: result.code, message: result.message });
+    
+    const denials = results.filter(({ result }) => result.effect === 'deny');
+    if (denials.length > 0) {
+      return { allowed: false, reasons: denials.map(toReason) };
+    }
+    
+    const allowedBy = results.filter(({ result }) => result.effect === 'allow');
+    if (allowedBy.length > 0) {
+      return { allowed: true, reasons: [], allowedBy: allowedBy.map(({ name }) => name) };
+    }
+    
+    const abstentions = results.filter(({ result }) => result.effect === 'abstain');
+    return {
+      allowed: false,
+      reasons: abstentions.length > 0
+        ? abstentions.map(toReason)
+        : [{ policy: null, code: 'NO_MATCHING_POLICY', message: `No policy allows ${action}` }],
+    };
+  };
+  
+  return {
+    /**
+     * Check whether a subject may perform an action on a resource
+     * @param {Object|null} subject - Subject from subjectFromSession()
+     * @param {string} action - Action, e.g. 'users:update'
+     * @param {Object} resource - The record being accessed
+     * @param {Object} context - Request context, e.g. { changes }
+     * @returns {{ allowed: boolean, reasons: Array<Object> }} Decision with deny reasons
+     */
+    can: evaluate,
+    
+    /**
+     * Like can(), but throws when access is denied
+     * @returns {Object} The decision, if allowed
+     * @throws {Error} With status 403 (or 401) and the deny reasons
+     */
+    authorize: (subject, action, resource, context = {}) => {
+      const decision = evaluate(subject, action, resource, context);
+      
+      if (!decision.allowed) {
+        const error = new Error('Access denied');
+        error.status = subject ? 403 : 401;
+        error.reasons = decision.reasons;
+        throw error;
+      }
+      
+      return decision;
+    },
+  };
+}
+
+// Fields only user managers may change
+const PRIVILEGED_USER_FIELDS = ['role', 'status'];
+
+// Fields of the account itself rather than of one membership: changing them
+// affects the user in every organization they belong to
+const ACCOUNT_FIELDS = ['username', 'email', 'status'];
+
+// Policies for user records
+export const userPolicies = {
+  // Records in another organization are never accessible, whatever the role
+  sameOrganization: (subject, action, resource) => (
+    resource.orgId && resource.orgId !== subject.orgId
+      ? deny('OTHER_ORGANIZATION', 'This record belongs to another organization')
+      : undefined
+  ),
+  
+  // Admins (anyone with users:* permissions) manage all records
+  userManagers: (subject, action) => {
+    const permission = action === 'users:update' ? 'users:write' : action;
+    return rbac.can(subject.role, permission) ? allow() : undefined;
+  },
+  
+  // Users can read and update their own record
+  ownRecord: (subject, action, resource) => {
+    if (!['users:read', 'users:update'].includes(action)) {
+      return undefined;
+    }
+    return subject.id === resource.id
+      ? allow()
+      : abstain('NOT_OWNER', 'You can only access your own record');
+  },
+  
+  // Regular users cannot change their own role or status
+  privilegedFields: (subject, action, resource, { changes = {} }) => {
+    if (action !== 'users:update' || rbac.can(subject.role, 'users:write')) {
+      return undefined;
+    }
+    
+    const fields = PRIVILEGED_USER_FIELDS.filter(field => field in changes);
+    return fields.length > 0
+      ? deny('FIELD_NOT_ALLOWED', `You cannot change: ${fields.join(', ')}`)
+      : undefined;
+  },
+  
+  // An organization only manages the account fields of users who belong to
+  // no other organization; otherwise one tenant could change (or take over,
+  // via the email) an account other tenants rely on.
+  // Context: { changes, memberships } with the user's number of memberships.
+  sharedAccount: (subject, action, resource, { changes = {}, memberships = 1 }) => {
+    if (action !== 'users:update' || subject.id === resource.id || memberships <= 1) {
+      return undefined;
+    }
+    
+    const fields = ACCOUNT_FIELDS.filter(field => field in changes);
+    return fields.length > 0
+      ? deny('SHARED_ACCOUNT', `This user also belongs to other organizations; you cannot change: ${fields.join(', ')}`)
+      : undefined;
+  },
+  
+  // An admin acting as the user is the user as far as ownRecord is
+  // concerned, but must never redirect or deactivate the account: that
+  // would hand them every organization the user belongs to
+  impersonatedAccount: (subject, action, resource, { changes = {} }) => {
+    if (action !== 'users:update' || !subject.impersonatorId) {
+      return undefined;
+    }
+    
+    const fields = ACCOUNT_FIELDS.filter(field => field in changes);
+    return fields.length > 0
+      ? deny('IMPERSONATED', `Not available while impersonating a user; you cannot change: ${fields.join(', ')}`)
+      : undefined;
+  },
+  
+  // Nobody changes their own role or deactivates themselves (avoids admin lockout)
+  noSelfRoleChange: (subject, action, resource, { changes = {} }) => {
+    if (action !== 'users:update' || subject.id !== resource.id) {
+      return undefined;
+    }
+    
+    const demoting = 'role' in changes && changes.role !== subject.role;
+    const deactivating = changes.status === 'inactive';
+    return demoting || deactivating
+      ? deny('SELF_LOCKOUT', 'You cannot change your own role or deactivate your own account')
+      : undefined;
+  },
+};
+
+// Default authorizer for user records
+export const userAuthorizer = createAuthorizer(userPolicies);
+
+// Example usage:
+
+/*
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/auth/auth-config';
+import { subjectFromSession, userAuthorizer } from '@/auth/abac';
+
+const session = await getServerSession(authOptions);
+const subject = subjectFromSession(session);
+
+userAuthorizer.can(subject, 'users:update', { id: '2' }, { changes: { role: 'admin' } });
+// {
+//   allowed: false,
+//   reasons: [{ policy: 'privilegedFields', code: 'FIELD_NOT_ALLOWED', message: 'You cannot change: role' }]
+// }
+*/
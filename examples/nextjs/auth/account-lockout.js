@@ -0,0 +1,284 @@
+/**
+ * Account lockout for credential sign-in
+ *
+ * Tracks failed sign-ins per account (not per IP, which credential
+ * stuffing rotates through) and slows them down:
+ * - Each failure doubles the wait before the next attempt (progressive backoff)
+ * - After `maxFailures` the account is locked for `lockoutDuration`
+ * - A locked account unlocks when the timer runs out, or with a single-use
+ *   token emailed to the owner
+ *
+ * Accounts are keyed by the submitted email, whether or not it exists, so
+ * lockout behaviour doesn't reveal which emails are registered.
+ *
+ * Every failure, throttle, lock and unlock is emitted as an event for
+ * alerting (see `onEvent`).
+ *
+ * Records expire on their own instead of being evicted to make room, so
+ * failing sign-ins for thousands of other emails can't flush a locked
+ * account's record. In production the store must also be shared by every
+ * instance (e.g. Redis with key expiry), or attackers can spread attempts
+ * across them.
+ */
+
+import { createHash, randomBytes } from 'crypto';
+
+// Default event sink: one structured line per event, easy to alert on
+const logEvent = (event) => {
+  console.warn('[security]', JSON.stringify(event));
+};
+
+const hashToken = (token) => createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Normalize an email into a lockout key
+ * @param {string} email - Submitted email
+ * @returns {string} Lockout key
+ */
+export const lockoutKey = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Create an in-memory lockout store
+ * Entries are dropped once `expiresAt` passes. To bound memory, entries set
+ * with `evictable: true` (failure counters) are evicted oldest first beyond
+ * `max`; the rest (locks and unlock tokens) are only ever dropped on expiry.
+ * Under that much load an account's failures below the lock threshold can
+ * still be forgotten, which a store with key expiry (e.g. Redis) avoids.
+ * Single instance only: see the module comment.
+ * @param {Object} options - Store options
+ * @param {number} options.max - Entries kept before evictable ones are dropped
+ * @param {function} options.now - Clock returning milliseconds
+ * @returns {Object} Store with get/set/delete
+ */
+export function createLockoutStore({ max = 10000, now = Date.now } = {}) {
+  const entries = new Map();
+  let sweptAt = 0;
+  
+  // Drop expired entries at most once a minute, then evictable ones while over max
+  const prune = () => {
+    if (now() - sweptAt >= 60 * 1000) {
+      sweptAt = now();
+      for (const [key, entry] of entries) {
+        if (entry.expiresAt <= now()) {
+          entries.delete(key);
+        }
+      }
+    }
+    
+    for (const [key, entry] of entries) {
+      if (entries.size <= max) {
+        break;
+      }
+      if (entry.evictable) {
+        entries.delete(key);
+      }
+    }
+  };
+  
+  return {
+    get: async (key) => {
+      const entry = entries.get(key);
+      if (entry && entry.expiresAt <= now()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry ? entry.value : null;
+    },
+    
+    // Re-inserted so eviction order follows the latest write
+    set: async (key, value, { expiresAt, evictable = false } = {}) => {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt, evictable });
+      prune();
+    },
+    
+    delete: async (key) => {
+      entries.delete(key);
+    },
+  };
+}
+
+/**
+ * Create an account lockout tracker
+ * @param {Object} options - Lockout options
+ * @param {function} options.now - Clock returning milliseconds
+ * @param {Object} options.store - Lockout store (see createLockoutStore)
+ * @param {number} options.maxFailures - Failures before the account locks
+ * @param {number} options.baseDelay - Wait after the first failure, in milliseconds
+ * @param {number} options.maxDelay - Longest wait between attempts, in milliseconds
+ * @param {number} options.lockoutDuration - Lock length, in milliseconds
+ * @param {number} options.failureWindow - Failures older than this are forgotten
+ * @param {number} options.unlockTokenTtl - Unlock token lifetime, in milliseconds
+ * @param {function} options.onEvent - Receives { type, account, ... } for every event
+ * @returns {Object} Lockout tracker
+ */
+export function createAccountLockout({
+  now = Date.now,
+  store = createLockoutStore({ now }),
+  maxFailures = 5,
+  baseDelay = 1000,
+  maxDelay = 30 * 1000,
+  lockoutDuration = 15 * 60 * 1000,
+  failureWindow = 60 * 60 * 1000,
+  unlockTokenTtl = 60 * 60 * 1000,
+  onEvent = logEvent,
+} = {}) {
+  const emit = (type, details) => onEvent({ type, at: new Date(now()).toISOString(), ...details });
+  
+  // 1s, 2s, 4s, ... capped at maxDelay
+  const delayAfter = (failures) => (
+    failures > 0 ? Math.min(baseDelay * 2 ** (failures - 1), maxDelay) : 0
+  );
+  
+  // Load a record, forgetting expired locks and stale failures
+  const load = async (key) => {
+    const record = await store.get(`account:${key}`);
+    if (!record) {
+      return null;
+    }
+    
+    const lockExpired = record.lockedUntil && record.lockedUntil <= now();
+    const failuresStale = !record.lockedUntil && now() - record.lastFailureAt > failureWindow;
+    if (lockExpired || failuresStale) {
+      await store.delete(`account:${key}`);
+      if (lockExpired) {
+        emit('auth.account_unlocked', { account: key, method: 'timer' });
+      }
+      return null;
+    }
+    
+    return record;
+  };
+  
+  return {
+    /**
+     * Check whether a sign-in attempt may proceed
+     * Call before verifying the password.
+     * @param {string} email - Submitted email
+     * @returns {Promise<{ allowed: boolean, reason?: string, retryAfter?: number }>}
+     *   Result; retryAfter is in seconds
+     */
+    check: async (email) => {
+      const key = lockoutKey(email);
+      const record = await load(key);
+      if (!record) {
+        return { allowed: true };
+      }
+      
+      if (record.lockedUntil) {
+        return { allowed: false, reason: 'locked', retryAfter: Math.ceil((record.lockedUntil - now()) / 1000) };
+      }
+      
+      const nextAttemptAt = record.lastFailureAt + delayAfter(record.failures);
+      if (now() < nextAttemptAt) {
+        emit('auth.login_throttled', { account: key, failures: record.failures });
+        return { allowed: false, reason: 'throttled', retryAfter: Math.ceil((nextAttemptAt - now()) / 1000) };
+      }
+      
+      return { allowed: true };
+    },
+    
+    /**
+     * Record a failed sign-in
+     * @param {string} email - Submitted email
+     * @param {Object} context - Extra event details, e.g. { ip }
+     * @returns {Promise<{ failures: number, locked: boolean, lockedUntil?: number }>} Updated state
+     */
+    recordFailure: async (email, context = {}) => {
+      const key = lockoutKey(email);
+      const record = await load(key);
+      const failures = (record?.failures || 0) + 1;
+      
+      emit('auth.login_failed', { account: key, failures, ...context });
+      
+      if (failures >= maxFailures) {
+        const lockedUntil = now() + lockoutDuration;
+        // Kept past the lock for a while so the timer unlock is still reported
+        await store.set(
+          `account:${key}`,
+          { failures, lastFailureAt: now(), lockedUntil },
+          { expiresAt: lockedUntil + failureWindow }
+        );
+        emit('auth.account_locked', { account: key, failures, lockedUntil: new Date(lockedUntil).toISOString(), ...context });
+        return { failures, locked: true, lockedUntil };
+      }
+      
+      await store.set(
+        `account:${key}`,
+        { failures, lastFailureAt: now() },
+        { expiresAt: now() + failureWindow, evictable: true }
+      );
+      return { failures, locked: false };
+    },
+    
+    /**
+     * Clear the failure history after a successful sign-in
+     * @param {string} email - Account email
+     */
+    recordSuccess: async (email) => {
+      await store.delete(`account:${lockoutKey(email)}`);
+    },
+    
+    /**
+     * Issue a single-use unlock token to email to the account owner
+     * Only the token's hash is stored.
+     * @param {string} email - Account email
+     * @returns {Promise<string>} Unlock token
+     */
+    issueUnlockToken: async (email) => {
+      const token = randomBytes(32).toString('base64url');
+      const expiresAt = now() + unlockTokenTtl;
+      await store.set(`unlock:${hashToken(token)}`, {
+        account: lockoutKey(email),
+        expiresAt,
+      }, { expiresAt });
+      return token;
+    },
+    
+    /**
+     * Unlock an account with an emailed token
+     * @param {string} token - Unlock token
+     * @returns {Promise<boolean>} True if the token was valid and the account unlocked
+     */
+    unlock: async (token) => {
+      const tokenKey = `unlock:${hashToken(token)}`;
+      const entry = await store.get(tokenKey);
+      await store.delete(tokenKey);
+      
+      if (!entry || entry.expiresAt <= now()) {
+        return false;
+      }
+      
+      await store.delete(`account:${entry.account}`);
+      emit('auth.account_unlocked', { account: entry.account, method: 'token' });
+      return true;
+    },
+  };
+}
+
+// Default tracker used by the credentials provider
+export const accountLockout = createAccountLockout();
+
+// Example usage in a sign-in handler:
+
+/*
+import { accountLockout } from '@/auth/account-lockout';
+
+const status = await accountLockout.check(email);
+if (!status.allowed) {
+  return Response.json(
+    { error: 'Too many failed attempts. Please try again later.' },
+    { status: 429, headers: { 'Retry-After': String(status.retryAfter) } }
+  );
+}
+
+if (await verifyPassword(email, password)) {
+  await accountLockout.recordSuccess(email);
+} else {
+  const { locked } = await accountLockout.recordFailure(email, { ip });
+  if (locked) {
+    const token = await accountLockout.issueUnlockToken(email);
+    // Email `${process.env.NEXTAUTH_URL}/auth/unlock?token=${token}` to the owner
+  }
+}
+*/
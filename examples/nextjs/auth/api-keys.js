@@ -0,0 +1,237 @@
+/**
+ * API keys for machine clients
+ *
+ * Integrations and scheduled jobs authenticate with
+ * `Authorization: Bearer sk_<id>_<secret>` instead of a browser session:
+ * - The full key is shown once, when it is created; only its SHA-256 hash
+ *   is stored. The secret is 256 bits of randomness, so a fast hash is
+ *   enough (unlike passwords).
+ * - The `<id>` part is stored in the clear to look the key up, and to
+ *   recognise it in listings and logs
+ * - A key belongs to one user and one organization, and carries scopes:
+ *   permissions from auth/rbac.js the key may use. Requests need both the
+ *   scope and the owner's current role in the organization, so a key
+ *   never outlives a demotion.
+ * - Keys expire (at most a year after creation), record when they were
+ *   last used, and can be revoked at any time
+ *
+ * Route handlers accept keys through authenticateRequest() in
+ * auth/authenticate-request.js; routes opt in with `apiKeys: true` in
+ * auth/rbac.js.
+ *
+ * This module has no Node.js dependencies, so it runs in the Edge runtime.
+ */
+
+// Every key starts with this, so leaked keys are easy to scan for
+export const API_KEY_PREFIX = 'sk_';
+
+// Lifetime when none is requested, and the longest allowed, in days
+export const DEFAULT_API_KEY_TTL_DAYS = 90;
+export const MAX_API_KEY_TTL_DAYS = 365;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// `sk_<16 hex>_<43 base64url>`
+const KEY_PATTERN = /^sk_([0-9a-f]{16})_([A-Za-z0-9_-]{43})$/;
+
+// Errors carry an HTTP status, like the rest of the auth helpers
+const fail = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const randomBytes = (length) => crypto.getRandomValues(new Uint8Array(length));
+
+const toHex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+
+const toBase64Url = (bytes) => btoa(String.fromCharCode(...bytes))
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+const hashKey = async (key) => toHex(new Uint8Array(
+  await crypto.subtle.digest('SHA-256', new TextEncoder().encode(key))
+));
+
+// Compare hashes without stopping at the first difference
+const safeEqual = (a, b) => {
+  if (a.length !== b.length) {
+    return false;
+  }
+  
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return difference === 0;
+};
+
+/**
+ * Read an API key from the Authorization header
+ * @param {Headers} headers - Request headers
+ * @returns {string|null} The key, or null if the header isn't `Bearer sk_...`
+ */
+export function readApiKey(headers) {
+  const match = /^Bearer\s+(\S+)$/i.exec(headers.get('authorization') || '');
+  return match && match[1].startsWith(API_KEY_PREFIX) ? match[1] : null;
+}
+
+/**
+ * Public view of a key, without its hash
+ * @param {Object} record - Stored key
+ * @returns {Object} { id, prefix, name, orgId, scopes, createdAt, expiresAt, lastUsedAt, revokedAt }
+ */
+export function toPublicApiKey({ hash, userId, ...record }) {
+  return { ...record, prefix: `${API_KEY_PREFIX}${record.id}` };
+}
+
+/**
+ * Create an in-memory API key store
+ * Use a database table in production, keyed by `id` with an index on `userId`.
+ * @returns {Object} Store with get/save/listByUser
+ */
+export function createApiKeyStore() {
+  const records = new Map();
+  
+  return {
+    get: async (id) => records.get(id) || null,
+    save: async (record) => {
+      records.set(record.id, record);
+    },
+    listByUser: async (userId) => [...records.values()].filter(record => record.userId === userId),
+  };
+}
+
+/**
+ * Create the API key service
+ * @param {Object} options - Service options
+ * @param {Object} options.store - Key store (see createApiKeyStore)
+ * @param {function} options.now - Clock returning milliseconds
+ * @param {number} options.maxKeysPerUser - Active keys allowed per user
+ * @param {number} options.lastUsedInterval - Minimum milliseconds between
+ *   last-used writes for a key, to avoid a write on every request
+ * @returns {Object} API key service
+ */
+export function createApiKeyService({
+  store = createApiKeyStore(),
+  now = Date.now,
+  maxKeysPerUser = 20,
+  lastUsedInterval = 60 * 1000,
+} = {}) {
+  const isActive = (record) => !record.revokedAt && record.expiresAt > now();
+  
+  return {
+    /**
+     * Create a key. The caller has already checked the user's role in the organization.
+     * @param {Object} options - Key details
+     * @param {string} options.userId - Owner
+     * @param {string} options.orgId - Organization the key acts in
+     * @param {string[]} options.grantable - Permissions the owner has there
+     *   (policy.permissionsFor(role)); scopes must be among them
+     * @param {string} options.name - Label, e.g. "Nightly CRM sync"
+     * @param {string[]} options.scopes - Permissions the key may use
+     * @param {number} options.expiresInDays - Lifetime (default 90, at most 365)
+     * @returns {Promise<{ key: string, apiKey: Object }>} The full key, to show
+     *   once, and its public view
+     * @throws {Error} With status 400 for scopes the owner doesn't have or an
+     *   invalid lifetime, or 409 if the user has too many keys
+     */
+    create: async ({ userId, orgId, grantable, name, scopes, expiresInDays = DEFAULT_API_KEY_TTL_DAYS }) => {
+      const ungranted = scopes.filter(scope => !grantable.includes(scope));
+      if (scopes.length === 0 || ungranted.length > 0) {
+        throw fail(ungranted.length > 0 ? `Scopes not available to you: ${ungranted.join(', ')}` : 'At least one scope is required');
+      }
+      if (!(expiresInDays > 0 && expiresInDays <= MAX_API_KEY_TTL_DAYS)) {
+        throw fail(`Keys must expire within ${MAX_API_KEY_TTL_DAYS} days`);
+      }
+      
+      const active = (await store.listByUser(userId)).filter(isActive);
+      if (active.length >= maxKeysPerUser) {
+        throw fail(`You can have at most ${maxKeysPerUser} active API keys`, 409);
+      }
+      
+      const id = toHex(randomBytes(8));
+      const key = `${API_KEY_PREFIX}${id}_${toBase64Url(randomBytes(32))}`;
+      const record = {
+        id,
+        userId,
+        orgId,
+        name,
+        scopes: [...new Set(scopes)],
+        hash: await hashKey(key),
+        createdAt: now(),
+        expiresAt: now() + expiresInDays * DAY,
+        lastUsedAt: null,
+        revokedAt: null,
+      };
+      await store.save(record);
+      
+      return { key, apiKey: toPublicApiKey(record) };
+    },
+    
+    /**
+     * List a user's keys that haven't been revoked, including expired ones
+     * @param {string} userId - Owner
+     * @returns {Promise<Object[]>} Public views, newest first
+     */
+    list: async (userId) => (await store.listByUser(userId))
+      .filter(record => !record.revokedAt)
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(toPublicApiKey),
+    
+    /**
+     * Revoke one of a user's keys
+     * @param {string} userId - Owner
+     * @param {string} id - Key ID
+     * @returns {Promise<void>}
+     * @throws {Error} With status 404 if the user has no such key
+     */
+    revoke: async (userId, id) => {
+      const record = await store.get(id);
+      if (!record || record.userId !== userId || record.revokedAt) {
+        throw fail('API key not found', 404);
+      }
+      
+      await store.save({ ...record, revokedAt: now() });
+    },
+    
+    /**
+     * Check a presented key and record its use
+     * @param {string} key - Full key from the Authorization header
+     * @returns {Promise<Object|null>} The stored key ({ id, userId, orgId, scopes, ... }),
+     *   or null if it is unknown, wrong, expired or revoked
+     */
+    verify: async (key) => {
+      const match = KEY_PATTERN.exec(String(key));
+      const record = match && await store.get(match[1]);
+      if (!record || !safeEqual(record.hash, await hashKey(key)) || !isActive(record)) {
+        return null;
+      }
+      
+      if (record.lastUsedAt && now() - record.lastUsedAt < lastUsedInterval) {
+        return record;
+      }
+      
+      const used = { ...record, lastUsedAt: now() };
+      await store.save(used);
+      return used;
+    },
+  };
+}
+
+// Default service used by authenticateRequest() and the API key routes
+export const apiKeys = createApiKeyService();
+
+// Example: calling the users API from a cron job
+
+/*
+// The key is created in the app (POST /api/auth/api-keys) and kept in a secret store
+const response = await fetch('https://app.example.com/api/users?limit=100', {
+  headers: { Authorization: `Bearer ${process.env.APP_API_KEY}` },
+});
+
+if (response.status === 401) {
+  // Expired or revoked: WWW-Authenticate says error="invalid_token"
+}
+*/
@@ -7,8 +7,21 @@
 
 import NextAuth from "next-auth";
 import CredentialsProvider from "next-auth/providers/credentials";
+import { cookies, headers } from "next/headers";
 import { compare } from "bcryptjs";
 import { z } from "zod";
+import { MAX_ORGS_IN_TOKEN, findMembership, selectActiveOrg } from "./tenancy";
+import { MFA_PENDING_TTL, mfaService } from "./mfa";
+import { passkeyService } from "./passkeys";
+import { accountLockout } from "./account-lockout";
+import { userRepository } from "./user-repository";
+import { sessionRevocation } from "./session-revocation";
+import { LINK_INTENT_COOKIE, accountLinking, oauthProviders } from "./oauth";
+import { DEVICE_COOKIE, DEVICE_COOKIE_MAX_AGE, loginAnomaly, newDeviceId } from "./login-anomaly";
+import { impersonation, isImpersonationExpired } from "./impersonation";
+import { authLimiter } from "@/utils/rate-limit";
+import { mailer } from "@/utils/email";
+import { cookiePolicy } from "@/config/cookie-policy";
 
 // Input validation schema for login credentials
 const loginSchema = z.object({
@@ -16,23 +29,120 @@ const loginSchema = z.object({
   password: z.string().min(8, "Password must be at least 8 characters"),
 });
 
-// Simulate a database call to retrieve a user
-// In a real app, this would query your database
-async function getUserByEmail(email) {
-  // This is a simulation! Replace with actual database query
-  // NEVER store plain text passwords in a real application
-  const users = [
-    {
-      id: "1",
-      email: "user@example.com",
-      // In reality, this would be a hashed password
-      passwordHash: "$2a$12$K6vGhA.yU3Tyq0Kq9ifs7.YpMckg3vN1AKVk.gr9KcBYz9wRUFQUi", // "securePassword123"
-      name: "Test User",
-      role: "user",
-    },
-  ];
+// Error shown on the sign-in page (?error=TooManyAttempts) when an IP or
+// account is throttled or locked. The same for every account, so it
+// doesn't reveal which emails are registered.
+const LOGIN_THROTTLED = "TooManyAttempts";
+
+// bcrypt hash of a random string, compared against when the user doesn't
+// exist so both branches take the same time. Same cost factor as real hashes.
+const DUMMY_PASSWORD_HASH = "$2a$12$Lo6EZm48swvYpymKnGgHR.Fht6WAfAZ7FK/lMJHvPiCwq6Phf5IHG";
+
+// Passkey sign-in: the ceremony ID and the JSON-encoded assertion
+const passkeySchema = z.object({
+  ceremonyId: z.string().min(1).max(100),
+  response: z.string().min(1).max(16 * 1024),
+});
+
+// Step-up re-authentication (see auth/step-up.js): any combination of the
+// password, a TOTP or recovery code, and a passkey assertion
+const reauthSchema = z.object({
+  password: z.string().min(1).max(1024).optional(),
+  mfaCode: z.string().min(1).max(64).optional(),
+  passkey: passkeySchema.optional(),
+}).refine(({ password, mfaCode, passkey }) => password || mfaCode || passkey);
+
+// Verify step-up credentials for a signed-in user.
+// Returns the amr values (RFC 8176) verified, or null if any credential is wrong.
+async function reauthenticate(userId, credentials) {
+  const result = reauthSchema.safeParse(credentials);
+  if (!result.success) {
+    return null;
+  }
+  
+  const { password, mfaCode, passkey } = result.data;
+  const user = await userRepository.findById(userId);
+  if (!user) {
+    return null;
+  }
+  
+  const amr = [];
+  
+  if (password) {
+    // Same lockout as sign-in, so a stolen session can't be used to guess the password
+    const lockout = await accountLockout.check(user.email);
+    if (!lockout.allowed) {
+      return null;
+    }
+    
+    const isPasswordValid = await compare(password, user.passwordHash ?? DUMMY_PASSWORD_HASH);
+    if (!user.passwordHash || !isPasswordValid) {
+      await accountLockout.recordFailure(user.email);
+      return null;
+    }
+    
+    await accountLockout.recordSuccess(user.email);
+    amr.push("pwd");
+  }
+  
+  if (mfaCode) {
+    const { valid, method } = await mfaService.verify(user.id, mfaCode);
+    if (!valid) {
+      return null;
+    }
+    amr.push(method === "recovery" ? "kba" : "otp");
+  }
   
-  return users.find(user => user.email === email);
+  if (passkey) {
+    // The passkey must belong to the signed-in user, not just any account
+    const { userId: owner } = await passkeyService.finishAuthentication(passkey.ceremonyId, JSON.parse(passkey.response));
+    if (owner !== user.id) {
+      return null;
+    }
+    amr.push("hwk", "user");
+  }
+  
+  return amr;
+}
+
+// Score a sign-in against the user's known devices and locations, and
+// notify them about anything new (see auth/login-anomaly.js). Runs inside
+// the NextAuth route handler, so the request's cookies and headers are
+// available. Never blocks sign-in.
+async function recordLoginContext(userId, options) {
+  try {
+    const requestHeaders = headers();
+    const cookieStore = cookies();
+    const forwarded = requestHeaders.get("x-forwarded-for");
+    
+    // Give browsers without a device cookie a new one
+    const deviceCookie = cookiePolicy.cookie(DEVICE_COOKIE, { maxAge: DEVICE_COOKIE_MAX_AGE });
+    let deviceId = cookieStore.get(deviceCookie.name)?.value;
+    if (!deviceId) {
+      deviceId = newDeviceId();
+      cookieStore.set(deviceCookie.name, deviceId, deviceCookie.options);
+    }
+    
+    await loginAnomaly.recordLogin(userId, {
+      deviceId,
+      userAgent: requestHeaders.get("user-agent"),
+      ip: forwarded ? forwarded.split(",")[0].trim() : null,
+    }, options);
+  } catch (error) {
+    console.error("Error recording sign-in context:", error);
+  }
+}
+
+// Send the account unlock email
+async function sendUnlockEmail(user, token) {
+  const unlockUrl = `${process.env.NEXTAUTH_URL}/auth/unlock?token=${encodeURIComponent(token)}`;
+  await mailer.send({
+    to: user.email,
+    subject: "Your account was locked",
+    text: `We locked your account after several failed sign-in attempts.\n\n`
+      + `To unlock it now, open this link:\n${unlockUrl}\n\n`
+      + `If these attempts weren't you, consider resetting your password.`,
+  });
 }
 
 export const authOptions = {
@@ -44,7 +154,11 @@ export const authOptions = {
         email: { label: "Email", type: "email" },
         password: { label: "Password", type: "password" },
       },
-      async authorize(credentials) {
+      async authorize(credentials, req) {
+        // Client IP, for the per-IP limit and failure events
+        const forwarded = req?.headers?.["x-forwarded-for"];
+        const ip = forwarded ? String(forwarded).split(",")[0].trim() : "anonymous";
+        
         try {
           // Validate input format using Zod
           const result = loginSchema.safeParse(credentials);
@@ -54,35 +168,118 @@ export const authOptions = {
           
           const { email, password } = result.data;
           
-          // Get user from database
-          const user = await getUserByEmail(email);
-          if (!user) {
-            // Don't reveal that the user doesn't exist
-            console.log("Authentication failed: User not found");
-            return null;
+          // Per-IP limit catches one client trying many accounts...
+          try {
+            await authLimiter.check(Number(process.env.RATE_LIMIT_AUTH) || 5, `login_${ip}`);
+          } catch (error) {
+            if (error.status !== 429) {
+              throw error;
+            }
+            console.log("Authentication throttled: IP rate limit", ip);
+            throw new Error(LOGIN_THROTTLED);
           }
           
-          // Verify password with bcrypt
-          const isPasswordValid = await compare(password, user.passwordHash);
-          if (!isPasswordValid) {
-            // Don't reveal that the password is incorrect
-            console.log("Authentication failed: Invalid password");
+          // ...and per-account lockout catches many clients trying one account
+          const lockout = await accountLockout.check(email);
+          if (!lockout.allowed) {
+            throw new Error(LOGIN_THROTTLED);
+          }
+          
+          // Get user from database. Deactivated accounts are treated exactly
+          // like unknown ones, so the response doesn't reveal them either.
+          const account = await userRepository.findByEmail(email);
+          const user = account?.status === "active" ? account : null;
+          
+          // Verify password with bcrypt. Unknown users are compared against a
+          // dummy hash so the response takes as long as for a wrong password.
+          const isPasswordValid = await compare(password, user?.passwordHash ?? DUMMY_PASSWORD_HASH);
+          if (!user || !isPasswordValid) {
+            // Don't reveal whether the user exists or the password is incorrect
+            console.log("Authentication failed: Invalid credentials");
+            
+            const { locked } = await accountLockout.recordFailure(email, { ip });
+            if (locked && user) {
+              // Not awaited, so locking a real account takes no longer than a fake one
+              accountLockout.issueUnlockToken(email)
+                .then(token => sendUnlockEmail(user, token))
+                .catch(error => console.error("Error sending unlock email:", error));
+            }
             return null;
           }
           
+          await accountLockout.recordSuccess(email);
+          
+          // Password accepted. With MFA enabled this is only the first step:
+          // the session stays "MFA pending" until a code is verified.
+          const mfaPending = await mfaService.isEnabled(user.id);
+          
           // Never include sensitive information in the session
           return {
             id: user.id,
             email: user.email,
             name: user.name,
-            role: user.role,
+            orgs: user.orgs.slice(0, MAX_ORGS_IN_TOKEN),
+            platformRole: user.platformRole ?? null,
+            mfaPending,
           };
         } catch (error) {
+          // Surface throttling to the sign-in page; everything else is a plain failure
+          if (error.message === LOGIN_THROTTLED) {
+            throw error;
+          }
           console.error("Error in authorize function:", error);
           return null;
         }
       },
     }),
+    
+    // Passwordless sign-in with a passkey (see auth/passkeys.js).
+    // Runs alongside the password provider so users can migrate gradually.
+    CredentialsProvider({
+      id: "passkey",
+      name: "Passkey",
+      credentials: {
+        ceremonyId: { type: "text" },
+        response: { type: "text" },
+      },
+      async authorize(credentials) {
+        try {
+          const result = passkeySchema.safeParse(credentials);
+          if (!result.success) {
+            return null;
+          }
+          
+          const { ceremonyId, response } = result.data;
+          
+          // Verifies the challenge, signature and signature counter
+          const { userId } = await passkeyService.finishAuthentication(ceremonyId, JSON.parse(response));
+          
+          const user = await userRepository.findById(userId);
+          if (!user || user.status !== "active") {
+            console.log("Authentication failed: Passkey owner not found or inactive");
+            return null;
+          }
+          
+          // A user-verified passkey is both factors in one (possession plus
+          // biometric or PIN), so it never leaves the session MFA pending
+          return {
+            id: user.id,
+            email: user.email,
+            name: user.name,
+            orgs: user.orgs.slice(0, MAX_ORGS_IN_TOKEN),
+            platformRole: user.platformRole ?? null,
+            amr: ["hwk", "user"],
+            mfaPending: false,
+          };
+        } catch (error) {
+          console.log("Authentication failed:", error.message);
+          return null;
+        }
+      },
+    }),
+    
+    // Google, GitHub and OpenID Connect, as configured (see auth/oauth.js)
+    ...oauthProviders(),
   ],
   
   // Configure secure sessions
@@ -96,23 +293,208 @@ export const authOptions = {
     maxAge: 30 * 60, // 30 minutes
   },
   
-  // Include user role in token and session
+  // Include organization memberships and the active organization's role
+  // in token and session. `role` is always the role in `activeOrgId`.
   callbacks: {
-    async jwt({ token, user }) {
+    // OAuth sign-ins go through the account linking policy in auth/oauth.js.
+    // Credentials and passkey sign-ins were already checked in authorize().
+    async signIn({ user, account }) {
+      if (account?.type !== "oauth") {
+        return true;
+      }
+      
+      const result = await accountLinking.resolveSignIn({
+        provider: account.provider,
+        providerAccountId: account.providerAccountId,
+        email: user.email,
+        name: user.name,
+        emailVerified: user.emailVerified === true,
+      }, {
+        intentId: cookies().get(cookiePolicy.name(LINK_INTENT_COOKIE))?.value,
+      });
+      
+      // Linking keeps the current session and asks the user to confirm
+      if (result.linkId) {
+        return `/auth/link?link=${encodeURIComponent(result.linkId)}`;
+      }
+      if (result.error) {
+        return `/auth/error?error=${result.error}`;
+      }
+      
+      // Deactivated accounts can't sign in with a provider either
+      if (result.user?.status !== "active") {
+        return "/auth/error?error=AccessDenied";
+      }
+      return true;
+    },
+    async jwt({ token, user, account, trigger, session }) {
+      // The OAuth profile carries the provider's user ID: continue as the
+      // local account it is linked to. Only the methods we verified count
+      // towards step-up, so amr starts empty.
+      if (user && account?.type === "oauth") {
+        const local = await userRepository.findByIdentity(account.provider, account.providerAccountId);
+        if (local?.status !== "active") {
+          return null;
+        }
+        token.sub = local.id;
+        token.email = local.email;
+        token.name = local.name;
+        user = {
+          id: local.id,
+          orgs: local.orgs.slice(0, MAX_ORGS_IN_TOKEN),
+          platformRole: local.platformRole ?? null,
+          amr: [],
+          mfaPending: await mfaService.isEnabled(local.id),
+        };
+      }
+      
       if (user) {
-        token.role = user.role;
+        const activeOrg = selectActiveOrg(user.orgs);
+        token.orgs = user.orgs.map(({ id, role }) => ({ id, role }));
+        token.activeOrgId = activeOrg?.id;
+        token.role = activeOrg?.role;
+        token.platformRole = user.platformRole ?? null;
+        
+        // Authentication methods used and when, in seconds (RFC 8176 amr
+        // and OpenID Connect auth_time), for step-up checks in auth/step-up.js
+        token.amr = user.amr || ["pwd"];
+        token.auth_time = Math.floor(Date.now() / 1000);
+        
+        // Session ID and the user's session version, for server-side revocation
+        Object.assign(token, await sessionRevocation.issue(user.id));
+        token.mfaPending = Boolean(user.mfaPending);
+        token.mfaExpiresAt = user.mfaPending ? Date.now() + MFA_PENDING_TTL : undefined;
+        
+        // A correct password is worth reporting even before the second factor,
+        // but the device is only remembered once sign-in completes
+        await recordLoginContext(user.id, { complete: !user.mfaPending });
+      }
+      
+      // Revoked sessions (signed out, "log out all devices", role change) and
+      // sessions that started before the last password change (e.g. a reset)
+      // are rejected, as are sessions of deactivated accounts. Returning
+      // null signs the session out. While impersonating, these apply to the
+      // admin who owns the session.
+      if (!user && token.sub) {
+        if (await sessionRevocation.isRevoked(token)) {
+          return null;
+        }
+        
+        const account = await userRepository.findById(token.act?.sub ?? token.sub);
+        if (!account || account.status !== "active"
+          || Math.floor((account.passwordChangedAt ?? 0) / 1000) > (token.auth_time ?? 0)) {
+          return null;
+        }
+        
+        // Platform roles are granted and withdrawn outside any organization,
+        // so take them from the account rather than trusting the token.
+        // Impersonated sessions never carry the admin's.
+        token.platformRole = token.act ? null : account.platformRole ?? null;
       }
+      
+      // Impersonation (see auth/impersonation.js) reverts to the admin when
+      // its time box runs out or via useSession().update({ stopImpersonating: true })
+      if (isImpersonationExpired(token)) {
+        await impersonation.stop(token, "expired");
+      } else if (trigger === "update" && token.act && session?.stopImpersonating) {
+        await impersonation.stop(token, "stopped");
+        return token;
+      }
+      
+      // Start impersonating via useSession().update({ impersonate: grantId }),
+      // with a grant from POST /api/auth/impersonation. Sessions that are
+      // already impersonating can't chain.
+      if (trigger === "update" && !token.mfaPending && !token.act && session?.impersonate) {
+        await impersonation.start(token, session.impersonate);
+        return token;
+      }
+      
+      // Second sign-in step via useSession().update({ mfaCode }).
+      // Only this callback can clear mfaPending, and only for a valid code.
+      if (trigger === "update" && token.mfaPending && session?.mfaCode) {
+        if (token.mfaExpiresAt > Date.now()) {
+          try {
+            const result = await mfaService.verify(token.sub, session.mfaCode);
+            if (result.valid) {
+              token.mfaPending = false;
+              token.mfaExpiresAt = undefined;
+              token.amr = ["pwd", result.method === "recovery" ? "kba" : "otp"];
+              token.auth_time = Math.floor(Date.now() / 1000);
+              
+              // Already reported at the password step
+              await recordLoginContext(token.sub, { notify: false });
+            }
+          } catch (error) {
+            // Locked out: the session stays pending
+            console.log("MFA verification failed:", error.message);
+          }
+        }
+        return token;
+      }
+      
+      // Step-up re-authentication via useSession().update({ reauth }).
+      // Success restarts auth_time and replaces amr with the methods just
+      // used; failure leaves the token unchanged, so the route challenges again.
+      // Not while impersonating: the credentials would be the user's.
+      if (trigger === "update" && !token.mfaPending && !token.act && session?.reauth) {
+        try {
+          const amr = await reauthenticate(token.sub, session.reauth);
+          if (amr) {
+            token.amr = amr;
+            token.auth_time = Math.floor(Date.now() / 1000);
+          }
+        } catch (error) {
+          // Locked out, or the passkey ceremony failed
+          console.log("Re-authentication failed:", error.message);
+        }
+        return token;
+      }
+      
+      // Organization switch via useSession().update({ activeOrgId }).
+      // Only organizations the user already belongs to can be activated.
+      if (trigger === "update" && session?.activeOrgId) {
+        const membership = findMembership(token, session.activeOrgId);
+        if (membership) {
+          token.activeOrgId = membership.id;
+          token.role = membership.role;
+        }
+      }
+      
       return token;
     },
     async session({ session, token }) {
+      // Until the second factor is verified, expose nothing beyond the pending state
+      if (token?.mfaPending) {
+        session.user = { mfaPending: true };
+        return session;
+      }
+      
       if (token && session.user) {
         session.user.id = token.sub;
         session.user.role = token.role;
+        session.user.orgs = token.orgs;
+        session.user.activeOrgId = token.activeOrgId;
+        session.user.platformRole = token.platformRole ?? null;
+      }
+      
+      // The real user behind an impersonated session, for the banner and
+      // for route handlers that refuse impersonation
+      if (token?.act) {
+        session.impersonator = { id: token.act.sub, email: token.act.email, name: token.act.name };
+        session.impersonationExpiresAt = token.impersonationExpiresAt;
       }
       return session;
     },
   },
   
+  // Signing out only clears the cookie, so also revoke the session in case
+  // the token was copied
+  events: {
+    async signOut({ token }) {
+      await sessionRevocation.revokeSession(token);
+    },
+  },
+  
   // Security settings
   pages: {
     signIn: "/auth/login", // Custom login page
@@ -122,18 +504,11 @@ export const authOptions = {
   // Enable debug in development only
   debug: process.env.NODE_ENV === "development",
   
-  // Cookie security settings
-  cookies: {
-    sessionToken: {
-      name: `__Secure-next-auth.session-token`,
-      options: {
-        httpOnly: true,
-        sameSite: "lax",
-        path: "/",
-        secure: process.env.NODE_ENV === "production",
-      },
-    },
-  },
+  // Cookie security settings for every NextAuth cookie: __Host- prefixed
+  // and Secure over HTTPS, SameSite=Strict sessions on admin hosts
+  // (see config/cookie-policy.js)
+  useSecureCookies: cookiePolicy.secure,
+  cookies: cookiePolicy.nextAuthCookies(),
 };
 
 export const handler = NextAuth(authOptions);
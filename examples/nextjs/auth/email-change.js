@@ -0,0 +1,146 @@
+/**
+ * Email address changes
+ *
+ * The email is where password resets go, so whoever controls it controls
+ * the account. It never changes directly:
+ * 1. requestChange() emails a confirmation link to the new address and a
+ *    heads-up to the current one
+ * 2. The link's page POSTs the token to /api/auth/email-change/confirm,
+ *    which switches the address
+ *
+ * Tokens are 256 bits of randomness, stored hashed, single-use and expire
+ * after `tokenTtl` (EMAIL_CHANGE_TTL, default 1 hour). A token is only
+ * valid while the account still has the email it was issued for.
+ */
+
+import { createHash, randomBytes } from 'crypto';
+import { createResetTokenStore } from './password-reset';
+import { userRepository } from './user-repository';
+import { mailer as defaultMailer } from '@/utils/email';
+
+// Confirmation links are valid for an hour unless configured otherwise
+export const EMAIL_CHANGE_TTL = (Number(process.env.EMAIL_CHANGE_TTL) || 60 * 60) * 1000;
+
+const hashToken = (token) => createHash('sha256').update(String(token)).digest('hex');
+
+// Errors carry an HTTP status, like the rest of the auth helpers
+const fail = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Create the email change service
+ * @param {Object} options - Service options
+ * @param {Object} options.store - Token store (see createResetTokenStore in auth/password-reset.js)
+ * @param {Object} options.users - User repository (see auth/user-repository.js)
+ * @param {Object} options.mailer - Mailer (see utils/email.js)
+ * @param {function} options.now - Clock returning milliseconds
+ * @param {number} options.tokenTtl - Token lifetime in milliseconds
+ * @param {string} options.baseUrl - App URL the confirmation link points to
+ * @returns {Object} Email change service
+ */
+export function createEmailChangeService({
+  store = createResetTokenStore(),
+  users = userRepository,
+  mailer = defaultMailer,
+  now = Date.now,
+  tokenTtl = EMAIL_CHANGE_TTL,
+  baseUrl = process.env.NEXTAUTH_URL || 'http://localhost:3000',
+} = {}) {
+  return {
+    /**
+     * Ask the new address to confirm the change
+     * @param {string} userId - Account to change
+     * @param {string} newEmail - Requested address
+     * @returns {Promise<void>}
+     * @throws {Error} With status 400 if the address is already the account's,
+     *   or 404 if the account doesn't exist
+     */
+    requestChange: async (userId, newEmail) => {
+      const user = await users.findById(userId);
+      if (!user) {
+        throw fail('User not found', 404);
+      }
+      
+      const email = String(newEmail).trim().toLowerCase();
+      if (email === user.email) {
+        throw fail('This is already the account\'s email address');
+      }
+      
+      const token = randomBytes(32).toString('base64url');
+      await store.set(`email:${hashToken(token)}`, {
+        userId: user.id,
+        email,
+        // Changing the address another way makes this token useless
+        currentEmail: user.email,
+        expiresAt: now() + tokenTtl,
+      });
+      
+      const confirmUrl = `${baseUrl}/auth/confirm-email?token=${encodeURIComponent(token)}`;
+      const minutes = Math.round(tokenTtl / 60000);
+      
+      mailer.send({
+        to: email,
+        subject: 'Confirm your new email address',
+        text: `Someone asked to use this address for their account.\n\n`
+          + `To confirm, open this link within ${minutes} minutes:\n${confirmUrl}\n\n`
+          + `If this wasn't you, ignore this email.`,
+      }).catch(error => console.error('Error sending email change confirmation:', error));
+      
+      mailer.send({
+        to: user.email,
+        subject: 'Your email address is being changed',
+        text: `Someone asked to change the email address of your account to ${email}.\n`
+          + `It only changes once the new address is confirmed.\n\n`
+          + `If this wasn't you, change your password and contact support.`,
+      }).catch(error => console.error('Error sending email change notice:', error));
+    },
+    
+    /**
+     * Switch the address with a confirmation token
+     * @param {string} token - Token from the confirmation link
+     * @returns {Promise<{ userId: string, email: string, previousEmail: string }>} The change made
+     * @throws {Error} With status 400 if the token is unknown, expired, spent or
+     *   stale, or 409 (code 'CONFLICT') if another account took the address
+     */
+    confirmChange: async (token) => {
+      // Spend the token before doing anything else so it can't be replayed
+      const tokenKey = `email:${hashToken(token)}`;
+      const entry = await store.get(tokenKey);
+      await store.delete(tokenKey);
+      
+      if (!entry || entry.expiresAt <= now()) {
+        throw fail('Invalid or expired confirmation link');
+      }
+      
+      const user = await users.findById(entry.userId);
+      if (!user || user.email !== entry.currentEmail) {
+        throw fail('Invalid or expired confirmation link');
+      }
+      
+      await users.update(user.id, { email: entry.email });
+      
+      return { userId: user.id, email: entry.email, previousEmail: user.email };
+    },
+  };
+}
+
+// Default service used by the users API and the confirmation route
+export const emailChangeService = createEmailChangeService();
+
+// Example unit test with the in-memory mail transport:
+
+/*
+import { createEmailChangeService } from '@/auth/email-change';
+import { createMailer, createMemoryTransport } from '@/utils/email';
+
+const transport = createMemoryTransport();
+const emailChange = createEmailChangeService({ mailer: createMailer({ transport }) });
+
+await emailChange.requestChange('2', 'new@example.com');
+const token = new URL(transport.outbox[0].text.match(/https?:\S+/)[0]).searchParams.get('token');
+
+await emailChange.confirmChange(token); // { userId: '2', email: 'new@example.com', previousEmail: ... }
+*/
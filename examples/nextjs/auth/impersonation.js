@@ -0,0 +1,275 @@
+/**
+ * Impersonation ("log in as user") for support staff
+ *
+ * An admin can act as a member of their organization to see what the
+ * user sees:
+ * 1. POST /api/auth/impersonation { userId, reason } checks the admin's
+ *    role and recent sign-in and returns a single-use grant
+ * 2. The client redeems it with useSession().update({ impersonate: grantId })
+ * 3. The jwt callback switches the session to the user, keeping the admin
+ *    in the `act` claim (RFC 8693 actor), until the admin calls
+ *    update({ stopImpersonating: true }) or the time box runs out
+ *
+ * While impersonating:
+ * - `sub`, `role` and `orgs` are the user's, limited to the one organization,
+ *   and the admin's platform role is dropped
+ * - the middleware adds the X-Impersonation banner header and audit-logs
+ *   every request with both identities
+ * - routes marked `impersonation: false` in auth/rbac.js are refused, and
+ *   the user's username, email and status can't be changed (auth/abac.js)
+ * - step-up requirements are never met, since the recent sign-in is the
+ *   admin's (auth/step-up.js)
+ * - session revocation and password changes apply to the admin's session
+ *
+ * Admins can't impersonate themselves or other admins of the organization.
+ *
+ * The token helpers have no Node.js dependencies, so the middleware can
+ * use them in the Edge runtime.
+ */
+
+import { NextResponse } from 'next/server';
+import { auditLog as defaultAuditLog } from '@/utils/audit-log';
+
+// Request and response header carrying the banner
+export const IMPERSONATION_HEADER = 'x-impersonation';
+
+// How long an impersonated session lasts before it reverts to the admin
+export const IMPERSONATION_TTL = (Number(process.env.IMPERSONATION_TTL) || 15 * 60) * 1000;
+
+// Grants are redeemed immediately after they are issued
+const GRANT_TTL = 60 * 1000;
+
+// Errors carry an HTTP status, like the rest of the auth helpers
+const fail = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Imported lazily so the middleware, which only reads tokens, doesn't pull
+// in the user repository and its Node.js dependencies
+const defaultUsers = async () => (await import('./user-repository')).userRepository;
+
+/**
+ * Both identities behind a token or session
+ * @param {Object} token - Decoded token, or session.user plus session.impersonator
+ * @returns {{ actor: Object, subject: Object|null }} The real user, and the
+ *   impersonated user (null when not impersonating)
+ */
+export function identitiesOf(token) {
+  if (!token?.act) {
+    return { actor: { id: token?.sub, email: token?.email ?? null }, subject: null };
+  }
+  
+  return {
+    actor: { id: token.act.sub, email: token.act.email ?? null },
+    subject: { id: token.sub, email: token.email ?? null },
+  };
+}
+
+/**
+ * Check whether a token's impersonation has run out
+ * @param {Object} token - Decoded token
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} True if impersonating past the time box
+ */
+export const isImpersonationExpired = (token, now = Date.now()) => Boolean(
+  token?.act && !(token.impersonationExpiresAt > now)
+);
+
+/**
+ * Banner value for the X-Impersonation header
+ * @param {Object} token - Decoded token
+ * @returns {string|null} e.g. `actor="admin@example.com"; subject="user@example.com"; expires="..."`,
+ *   or null when not impersonating
+ */
+export function impersonationBanner(token) {
+  if (!token?.act) {
+    return null;
+  }
+  
+  const { actor, subject } = identitiesOf(token);
+  const quote = (value) => `"${String(value).replace(/["\\]/g, '')}"`;
+  
+  return [
+    `actor=${quote(actor.email ?? actor.id)}`,
+    `subject=${quote(subject.email ?? subject.id)}`,
+    `expires=${quote(new Date(token.impersonationExpiresAt).toISOString())}`,
+  ].join('; ');
+}
+
+/**
+ * Route handler helper: refuse impersonated sessions
+ * @param {Object|null} session - Session from getServerSession()
+ * @returns {NextResponse|null} Error response, or null if the session is the real user's
+ */
+export function rejectImpersonated(session) {
+  if (session?.impersonator) {
+    return NextResponse.json(
+      { error: 'Not available while impersonating a user' },
+      { status: 403 }
+    );
+  }
+  
+  return null;
+}
+
+/**
+ * Create the impersonation service
+ * @param {Object} options - Service options
+ * @param {function} options.users - Resolves the user repository (see auth/user-repository.js)
+ * @param {Object} options.audit - Audit log (see utils/audit-log.js)
+ * @param {function} options.now - Clock returning milliseconds
+ * @param {number} options.ttl - Impersonation time box in milliseconds
+ * @returns {Object} Impersonation service
+ */
+export function createImpersonationService({
+  users = defaultUsers,
+  audit = defaultAuditLog,
+  now = Date.now,
+  ttl = IMPERSONATION_TTL,
+} = {}) {
+  // Outstanding grants by ID; each is short-lived and single-use
+  const grants = new Map();
+  
+  return {
+    /**
+     * Let an admin impersonate a member of their organization
+     * The caller has already checked the admin's role and recent sign-in.
+     * @param {Object} request - Grant request
+     * @param {Object} request.actor - Admin ({ id, email })
+     * @param {string} request.orgId - Organization the admin is acting in
+     * @param {string} request.userId - User to impersonate
+     * @param {string} request.reason - Why, for the audit trail (e.g. a ticket number)
+     * @returns {Promise<{ grantId: string, expiresAt: number }>} Grant to redeem
+     *   with update({ impersonate: grantId })
+     * @throws {Error} With status 400 for self-impersonation, 403 for another
+     *   admin, or 404 if the user isn't a member of the organization
+     */
+    grant: async ({ actor, orgId, userId, reason }) => {
+      if (userId === actor.id) {
+        throw fail('You cannot impersonate yourself');
+      }
+      
+      const target = await (await users()).findById(userId);
+      const membership = target?.orgs.find(org => org.id === orgId);
+      if (!membership) {
+        throw fail('User not found', 404);
+      }
+      if (membership.role === 'admin') {
+        throw fail('Admins cannot be impersonated', 403);
+      }
+      
+      for (const [id, grant] of grants) {
+        if (grant.expiresAt <= now()) {
+          grants.delete(id);
+        }
+      }
+      
+      const grantId = crypto.randomUUID();
+      grants.set(grantId, {
+        actorId: actor.id,
+        target: { id: target.id, email: target.email, name: target.name },
+        org: { id: orgId, role: membership.role },
+        reason,
+        expiresAt: now() + GRANT_TTL,
+      });
+      
+      await audit.record({
+        type: 'impersonation.granted',
+        actor,
+        subject: { id: target.id, email: target.email },
+        orgId,
+        reason,
+      });
+      
+      return { grantId, expiresAt: now() + GRANT_TTL };
+    },
+    
+    /**
+     * Switch a session's token to the impersonated user (from the jwt callback)
+     * @param {Object} token - The admin's decoded token; modified in place
+     * @param {string} grantId - Grant from grant()
+     * @returns {Promise<boolean>} True if the token now impersonates the user
+     */
+    start: async (token, grantId) => {
+      const grant = grants.get(grantId);
+      grants.delete(grantId);
+      
+      // Only the admin the grant was issued to can redeem it
+      if (!grant || grant.expiresAt <= now() || grant.actorId !== token.sub || token.act) {
+        return false;
+      }
+      
+      const actor = identitiesOf(token).actor;
+      token.act = {
+        sub: token.sub,
+        email: token.email,
+        name: token.name,
+        orgs: token.orgs,
+        activeOrgId: token.activeOrgId,
+        role: token.role,
+        platformRole: token.platformRole,
+      };
+      token.sub = grant.target.id;
+      token.email = grant.target.email;
+      token.name = grant.target.name;
+      token.orgs = [grant.org];
+      token.activeOrgId = grant.org.id;
+      token.role = grant.org.role;
+      token.platformRole = null;
+      token.impersonationExpiresAt = now() + ttl;
+      
+      await audit.record({
+        type: 'impersonation.started',
+        actor,
+        subject: { id: grant.target.id, email: grant.target.email },
+        orgId: grant.org.id,
+        reason: grant.reason,
+        expiresAt: new Date(token.impersonationExpiresAt).toISOString(),
+      });
+      return true;
+    },
+    
+    /**
+     * Switch an impersonating token back to the admin (from the jwt callback)
+     * @param {Object} token - Decoded token; modified in place
+     * @param {string} reason - 'stopped' or 'expired'
+     * @returns {Promise<void>}
+     */
+    stop: async (token, reason = 'stopped') => {
+      if (!token.act) {
+        return;
+      }
+      
+      const { actor, subject } = identitiesOf(token);
+      const { sub, email, name, orgs, activeOrgId, role, platformRole } = token.act;
+      Object.assign(token, { sub, email, name, orgs, activeOrgId, role, platformRole });
+      delete token.act;
+      delete token.impersonationExpiresAt;
+      
+      await audit.record({ type: 'impersonation.ended', actor, subject, reason });
+    },
+  };
+}
+
+// Default service used by auth/auth-config.js and the impersonation route
+export const impersonation = createImpersonationService();
+
+// Example: support tooling
+
+/*
+// 1. Ask for a grant (the admin needs a sign-in within the last 5 minutes)
+const response = await fetch('/api/auth/impersonation', {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify({ userId: '2', reason: 'Ticket #4821: dashboard shows no data' }),
+});
+const { grantId } = await response.json();
+
+// 2. Switch the session; session.impersonator now names the admin
+await update({ impersonate: grantId });
+
+// 3. Switch back (also happens automatically after IMPERSONATION_TTL)
+await update({ stopImpersonating: true });
+*/
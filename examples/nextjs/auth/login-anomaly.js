@@ -0,0 +1,387 @@
+/**
+ * Login anomaly detection
+ *
+ * Every sign-in is compared with the account's history:
+ * - Device: a random ID in a long-lived cookie plus the user-agent family
+ *   ("Firefox on Windows"). Only a hash of the ID is stored.
+ * - Location: country and coordinates from a pluggable geo lookup.
+ *
+ * and scored for these signals:
+ * - new_device: the device cookie isn't one the user has signed in from
+ * - device_mismatch: a known device cookie sent by a different browser or
+ *   OS, i.e. most likely a copied cookie
+ * - new_country: a country the user hasn't signed in from before
+ * - impossible_travel: too far from the previous sign-in for the time
+ *   between them
+ *
+ * Sign-ins with any signal go to the `notify` hook, by default an email
+ * with a "this wasn't me" link (see app/api/auth/not-me/route.js). The very
+ * first sign-in has nothing to compare with and is never anomalous.
+ *
+ * A device is only remembered once the sign-in is complete, so someone
+ * who has the password but fails the second factor can't make their
+ * device known.
+ */
+
+import { createHash, randomBytes, randomUUID } from 'crypto';
+import { userRepository } from './user-repository';
+import { mailer as defaultMailer } from '@/utils/email';
+
+// Cookie holding the device ID, and its lifetime in seconds
+export const DEVICE_COOKIE = 'device-id';
+export const DEVICE_COOKIE_MAX_AGE = 400 * 24 * 60 * 60; // the longest browsers allow
+
+// "This wasn't me" links stay valid for a week
+export const NOT_ME_TTL = 7 * 24 * 60 * 60 * 1000;
+
+// Weight of each signal in the login's score
+export const SIGNAL_WEIGHTS = {
+  new_device: 1,
+  device_mismatch: 2,
+  new_country: 2,
+  impossible_travel: 3,
+};
+
+const hash = (value) => createHash('sha256').update(String(value)).digest('hex');
+
+// Errors carry an HTTP status, like the rest of the auth helpers
+const fail = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Generate a new device ID for the device cookie
+ * @returns {string} Device ID
+ */
+export const newDeviceId = () => randomUUID();
+
+/**
+ * Reduce a user agent to its browser and OS family
+ * Versions are left out so updates don't make a known device look new.
+ * @param {string} userAgent - User-Agent header
+ * @returns {string} e.g. "Chrome on macOS"
+ */
+export function userAgentFamily(userAgent) {
+  const ua = String(userAgent || '');
+  
+  // Order matters: Edge and Opera also claim Chrome, Chrome also claims Safari
+  const browser = /Edg(e|A|iOS)?\//.test(ua) ? 'Edge'
+    : /OPR\/|Opera/.test(ua) ? 'Opera'
+    : /Firefox\/|FxiOS\//.test(ua) ? 'Firefox'
+    : /Chrome\/|CriOS\//.test(ua) ? 'Chrome'
+    : /Safari\//.test(ua) ? 'Safari'
+    : 'Unknown browser';
+  
+  // iOS also claims Mac OS X, Android also claims Linux
+  const os = /Windows/.test(ua) ? 'Windows'
+    : /iPhone|iPad|iPod/.test(ua) ? 'iOS'
+    : /Macintosh|Mac OS X/.test(ua) ? 'macOS'
+    : /Android/.test(ua) ? 'Android'
+    : /CrOS/.test(ua) ? 'ChromeOS'
+    : /Linux/.test(ua) ? 'Linux'
+    : 'Unknown OS';
+  
+  return `${browser} on ${os}`;
+}
+
+// Great-circle distance in kilometres
+const distanceKm = (from, to) => {
+  const radians = (degrees) => degrees * Math.PI / 180;
+  const dLat = radians(to.lat - from.lat);
+  const dLon = radians(to.lon - from.lon);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(radians(from.lat)) * Math.cos(radians(to.lat)) * Math.sin(dLon / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+/**
+ * Create an offline geo lookup
+ * Stands in for a real database (e.g. MaxMind GeoLite2) in development and
+ * tests. Any object with the same lookup() works as a replacement.
+ * @param {Object} table - IP address or prefix (e.g. '203.0.113.') to { country, city, lat, lon }
+ * @returns {{ lookup: function(string): Promise<Object|null> }} Geo lookup
+ */
+export function createOfflineGeoLookup(table = {}) {
+  // Longest prefix first, so '203.0.113.7' beats '203.0.113.'
+  const prefixes = Object.keys(table).sort((a, b) => b.length - a.length);
+  
+  return {
+    lookup: async (ip) => {
+      const match = prefixes.find(prefix => String(ip || '').startsWith(prefix));
+      return match ? { ...table[match] } : null;
+    },
+  };
+}
+
+/**
+ * Create an in-memory store for login history and "this wasn't me" tokens
+ * Use a shared database when running several instances.
+ * @param {Object} options - Store options
+ * @param {function} options.now - Clock returning milliseconds
+ * @returns {Object} Store with get/set/delete
+ */
+export function createMemoryLoginHistoryStore({ now = Date.now } = {}) {
+  const entries = new Map();
+  
+  return {
+    get: async (key) => {
+      const entry = entries.get(key);
+      if (entry?.expiresAt && entry.expiresAt <= now()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry ? structuredClone(entry.value) : null;
+    },
+    
+    // expiresAt is optional; entries without one are kept forever
+    set: async (key, value, { expiresAt } = {}) => {
+      entries.set(key, { value: structuredClone(value), expiresAt });
+    },
+    
+    delete: async (key) => {
+      entries.delete(key);
+    },
+  };
+}
+
+/**
+ * Create the default notifier: an email with a "this wasn't me" link
+ * @param {Object} options - Notifier options
+ * @param {Object} options.users - User repository (see auth/user-repository.js)
+ * @param {Object} options.mailer - Mailer (see utils/email.js)
+ * @param {string} options.baseUrl - App URL the link points to
+ * @returns {function} Notify hook ({ userId, assessment, notMeToken }) => Promise<void>
+ */
+export function createEmailLoginNotifier({
+  users = userRepository,
+  mailer = defaultMailer,
+  baseUrl = process.env.NEXTAUTH_URL || 'http://localhost:3000',
+} = {}) {
+  return async ({ userId, assessment, notMeToken }) => {
+    const user = await users.findById(userId);
+    if (!user) {
+      return;
+    }
+    
+    const { device, location, at } = assessment;
+    const where = location ? [location.city, location.country].filter(Boolean).join(', ') : 'an unknown location';
+    const notMeUrl = `${baseUrl}/auth/not-me?token=${encodeURIComponent(notMeToken)}`;
+    
+    await mailer.send({
+      to: user.email,
+      subject: 'New sign-in to your account',
+      text: `Your account was just signed in to from ${device} in ${where} (${new Date(at).toUTCString()}).\n\n`
+        + `If this was you, there's nothing to do.\n\n`
+        + `If it wasn't, open this link to sign out every device and reset your password:\n${notMeUrl}`,
+    });
+  };
+}
+
+/**
+ * Create the login anomaly detector
+ * @param {Object} options - Detector options
+ * @param {Object} options.store - History store (see createMemoryLoginHistoryStore)
+ * @param {Object} options.geo - Geo lookup with lookup(ip) (see createOfflineGeoLookup)
+ * @param {function} options.notify - Called for anomalous sign-ins (see createEmailLoginNotifier)
+ * @param {function} options.onEvent - Receives { type, userId, ... } for every anomalous sign-in
+ * @param {function} options.now - Clock returning milliseconds
+ * @param {number} options.maxDevices - Devices remembered per user
+ * @param {number} options.maxSpeedKmh - Fastest plausible travel between sign-ins
+ * @param {number} options.minTravelKm - Distances below this are never impossible
+ *   travel, since IP geolocation is only approximate
+ * @returns {Object} Login anomaly detector
+ */
+export function createLoginAnomalyDetector({
+  store = createMemoryLoginHistoryStore(),
+  geo = createOfflineGeoLookup(),
+  notify = createEmailLoginNotifier(),
+  onEvent = (event) => console.warn('[security]', JSON.stringify(event)),
+  now = Date.now,
+  maxDevices = 20,
+  maxSpeedKmh = 1000,
+  minTravelKm = 500,
+} = {}) {
+  const historyOf = async (userId) => (
+    await store.get(`history:${userId}`) || { devices: [], countries: [], lastLocation: null }
+  );
+  
+  /**
+   * Score a sign-in against the user's history
+   * @param {string} userId - User ID
+   * @param {Object} context - Request details
+   * @param {string} context.deviceId - ID from the device cookie
+   * @param {string} context.userAgent - User-Agent header
+   * @param {string} context.ip - Client IP
+   * @returns {Promise<Object>} { signals, score, device, location, at }
+   */
+  const assess = async (userId, { deviceId, userAgent, ip }) => {
+    const history = await historyOf(userId);
+    const device = userAgentFamily(userAgent);
+    const location = ip ? await geo.lookup(ip) : null;
+    const at = now();
+    const signals = [];
+    
+    // Nothing to compare the first sign-in with
+    const firstSignIn = history.devices.length === 0 && history.countries.length === 0;
+    
+    if (!firstSignIn) {
+      const known = deviceId && history.devices.find(candidate => candidate.id === hash(deviceId));
+      if (!known) {
+        signals.push('new_device');
+      } else if (known.family !== device) {
+        signals.push('device_mismatch');
+      }
+      
+      if (location?.country && history.countries.length > 0 && !history.countries.includes(location.country)) {
+        signals.push('new_country');
+      }
+      
+      const last = history.lastLocation;
+      if (location?.lat !== undefined && last?.lat !== undefined) {
+        const km = distanceKm(last, location);
+        const hours = Math.max((at - last.at) / 3600000, 1 / 60);
+        if (km >= minTravelKm && km / hours > maxSpeedKmh) {
+          signals.push('impossible_travel');
+        }
+      }
+    }
+    
+    return {
+      signals,
+      score: signals.reduce((total, signal) => total + SIGNAL_WEIGHTS[signal], 0),
+      device,
+      deviceHash: hash(deviceId),
+      location,
+      at,
+    };
+  };
+  
+  // Add a completed sign-in to the user's history
+  const remember = async (userId, { device, deviceHash, location, at }) => {
+    const history = await historyOf(userId);
+    
+    const devices = history.devices.filter(candidate => candidate.id !== deviceHash);
+    const previous = history.devices.find(candidate => candidate.id === deviceHash);
+    devices.push({ id: deviceHash, family: device, firstSeenAt: previous?.firstSeenAt ?? at, lastSeenAt: at });
+    
+    // Keep the most recently used devices
+    devices.sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+    
+    await store.set(`history:${userId}`, {
+      devices: devices.slice(0, maxDevices),
+      countries: location?.country && !history.countries.includes(location.country)
+        ? [...history.countries, location.country]
+        : history.countries,
+      lastLocation: location?.lat !== undefined ? { ...location, at } : history.lastLocation,
+    });
+  };
+  
+  return {
+    assess,
+    
+    /**
+     * Assess a sign-in, notify the user if it's anomalous and remember it
+     * Notification failures are logged, never thrown: they must not block sign-in.
+     * @param {string} userId - User ID
+     * @param {Object} context - Request details ({ deviceId, userAgent, ip })
+     * @param {Object} options - Options
+     * @param {boolean} options.complete - Sign-in is complete (false while MFA is pending):
+     *   only complete sign-ins are remembered
+     * @param {boolean} options.notify - Notify about anomalies (false when the
+     *   first step of this sign-in already did)
+     * @returns {Promise<Object>} Assessment ({ signals, score, device, location, at })
+     */
+    recordLogin: async (userId, context, { complete = true, notify: shouldNotify = true } = {}) => {
+      const assessment = await assess(userId, context);
+      
+      if (assessment.signals.length > 0 && shouldNotify) {
+        onEvent({
+          type: 'auth.login_anomaly',
+          userId,
+          signals: assessment.signals,
+          score: assessment.score,
+          device: assessment.device,
+          country: assessment.location?.country ?? null,
+          at: new Date(assessment.at).toISOString(),
+        });
+        
+        const notMeToken = randomBytes(32).toString('base64url');
+        await store.set(
+          `not-me:${hash(notMeToken)}`,
+          { userId, deviceHash: assessment.deviceHash },
+          { expiresAt: assessment.at + NOT_ME_TTL }
+        );
+        
+        Promise.resolve()
+          .then(() => notify({ userId, assessment, notMeToken }))
+          .catch(error => console.error('Error sending login notification:', error));
+      }
+      
+      if (complete) {
+        await remember(userId, assessment);
+      }
+      
+      return assessment;
+    },
+    
+    /**
+     * Handle a "this wasn't me" link: forget the device it was sent about
+     * The caller then revokes the user's sessions and starts a password reset.
+     * @param {string} token - Token from the notification link
+     * @returns {Promise<{ userId: string }>} Affected user
+     * @throws {Error} With status 400 if the token is unknown, expired or spent
+     */
+    reportNotMe: async (token) => {
+      const key = `not-me:${hash(token)}`;
+      const entry = await store.get(key);
+      await store.delete(key);
+      
+      if (!entry) {
+        throw fail('Invalid or expired link');
+      }
+      
+      const history = await historyOf(entry.userId);
+      await store.set(`history:${entry.userId}`, {
+        ...history,
+        devices: history.devices.filter(device => device.id !== entry.deviceHash),
+      });
+      
+      onEvent({ type: 'auth.login_reported', userId: entry.userId, at: new Date(now()).toISOString() });
+      return { userId: entry.userId };
+    },
+  };
+}
+
+// Default detector used by auth/auth-config.js and the "this wasn't me" route
+export const loginAnomaly = createLoginAnomalyDetector();
+
+// Example: a MaxMind GeoLite2 lookup and a Slack notifier
+
+/*
+import { Reader } from '@maxmind/geoip2-node';
+import { createLoginAnomalyDetector, createEmailLoginNotifier } from '@/auth/login-anomaly';
+
+const reader = await Reader.open('/var/lib/GeoIP/GeoLite2-City.mmdb');
+const email = createEmailLoginNotifier();
+
+export const loginAnomaly = createLoginAnomalyDetector({
+  geo: {
+    lookup: async (ip) => {
+      try {
+        const { country, city, location } = reader.city(ip);
+        return { country: country?.isoCode, city: city?.names.en, lat: location?.latitude, lon: location?.longitude };
+      } catch {
+        return null; // private or unknown address
+      }
+    },
+  },
+  notify: async (alert) => {
+    await email(alert);
+    if (alert.assessment.score >= 3) {
+      await postToSlack(`Suspicious sign-in for user ${alert.userId}: ${alert.assessment.signals.join(', ')}`);
+    }
+  },
+});
+*/
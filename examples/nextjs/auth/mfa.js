@@ -0,0 +1,396 @@
+/**
+ * TOTP multi-factor authentication
+ *
+ * Implements RFC 6238 time-based one-time passwords (the codes shown by
+ * Google Authenticator, 1Password, Authy, ...) and single-use recovery codes.
+ *
+ * Sign-in happens in two steps:
+ * 1. The credentials provider accepts the password and, if MFA is enabled,
+ *    issues a token marked `mfaPending`
+ * 2. The client submits a code with useSession().update({ mfaCode }); the
+ *    jwt callback verifies it and clears `mfaPending`
+ *
+ * Enrollment needs a recent sign-in (see auth/step-up.js) and the owner is
+ * emailed when it completes: an authenticator added from a stolen session
+ * would otherwise lock the owner out without them knowing.
+ *
+ * Every time-dependent function takes its clock from `now`, so tests can
+ * pass a fake clock instead of waiting for real time to pass.
+ */
+
+import { createHash, createHmac, randomBytes, timingSafeEqual } from 'crypto';
+import { mailer as defaultMailer } from '@/utils/email';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// How long a password-only (MFA pending) sign-in stays valid
+export const MFA_PENDING_TTL = 5 * 60 * 1000; // 5 minutes
+
+// Base32 (RFC 4648, no padding), the encoding authenticator apps expect
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  
+  return Buffer.from(bytes);
+};
+
+// Compare two strings without leaking where they differ
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Generate a new TOTP secret
+ * @param {number} bytes - Secret length (20 bytes = 160 bits, as RFC 4226 recommends)
+ * @returns {string} Base32-encoded secret
+ */
+export function generateTotpSecret(bytes = 20) {
+  return base32Encode(randomBytes(bytes));
+}
+
+/**
+ * Build the otpauth:// URI that authenticator apps import (usually as a QR code)
+ * @param {Object} options - URI options
+ * @param {string} options.secret - Base32 secret
+ * @param {string} options.accountName - Account label, e.g. the user's email
+ * @param {string} options.issuer - Service name shown in the app
+ * @param {number} options.digits - Code length
+ * @param {number} options.period - Code lifetime in seconds
+ * @returns {string} otpauth URI
+ */
+export function buildOtpauthUri({ secret, accountName, issuer, digits = 6, period = 30 }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(digits),
+    period: String(period),
+  });
+  
+  return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * Create a TOTP generator/verifier
+ * @param {Object} options - TOTP options
+ * @param {function} options.now - Clock returning milliseconds (default: Date.now)
+ * @param {number} options.period - Time step in seconds
+ * @param {number} options.digits - Code length
+ * @param {number} options.window - Steps of clock skew accepted either side
+ * @returns {Object} TOTP instance
+ */
+export function createTotp({ now = Date.now, period = 30, digits = 6, window = 1 } = {}) {
+  const stepAt = (time) => Math.floor(time / 1000 / period);
+  
+  // RFC 4226 HOTP for a counter value
+  const hotp = (key, counter) => {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    
+    const digest = createHmac('sha1', key).update(message).digest();
+    const offset = digest[digest.length - 1] & 0xf;
+    const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+    
+    return String(binary % 10 ** digits).padStart(digits, '0');
+  };
+  
+  return {
+    /**
+     * Generate the code for a secret
+     * @param {string} secret - Base32 secret
+     * @param {number} time - Time in milliseconds (default: now())
+     * @returns {string} Code
+     */
+    generate: (secret, time = now()) => hotp(base32Decode(secret), stepAt(time)),
+    
+    /**
+     * Verify a code, allowing for clock skew and rejecting replays
+     * @param {string} secret - Base32 secret
+     * @param {string} code - Code entered by the user
+     * @param {Object} options - Verification options
+     * @param {number} options.lastUsedStep - Step of the last accepted code; it and earlier steps are rejected
+     * @returns {{ valid: boolean, step?: number }} Result, with the matched step to store as lastUsedStep
+     */
+    verify: (secret, code, { lastUsedStep = -1 } = {}) => {
+      const normalized = String(code || '').replace(/\s/g, '');
+      if (!new RegExp(`^\\d{${digits}}$`).test(normalized)) {
+        return { valid: false };
+      }
+      
+      const key = base32Decode(secret);
+      const current = stepAt(now());
+      
+      for (let step = current - window; step <= current + window; step++) {
+        if (step > lastUsedStep && safeEqual(hotp(key, step), normalized)) {
+          return { valid: true, step };
+        }
+      }
+      
+      return { valid: false };
+    },
+  };
+}
+
+/**
+ * Generate single-use recovery codes
+ * Show these to the user once; store only their hashes.
+ * @param {number} count - Number of codes
+ * @returns {string[]} Codes formatted as xxxx-xxxx-xxxx-xxxx (80 bits each)
+ */
+export function generateRecoveryCodes(count = 10) {
+  return Array.from({ length: count }, () => (
+    base32Encode(randomBytes(10)).toLowerCase().match(/.{4}/g).join('-')
+  ));
+}
+
+/**
+ * Hash a recovery code for storage
+ * Codes are random and high-entropy, so a fast hash is enough (unlike passwords).
+ * @param {string} code - Recovery code
+ * @returns {string} Hex SHA-256 of the normalized code
+ */
+export function hashRecoveryCode(code) {
+  const normalized = String(code).toLowerCase().replace(/[^a-z2-7]/g, '');
+  return createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Create an in-memory MFA store
+ * Replace with your database in production, and encrypt `secret` at rest.
+ * @returns {Object} Store with get/save/delete
+ */
+export function createMfaStore() {
+  const records = new Map();
+  
+  return {
+    get: async (userId) => records.get(userId) || null,
+    save: async (userId, record) => {
+      records.set(userId, record);
+    },
+    delete: async (userId) => {
+      records.delete(userId);
+    },
+  };
+}
+
+/**
+ * Create the MFA service used by the sign-in flow and enrollment routes
+ * @param {Object} options - Service options
+ * @param {Object} options.store - MFA store (see createMfaStore)
+ * @param {function} options.now - Clock returning milliseconds
+ * @param {string} options.issuer - Service name shown in authenticator apps
+ * @param {number} options.maxAttempts - Failed codes allowed before a lockout
+ * @param {number} options.lockoutDuration - Lockout length in milliseconds
+ * @param {Object} options.mailer - Mailer for "MFA enabled" notices (see utils/email.js)
+ * @returns {Object} MFA service
+ */
+export function createMfaService({
+  store = createMfaStore(),
+  now = Date.now,
+  issuer = 'Vibe Security',
+  maxAttempts = 5,
+  lockoutDuration = 15 * 60 * 1000,
+  mailer = defaultMailer,
+} = {}) {
+  const totp = createTotp({ now });
+  
+  const fail = (message, status) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  };
+  
+  return {
+    totp,
+    
+    /**
+     * Check whether a user has completed MFA enrollment
+     * @param {string} userId - User ID
+     * @returns {Promise<boolean>} True if MFA is enabled
+     */
+    isEnabled: async (userId) => Boolean((await store.get(userId))?.enabled),
+    
+    /**
+     * Start enrollment: generate a secret and the URI to show as a QR code
+     * Re-starting replaces any unconfirmed secret; an enabled one is kept.
+     * @param {string} userId - User ID
+     * @param {string} accountName - Label shown in the authenticator app
+     * @returns {Promise<{ secret: string, otpauthUri: string }>} Enrollment details
+     * @throws {Error} With status 409 if MFA is already enabled
+     */
+    startEnrollment: async (userId, accountName) => {
+      const existing = await store.get(userId);
+      if (existing?.enabled) {
+        throw fail('MFA is already enabled', 409);
+      }
+      
+      const secret = generateTotpSecret();
+      await store.save(userId, { enabled: false, secret, recoveryCodeHashes: [] });
+      
+      return { secret, otpauthUri: buildOtpauthUri({ secret, accountName, issuer }) };
+    },
+    
+    /**
+     * Confirm enrollment with a code from the app, proving it was set up correctly
+     * The owner is emailed, since the new authenticator is now needed to sign in.
+     * @param {string} userId - User ID
+     * @param {string} code - Current TOTP code
+     * @param {string} email - Address to notify
+     * @returns {Promise<{ recoveryCodes: string[] }>} Recovery codes, shown once
+     * @throws {Error} With status 400 if there is no pending enrollment or the code is wrong
+     */
+    confirmEnrollment: async (userId, code, email) => {
+      const record = await store.get(userId);
+      if (!record || record.enabled) {
+        throw fail('No MFA enrollment in progress', 400);
+      }
+      
+      const result = totp.verify(record.secret, code);
+      if (!result.valid) {
+        throw fail('Invalid verification code', 400);
+      }
+      
+      const recoveryCodes = generateRecoveryCodes();
+      await store.save(userId, {
+        ...record,
+        enabled: true,
+        lastUsedStep: result.step,
+        recoveryCodeHashes: recoveryCodes.map(hashRecoveryCode),
+        failedAttempts: 0,
+        enabledAt: now(),
+      });
+      
+      // A new requirement for signing in: tell the owner
+      if (email) {
+        mailer.send({
+          to: email,
+          subject: 'Two-factor authentication was turned on',
+          text: `Signing in to your account now needs a code from an authenticator app.\n\n`
+            + `If this wasn't you, contact support immediately.`,
+        }).catch(error => console.error('Error sending MFA enabled email:', error));
+      }
+      
+      return { recoveryCodes };
+    },
+    
+    /**
+     * Verify a second factor: a TOTP code or an unused recovery code
+     * @param {string} userId - User ID
+     * @param {string} code - TOTP or recovery code
+     * @returns {Promise<{ valid: boolean, method?: string, remainingRecoveryCodes?: number }>} Result
+     * @throws {Error} With status 429 while the user is locked out
+     */
+    verify: async (userId, code) => {
+      const record = await store.get(userId);
+      if (!record?.enabled) {
+        return { valid: false };
+      }
+      
+      if (record.lockedUntil && record.lockedUntil > now()) {
+        throw fail('Too many failed attempts. Please try again later.', 429);
+      }
+      
+      const totpResult = totp.verify(record.secret, code, { lastUsedStep: record.lastUsedStep });
+      if (totpResult.valid) {
+        await store.save(userId, { ...record, lastUsedStep: totpResult.step, failedAttempts: 0, lockedUntil: null });
+        return { valid: true, method: 'totp' };
+      }
+      
+      // Recovery codes are single use: remove the hash once it's matched
+      const hash = hashRecoveryCode(code);
+      const index = record.recoveryCodeHashes.findIndex(stored => safeEqual(stored, hash));
+      if (index !== -1) {
+        const recoveryCodeHashes = record.recoveryCodeHashes.filter((_, i) => i !== index);
+        await store.save(userId, { ...record, recoveryCodeHashes, failedAttempts: 0, lockedUntil: null });
+        return { valid: true, method: 'recovery', remainingRecoveryCodes: recoveryCodeHashes.length };
+      }
+      
+      const failedAttempts = (record.failedAttempts || 0) + 1;
+      await store.save(userId, {
+        ...record,
+        failedAttempts: failedAttempts >= maxAttempts ? 0 : failedAttempts,
+        lockedUntil: failedAttempts >= maxAttempts ? now() + lockoutDuration : null,
+      });
+      
+      return { valid: false };
+    },
+    
+    /**
+     * Replace a user's recovery codes, invalidating the old ones
+     * @param {string} userId - User ID
+     * @returns {Promise<string[]>} New recovery codes, shown once
+     * @throws {Error} With status 400 if MFA is not enabled
+     */
+    regenerateRecoveryCodes: async (userId) => {
+      const record = await store.get(userId);
+      if (!record?.enabled) {
+        throw fail('MFA is not enabled', 400);
+      }
+      
+      const recoveryCodes = generateRecoveryCodes();
+      await store.save(userId, { ...record, recoveryCodeHashes: recoveryCodes.map(hashRecoveryCode) });
+      
+      return recoveryCodes;
+    },
+  };
+}
+
+// Default service used by auth/auth-config.js and the enrollment routes
+export const mfaService = createMfaService();
+
+// Example test with a fake clock:
+
+/*
+import { createMfaService, createTotp } from '@/auth/mfa';
+
+let time = Date.parse('2025-01-01T00:00:00Z');
+const now = () => time;
+const mfa = createMfaService({ now });
+
+const { secret } = await mfa.startEnrollment('user-1', 'user@example.com');
+const { recoveryCodes } = await mfa.confirmEnrollment('user-1', createTotp({ now }).generate(secret), 'user@example.com');
+
+time += 60 * 1000; // one minute later
+await mfa.verify('user-1', createTotp({ now }).generate(secret)); // { valid: true, method: 'totp' }
+await mfa.verify('user-1', recoveryCodes[0]); // { valid: true, method: 'recovery', remainingRecoveryCodes: 9 }
+await mfa.verify('user-1', recoveryCodes[0]); // { valid: false }
+*/
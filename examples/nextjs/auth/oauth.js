@@ -0,0 +1,356 @@
+/**
+ * Sign-in with OAuth and OpenID Connect providers
+ *
+ * Providers are enabled by their environment variables: Google, GitHub, and
+ * any OpenID Connect issuer (OIDC_ISSUER), which is also how tests and local
+ * development point at a mock issuer. Every provider uses PKCE and `state`;
+ * OpenID Connect providers also use a `nonce`. NextAuth rejects callbacks
+ * where any of them doesn't match.
+ *
+ * Linking an external identity to an existing account just because the
+ * emails match lets whoever controls that email at the provider take the
+ * account over. So accounts are linked by provider user ID only:
+ * - An identity already linked to a user signs in as that user
+ * - An unlinked identity whose email belongs to an existing account is
+ *   refused, never merged; the owner signs in and links it themselves
+ * - New accounts are only created from provider-verified emails
+ * - Linking starts from a session with a recent sign-in, needs a verified
+ *   email at the provider, and the signed-in user confirms the provider
+ *   account before it is linked
+ */
+
+import { createHash, randomBytes } from 'crypto';
+import { LRUCache } from 'lru-cache';
+import GoogleProvider from 'next-auth/providers/google';
+import GitHubProvider from 'next-auth/providers/github';
+import { userRepository } from './user-repository';
+import { mailer as defaultMailer } from '@/utils/email';
+
+// Cookie carrying the link intent from POST /api/auth/link to the provider callback
+export const LINK_INTENT_COOKIE = 'link-intent';
+
+// Starting a link and confirming it must both happen within 10 minutes
+export const LINK_TTL = 10 * 60 * 1000;
+
+// Errors shown on the error page (/auth/error?error=...). OAuthAccountNotLinked
+// is NextAuth's own code for "sign in the way you did before".
+export const LINK_ERRORS = {
+  notLinked: 'OAuthAccountNotLinked',
+  unverifiedEmail: 'EmailNotVerified',
+  identityInUse: 'IdentityInUse',
+};
+
+const hashId = (id) => createHash('sha256').update(String(id)).digest('hex');
+
+// Errors carry an HTTP status, like the rest of the auth helpers
+const fail = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * A generic OpenID Connect provider, configured by discovery
+ * @param {Object} options - Provider options
+ * @param {string} options.id - Provider ID, used in callback URLs and identities
+ * @param {string} options.name - Name shown on the sign-in page
+ * @param {string} options.issuer - Issuer URL (without /.well-known/openid-configuration)
+ * @param {string} options.clientId - Client ID
+ * @param {string} options.clientSecret - Client secret
+ * @returns {Object} NextAuth provider
+ */
+export function oidcProvider({ id = 'oidc', name = 'OpenID Connect', issuer, clientId, clientSecret }) {
+  return {
+    id,
+    name,
+    type: 'oauth',
+    wellKnown: `${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`,
+    clientId,
+    clientSecret,
+    authorization: { params: { scope: 'openid email profile' } },
+    idToken: true,
+    checks: ['pkce', 'state', 'nonce'],
+    profile: (profile) => ({
+      id: profile.sub,
+      name: profile.name ?? null,
+      email: profile.email ?? null,
+      // Only an explicit true counts; a missing claim means unverified
+      emailVerified: profile.email_verified === true,
+    }),
+  };
+}
+
+// GitHub isn't OpenID Connect (no ID token, so no nonce), and the profile
+// email is whatever the user made public. Use the primary email instead,
+// with GitHub's verification flag.
+const githubProvider = ({ clientId, clientSecret }) => GitHubProvider({
+  clientId,
+  clientSecret,
+  checks: ['pkce', 'state'],
+  userinfo: {
+    url: 'https://api.github.com/user',
+    async request({ tokens, provider }) {
+      const headers = { Authorization: `Bearer ${tokens.access_token}`, 'User-Agent': 'next-auth' };
+      const profile = await (await fetch(provider.userinfo.url, { headers })).json();
+      const emailsResponse = await fetch('https://api.github.com/user/emails', { headers });
+      const emails = emailsResponse.ok ? await emailsResponse.json() : [];
+      const primary = emails.find(email => email.primary);
+      
+      return { ...profile, email: primary?.email ?? null, email_verified: primary?.verified === true };
+    },
+  },
+  profile: (profile) => ({
+    id: String(profile.id),
+    name: profile.name ?? profile.login,
+    email: profile.email,
+    emailVerified: profile.email_verified,
+  }),
+});
+
+/**
+ * Build the OAuth providers enabled by environment variables
+ * @param {Object} env - Environment (default: process.env)
+ * @returns {Array<Object>} NextAuth providers
+ */
+export function oauthProviders(env = process.env) {
+  const providers = [];
+  
+  if (env.GOOGLE_CLIENT_ID && env.GOOGLE_CLIENT_SECRET) {
+    providers.push(GoogleProvider({
+      clientId: env.GOOGLE_CLIENT_ID,
+      clientSecret: env.GOOGLE_CLIENT_SECRET,
+      checks: ['pkce', 'state', 'nonce'],
+      profile: (profile) => ({
+        id: profile.sub,
+        name: profile.name,
+        email: profile.email,
+        emailVerified: profile.email_verified === true,
+      }),
+    }));
+  }
+  
+  if (env.GITHUB_CLIENT_ID && env.GITHUB_CLIENT_SECRET) {
+    providers.push(githubProvider({
+      clientId: env.GITHUB_CLIENT_ID,
+      clientSecret: env.GITHUB_CLIENT_SECRET,
+    }));
+  }
+  
+  if (env.OIDC_ISSUER && env.OIDC_CLIENT_ID) {
+    providers.push(oidcProvider({
+      name: env.OIDC_NAME || 'OpenID Connect',
+      issuer: env.OIDC_ISSUER,
+      clientId: env.OIDC_CLIENT_ID,
+      clientSecret: env.OIDC_CLIENT_SECRET,
+    }));
+  }
+  
+  return providers;
+}
+
+/**
+ * Create an in-memory store for link intents and pending links
+ * Use a shared store (e.g. Redis with a TTL) when running several instances.
+ * @param {Object} options - Store options
+ * @param {number} options.max - Maximum number of entries
+ * @returns {Object} Store with get/set/delete
+ */
+export function createLinkStore({ max = 10000 } = {}) {
+  const cache = new LRUCache({ max });
+  
+  return {
+    get: async (key) => cache.get(key) || null,
+    set: async (key, value) => {
+      cache.set(key, value);
+    },
+    delete: async (key) => {
+      cache.delete(key);
+    },
+  };
+}
+
+/**
+ * Create the account linking service
+ * @param {Object} options - Service options
+ * @param {Object} options.users - User repository (see auth/user-repository.js)
+ * @param {Object} options.store - Store for intents and pending links (see createLinkStore)
+ * @param {Object} options.mailer - Mailer (see utils/email.js)
+ * @param {function} options.now - Clock returning milliseconds
+ * @param {number} options.ttl - Lifetime of intents and pending links in milliseconds
+ * @returns {Object} Account linking service
+ */
+export function createAccountLinking({
+  users = userRepository,
+  store = createLinkStore(),
+  mailer = defaultMailer,
+  now = Date.now,
+  ttl = LINK_TTL,
+} = {}) {
+  // Read and spend a single-use entry; expired entries read as missing
+  const take = async (key) => {
+    const entry = await store.get(key);
+    await store.delete(key);
+    return entry && entry.expiresAt > now() ? entry : null;
+  };
+  
+  return {
+    /**
+     * Decide what an OAuth sign-in does (from the signIn callback)
+     * @param {Object} identity - Normalized provider profile
+     * @param {string} identity.provider - Provider ID
+     * @param {string} identity.providerAccountId - Provider's user ID
+     * @param {string|null} identity.email - Email at the provider
+     * @param {string|null} identity.name - Name at the provider, for new accounts
+     * @param {boolean} identity.emailVerified - Whether the provider verified it
+     * @param {Object} options - Sign-in context
+     * @param {string} options.intentId - Link intent from the LINK_INTENT_COOKIE cookie
+     * @returns {Promise<Object>} One of { user } to sign in, { linkId } to ask the
+     *   signed-in user for confirmation, or { error } (see LINK_ERRORS)
+     */
+    resolveSignIn: async ({ provider, providerAccountId, email, name = null, emailVerified }, { intentId } = {}) => {
+      const linked = await users.findByIdentity(provider, providerAccountId);
+      
+      // Linking from a signed-in session: park the identity until the user confirms
+      const intent = intentId ? await take(`intent:${hashId(intentId)}`) : null;
+      if (intent && intent.provider === provider) {
+        if (linked && linked.id !== intent.userId) {
+          return { error: LINK_ERRORS.identityInUse };
+        }
+        if (!email || !emailVerified) {
+          return { error: LINK_ERRORS.unverifiedEmail };
+        }
+        
+        const linkId = randomBytes(32).toString('base64url');
+        await store.set(`link:${hashId(linkId)}`, {
+          userId: intent.userId,
+          provider,
+          providerAccountId: String(providerAccountId),
+          email,
+          expiresAt: now() + ttl,
+        });
+        return { linkId };
+      }
+      
+      if (linked) {
+        return { user: linked };
+      }
+      
+      if (!email || !emailVerified) {
+        return { error: LINK_ERRORS.unverifiedEmail };
+      }
+      
+      // Never merge by email: the account owner has to link the identity
+      if (await users.findByEmail(email)) {
+        return { error: LINK_ERRORS.notLinked };
+      }
+      
+      const user = await users.create({ email, name });
+      return { user: await users.linkIdentity(user.id, { provider, providerAccountId, email }) };
+    },
+    
+    /**
+     * Start linking a provider to the signed-in user
+     * The caller stores the intent ID in the LINK_INTENT_COOKIE cookie and
+     * then sends the user through the provider's sign-in.
+     * @param {string} userId - Signed-in user
+     * @param {string} provider - Provider ID
+     * @returns {Promise<string>} Intent ID
+     */
+    startLink: async (userId, provider) => {
+      const intentId = randomBytes(32).toString('base64url');
+      await store.set(`intent:${hashId(intentId)}`, { userId, provider, expiresAt: now() + ttl });
+      return intentId;
+    },
+    
+    /**
+     * Show a pending link to the user who started it, for confirmation
+     * @param {string} linkId - Link ID from the confirmation URL
+     * @param {string} userId - Signed-in user
+     * @returns {Promise<{ provider: string, email: string }>} What would be linked
+     * @throws {Error} With status 404 if the link is unknown, expired or someone else's
+     */
+    getPendingLink: async (linkId, userId) => {
+      const pending = await store.get(`link:${hashId(linkId)}`);
+      if (!pending || pending.expiresAt <= now() || pending.userId !== userId) {
+        throw fail('Link request not found or expired', 404);
+      }
+      return { provider: pending.provider, email: pending.email };
+    },
+    
+    /**
+     * Link a pending identity after the signed-in user confirmed it
+     * @param {string} linkId - Link ID from the confirmation URL
+     * @param {string} userId - Signed-in user
+     * @returns {Promise<Object>} Updated user
+     * @throws {Error} With status 404 if the link is unknown, expired or someone
+     *   else's, or 409 (code 'CONFLICT') if the identity was linked elsewhere meanwhile
+     */
+    confirmLink: async (linkId, userId) => {
+      const key = `link:${hashId(linkId)}`;
+      const pending = await store.get(key);
+      if (!pending || pending.expiresAt <= now() || pending.userId !== userId) {
+        throw fail('Link request not found or expired', 404);
+      }
+      await store.delete(key);
+      
+      const user = await users.linkIdentity(userId, pending);
+      if (!user) {
+        throw fail('Link request not found or expired', 404);
+      }
+      
+      // A new way into the account: tell the owner
+      mailer.send({
+        to: user.email,
+        subject: 'A sign-in method was added to your account',
+        text: `Your ${pending.provider} account (${pending.email}) can now be used to sign in.\n\n`
+          + `If this wasn't you, remove it from your account settings and change your password.`,
+      }).catch(error => console.error('Error sending account linked email:', error));
+      
+      return user;
+    },
+    
+    /**
+     * Unlink a provider, unless it's the user's only way to sign in
+     * @param {string} userId - Signed-in user
+     * @param {string} provider - Provider ID
+     * @returns {Promise<void>}
+     * @throws {Error} With status 404 if nothing is linked for the provider,
+     *   or 400 if the user has no password or other identity
+     */
+    unlink: async (userId, provider) => {
+      const user = await users.findById(userId);
+      if (!user?.identities.some(identity => identity.provider === provider)) {
+        throw fail('No account linked for this provider', 404);
+      }
+      if (!user.passwordHash && user.identities.length === 1) {
+        throw fail('Set a password before removing your only sign-in method');
+      }
+      
+      await users.unlinkIdentity(userId, provider);
+    },
+  };
+}
+
+// Default service used by auth/auth-config.js and the link routes
+export const accountLinking = createAccountLinking();
+
+// Example unit test against the in-memory repository:
+
+/*
+import { createAccountLinking } from '@/auth/oauth';
+import { createMemoryUserRepository, seedUsers } from '@/auth/user-repository';
+
+const accountLinking = createAccountLinking({ users: createMemoryUserRepository({ seed: seedUsers }) });
+const identity = { provider: 'oidc', providerAccountId: 'abc', email: 'user@example.com', emailVerified: true };
+
+await accountLinking.resolveSignIn(identity); // { error: 'OAuthAccountNotLinked' }: never merged by email
+
+const intentId = await accountLinking.startLink('1', 'oidc');
+const { linkId } = await accountLinking.resolveSignIn(identity, { intentId });
+await accountLinking.confirmLink(linkId, '1');
+
+await accountLinking.resolveSignIn(identity); // { user: { id: '1', ... } }
+
+// End to end against a local mock issuer, e.g. `npx oauth2-mock-server`:
+// OIDC_ISSUER=http://localhost:8080 OIDC_CLIENT_ID=test OIDC_CLIENT_SECRET=test npm run dev
+*/
@@ -0,0 +1,346 @@
+/**
+ * WebAuthn / passkey sign-in
+ *
+ * Registration and authentication ceremonies built on @simplewebauthn/server.
+ * Passkeys are a second NextAuth provider (`passkey` in auth/auth-config.js)
+ * next to the password provider, so users can add a passkey while signed
+ * in and then stop using their password.
+ *
+ * Ceremony flow:
+ * - Registration (recently signed in, see auth/step-up.js): POST
+ *   /api/auth/passkey/register/options, create the credential with
+ *   navigator.credentials.create(), then POST the result to
+ *   /api/auth/passkey/register/verify
+ * - Sign-in: POST /api/auth/passkey/authenticate/options, sign the challenge
+ *   with navigator.credentials.get(), then signIn('passkey', { ceremonyId, response })
+ *
+ * The WebAuthn library, stores and clock are injectable, so unit tests can
+ * drive the ceremonies with a software authenticator.
+ */
+
+import { randomBytes } from 'crypto';
+import {
+  generateAuthenticationOptions,
+  generateRegistrationOptions,
+  verifyAuthenticationResponse,
+  verifyRegistrationResponse,
+} from '@simplewebauthn/server';
+import { mailer as defaultMailer } from '@/utils/email';
+
+// Challenges must be answered quickly and only once
+const CHALLENGE_TTL = 5 * 60 * 1000; // 5 minutes
+
+const relyingParty = {
+  id: process.env.WEBAUTHN_RP_ID || 'localhost',
+  name: process.env.WEBAUTHN_RP_NAME || 'Vibe Security',
+  origin: process.env.NEXTAUTH_URL || 'http://localhost:3000',
+};
+
+// Errors carry an HTTP status, like the rest of the auth helpers
+const fail = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Create an in-memory, single-use challenge store
+ * Use a shared store (e.g. Redis with a TTL) when running several instances.
+ * @param {Object} options - Store options
+ * @param {number} options.ttl - Challenge lifetime in milliseconds
+ * @param {function} options.now - Clock returning milliseconds
+ * @returns {Object} Store with save/consume
+ */
+export function createChallengeStore({ ttl = CHALLENGE_TTL, now = Date.now } = {}) {
+  const challenges = new Map();
+  
+  return {
+    save: async (key, challenge) => {
+      // Drop expired challenges so abandoned ceremonies don't accumulate
+      for (const [storedKey, entry] of challenges) {
+        if (entry.expiresAt <= now()) {
+          challenges.delete(storedKey);
+        }
+      }
+      challenges.set(key, { challenge, expiresAt: now() + ttl });
+    },
+    
+    // Returns the challenge once, and never after it has expired
+    consume: async (key) => {
+      const entry = challenges.get(key);
+      challenges.delete(key);
+      return entry && entry.expiresAt > now() ? entry.challenge : null;
+    },
+  };
+}
+
+/**
+ * Create an in-memory credential store
+ * Replace with a database table keyed by credential ID.
+ * @returns {Object} Store with get/listByUser/save/update/delete
+ */
+export function createCredentialStore() {
+  const credentials = new Map();
+  
+  return {
+    get: async (credentialId) => credentials.get(credentialId) || null,
+    listByUser: async (userId) => [...credentials.values()].filter(credential => credential.userId === userId),
+    save: async (credential) => {
+      credentials.set(credential.id, credential);
+    },
+    update: async (credentialId, changes) => {
+      const credential = credentials.get(credentialId);
+      if (credential) {
+        credentials.set(credentialId, { ...credential, ...changes });
+      }
+    },
+    delete: async (credentialId) => {
+      credentials.delete(credentialId);
+    },
+  };
+}
+
+/**
+ * Create the passkey service
+ * @param {Object} options - Service options
+ * @param {Object} options.credentials - Credential store (see createCredentialStore)
+ * @param {Object} options.challenges - Challenge store (see createChallengeStore)
+ * @param {Object} options.rp - Relying party { id, name, origin }
+ * @param {Object} options.webauthn - WebAuthn functions (default: @simplewebauthn/server)
+ * @param {Object} options.mailer - Mailer for "passkey added" notices (see utils/email.js)
+ * @param {function} options.now - Clock returning milliseconds
+ * @returns {Object} Passkey service
+ */
+export function createPasskeyService({
+  credentials = createCredentialStore(),
+  challenges = createChallengeStore(),
+  rp = relyingParty,
+  webauthn = {
+    generateRegistrationOptions,
+    verifyRegistrationResponse,
+    generateAuthenticationOptions,
+    verifyAuthenticationResponse,
+  },
+  mailer = defaultMailer,
+  now = Date.now,
+} = {}) {
+  return {
+    credentials,
+    
+    /**
+     * Start registering a passkey for a signed-in user
+     * @param {Object} user - { id, email, name }
+     * @returns {Promise<Object>} Options for navigator.credentials.create()
+     */
+    startRegistration: async (user) => {
+      const existing = await credentials.listByUser(user.id);
+      
+      const options = await webauthn.generateRegistrationOptions({
+        rpName: rp.name,
+        rpID: rp.id,
+        userName: user.email,
+        userDisplayName: user.name || user.email,
+        userID: new TextEncoder().encode(user.id),
+        attestationType: 'none',
+        // Don't register the same authenticator twice
+        excludeCredentials: existing.map(({ id, transports }) => ({ id, transports })),
+        authenticatorSelection: {
+          residentKey: 'required',
+          userVerification: 'required',
+        },
+      });
+      
+      await challenges.save(`register:${user.id}`, options.challenge);
+      return options;
+    },
+    
+    /**
+     * Verify a registration response and store the new credential
+     * The owner is emailed, since a passkey signs in without the password.
+     * @param {Object} user - { id, email }
+     * @param {Object} response - Result of navigator.credentials.create()
+     * @param {string} label - Name the user gave the passkey
+     * @returns {Promise<Object>} Stored credential (without the public key)
+     * @throws {Error} With status 400 if the challenge expired or verification fails
+     */
+    finishRegistration: async (user, response, label = 'Passkey') => {
+      const expectedChallenge = await challenges.consume(`register:${user.id}`);
+      if (!expectedChallenge) {
+        throw fail('Registration challenge expired. Please try again.');
+      }
+      
+      let verification;
+      try {
+        verification = await webauthn.verifyRegistrationResponse({
+          response,
+          expectedChallenge,
+          expectedOrigin: rp.origin,
+          expectedRPID: rp.id,
+          requireUserVerification: true,
+        });
+      } catch (error) {
+        throw fail(`Passkey registration failed: ${error.message}`);
+      }
+      
+      if (!verification.verified) {
+        throw fail('Passkey registration failed');
+      }
+      
+      const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+      if (await credentials.get(credential.id)) {
+        throw fail('This passkey is already registered', 409);
+      }
+      
+      const stored = {
+        id: credential.id,
+        userId: user.id,
+        publicKey: credential.publicKey,
+        counter: credential.counter,
+        transports: credential.transports || response.response?.transports || [],
+        deviceType: credentialDeviceType,
+        backedUp: credentialBackedUp,
+        label,
+        createdAt: now(),
+        lastUsedAt: null,
+      };
+      await credentials.save(stored);
+      
+      // A new way into the account: tell the owner
+      if (user.email) {
+        mailer.send({
+          to: user.email,
+          subject: 'A passkey was added to your account',
+          text: `A passkey named "${label}" can now be used to sign in to your account.\n\n`
+            + `If this wasn't you, remove it from your account settings and change your password.`,
+        }).catch(error => console.error('Error sending passkey added email:', error));
+      }
+      
+      const { publicKey, ...summary } = stored;
+      return summary;
+    },
+    
+    /**
+     * Start a sign-in ceremony
+     * No user is named: discoverable credentials identify themselves.
+     * @returns {Promise<{ ceremonyId: string, options: Object }>} Ceremony ID and
+     *   options for navigator.credentials.get()
+     */
+    startAuthentication: async () => {
+      const options = await webauthn.generateAuthenticationOptions({
+        rpID: rp.id,
+        userVerification: 'required',
+      });
+      
+      const ceremonyId = randomBytes(16).toString('base64url');
+      await challenges.save(`authenticate:${ceremonyId}`, options.challenge);
+      
+      return { ceremonyId, options };
+    },
+    
+    /**
+     * Verify a sign-in assertion
+     * @param {string} ceremonyId - ID returned by startAuthentication()
+     * @param {Object} response - Result of navigator.credentials.get()
+     * @returns {Promise<{ userId: string, credentialId: string }>} Authenticated user
+     * @throws {Error} With status 401 if the challenge, credential, signature or counter is invalid
+     */
+    finishAuthentication: async (ceremonyId, response) => {
+      const expectedChallenge = await challenges.consume(`authenticate:${ceremonyId}`);
+      if (!expectedChallenge) {
+        throw fail('Sign-in challenge expired. Please try again.', 401);
+      }
+      
+      const credential = await credentials.get(response?.id);
+      if (!credential) {
+        throw fail('Unknown passkey', 401);
+      }
+      
+      let verification;
+      try {
+        verification = await webauthn.verifyAuthenticationResponse({
+          response,
+          expectedChallenge,
+          expectedOrigin: rp.origin,
+          expectedRPID: rp.id,
+          credential: {
+            id: credential.id,
+            publicKey: credential.publicKey,
+            counter: credential.counter,
+            transports: credential.transports,
+          },
+          requireUserVerification: true,
+        });
+      } catch (error) {
+        throw fail(`Passkey sign-in failed: ${error.message}`, 401);
+      }
+      
+      if (!verification.verified) {
+        throw fail('Passkey sign-in failed', 401);
+      }
+      
+      // Signature counters must increase. Authenticators that don't keep
+      // one (most synced passkeys) always report 0. A counter that goes
+      // backwards suggests a cloned authenticator.
+      const { newCounter } = verification.authenticationInfo;
+      if ((newCounter > 0 || credential.counter > 0) && newCounter <= credential.counter) {
+        throw fail('Passkey signature counter did not increase', 401);
+      }
+      
+      await credentials.update(credential.id, { counter: newCounter, lastUsedAt: now() });
+      
+      return { userId: credential.userId, credentialId: credential.id };
+    },
+  };
+}
+
+// Default service used by auth/auth-config.js and the passkey routes
+export const passkeyService = createPasskeyService();
+
+// Example sign-in from the browser (with @simplewebauthn/browser):
+
+/*
+import { startAuthentication } from '@simplewebauthn/browser';
+import { signIn } from 'next-auth/react';
+
+const { ceremonyId, options } = await fetch('/api/auth/passkey/authenticate/options', { method: 'POST' })
+  .then(res => res.json());
+
+const response = await startAuthentication({ optionsJSON: options });
+
+await signIn('passkey', {
+  ceremonyId,
+  response: JSON.stringify(response),
+  callbackUrl: '/dashboard',
+});
+*/
+
+// Example unit test with a software authenticator:
+
+/*
+import { createPasskeyService } from '@/auth/passkeys';
+
+// Stand-in for @simplewebauthn/server: checks the signed challenge and
+// reports the authenticator's counter
+const softwareAuthenticator = {
+  counter: 0,
+  generateRegistrationOptions: async () => ({ challenge: 'reg-challenge' }),
+  verifyRegistrationResponse: async ({ response, expectedChallenge }) => ({
+    verified: response.challenge === expectedChallenge,
+    registrationInfo: { credential: { id: response.id, publicKey: new Uint8Array(), counter: 0 } },
+  }),
+  generateAuthenticationOptions: async () => ({ challenge: 'auth-challenge' }),
+  verifyAuthenticationResponse: async ({ response, expectedChallenge }) => ({
+    verified: response.challenge === expectedChallenge,
+    authenticationInfo: { newCounter: ++softwareAuthenticator.counter },
+  }),
+};
+
+const passkeys = createPasskeyService({ webauthn: softwareAuthenticator });
+
+await passkeys.startRegistration({ id: '1', email: 'user@example.com' });
+await passkeys.finishRegistration({ id: '1' }, { id: 'cred-1', challenge: 'reg-challenge' });
+
+const { ceremonyId } = await passkeys.startAuthentication();
+await passkeys.finishAuthentication(ceremonyId, { id: 'cred-1', challenge: 'auth-challenge' });
+// { userId: '1', credentialId: 'cred-1' }
+*/
@@ -0,0 +1,181 @@
+/**
+ * Password reset
+ *
+ * Emailed, single-use reset links:
+ * - Tokens are 256 bits of randomness; only their SHA-256 hash is stored
+ * - Tokens expire after `tokenTtl` (PASSWORD_RESET_TTL, default 1 hour)
+ * - A token is spent on first use, whether or not the reset succeeds
+ * - Changing the password, by reset or otherwise, invalidates every
+ *   outstanding token for the account
+ * - Requesting a reset looks the same whether or not the email exists
+ *
+ * Completing a reset updates `passwordChangedAt`, which revokes all
+ * existing sessions (see the jwt callback in auth/auth-config.js).
+ */
+
+import { createHash, randomBytes } from 'crypto';
+import { LRUCache } from 'lru-cache';
+import { userRepository } from './user-repository';
+import { mailer as defaultMailer } from '@/utils/email';
+
+// Reset links are valid for an hour unless configured otherwise
+export const PASSWORD_RESET_TTL = (Number(process.env.PASSWORD_RESET_TTL) || 60 * 60) * 1000;
+
+const hashToken = (token) => createHash('sha256').update(String(token)).digest('hex');
+
+// Errors carry an HTTP status, like the rest of the auth helpers
+const fail = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Create an in-memory reset token store
+ * Use a shared store (e.g. Redis with a TTL) when running several instances.
+ * @param {Object} options - Store options
+ * @param {number} options.max - Maximum number of outstanding tokens
+ * @returns {Object} Store with get/set/delete
+ */
+export function createResetTokenStore({ max = 10000 } = {}) {
+  const cache = new LRUCache({ max });
+  
+  return {
+    get: async (key) => cache.get(key) || null,
+    set: async (key, value) => {
+      cache.set(key, value);
+    },
+    delete: async (key) => {
+      cache.delete(key);
+    },
+  };
+}
+
+/**
+ * Create the password reset service
+ * @param {Object} options - Service options
+ * @param {Object} options.store - Token store (see createResetTokenStore)
+ * @param {Object} options.users - User repository (see auth/user-repository.js)
+ * @param {Object} options.mailer - Mailer (see utils/email.js)
+ * @param {function} options.now - Clock returning milliseconds
+ * @param {number} options.tokenTtl - Token lifetime in milliseconds
+ * @param {string} options.baseUrl - App URL the reset link points to
+ * @returns {Object} Password reset service
+ */
+export function createPasswordResetService({
+  store = createResetTokenStore(),
+  users = userRepository,
+  mailer = defaultMailer,
+  now = Date.now,
+  tokenTtl = PASSWORD_RESET_TTL,
+  baseUrl = process.env.NEXTAUTH_URL || 'http://localhost:3000',
+} = {}) {
+  return {
+    /**
+     * Email a reset link if an account exists for the address
+     * Resolves the same way whether or not it does, and doesn't wait for
+     * the email to be sent, so neither the result nor the timing reveals
+     * which emails are registered.
+     * @param {string} email - Submitted email
+     * @returns {Promise<void>}
+     */
+    requestReset: async (email) => {
+      const user = await users.findByEmail(email);
+      if (!user) {
+        return;
+      }
+      
+      const token = randomBytes(32).toString('base64url');
+      await store.set(`reset:${hashToken(token)}`, {
+        userId: user.id,
+        // A later password change makes this token useless
+        passwordChangedAt: user.passwordChangedAt ?? null,
+        expiresAt: now() + tokenTtl,
+      });
+      
+      const resetUrl = `${baseUrl}/auth/reset-password?token=${encodeURIComponent(token)}`;
+      const minutes = Math.round(tokenTtl / 60000);
+      
+      mailer.send({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Someone asked to reset the password for your account.\n\n`
+          + `To choose a new password, open this link within ${minutes} minutes:\n${resetUrl}\n\n`
+          + `If this wasn't you, ignore this email. Your password won't change.`,
+      }).catch(error => console.error('Error sending password reset email:', error));
+    },
+    
+    /**
+     * Find the account a reset token belongs to, without spending it,
+     * so the new password can be checked against the user's details
+     * @param {string} token - Token from the reset link
+     * @returns {Promise<{ username: string|null, email: string, name: string|null }|null>}
+     *   The account's context terms, or null if the token isn't valid
+     */
+    findAccount: async (token) => {
+      const entry = await store.get(`reset:${hashToken(token)}`);
+      if (!entry || entry.expiresAt <= now()) {
+        return null;
+      }
+      
+      const user = await users.findById(entry.userId);
+      return user ? { username: user.username, email: user.email, name: user.name } : null;
+    },
+    
+    /**
+     * Set a new password with a reset token
+     * @param {string} token - Token from the reset link
+     * @param {string} password - New password, already validated
+     * @returns {Promise<{ userId: string, email: string }>} The account that was reset
+     * @throws {Error} With status 400 if the token is unknown, expired, spent
+     *   or issued before the last password change
+     */
+    completeReset: async (token, password) => {
+      // Spend the token before doing anything else so it can't be replayed
+      const tokenKey = `reset:${hashToken(token)}`;
+      const entry = await store.get(tokenKey);
+      await store.delete(tokenKey);
+      
+      if (!entry || entry.expiresAt <= now()) {
+        throw fail('Invalid or expired reset link');
+      }
+      
+      const user = await users.findById(entry.userId);
+      if (!user || (user.passwordChangedAt ?? null) !== entry.passwordChangedAt) {
+        throw fail('Invalid or expired reset link');
+      }
+      
+      // Hashes the password and updates passwordChangedAt
+      await users.update(user.id, { password });
+      
+      // Tell the owner, in case they didn't ask for the reset
+      mailer.send({
+        to: user.email,
+        subject: 'Your password was changed',
+        text: `The password for your account was just changed and all devices were signed out.\n\n`
+          + `If this wasn't you, contact support immediately.`,
+      }).catch(error => console.error('Error sending password changed email:', error));
+      
+      return { userId: user.id, email: user.email };
+    },
+  };
+}
+
+// Default service used by the password reset routes
+export const passwordResetService = createPasswordResetService();
+
+// Example unit test with the in-memory mail transport:
+
+/*
+import { createPasswordResetService } from '@/auth/password-reset';
+import { createMailer, createMemoryTransport } from '@/utils/email';
+
+const transport = createMemoryTransport();
+const passwordReset = createPasswordResetService({ mailer: createMailer({ transport }) });
+
+await passwordReset.requestReset('user@example.com');
+const token = new URL(transport.outbox[0].text.match(/https?:\S+/)[0]).searchParams.get('token');
+
+await passwordReset.completeReset(token, 'N3w-Passw0rd!');
+await passwordReset.completeReset(token, 'N3w-Passw0rd!'); // throws: token already spent
+*/
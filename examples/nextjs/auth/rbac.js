@@ -0,0 +1,340 @@
+/**
+ * Role-based access control policy
+ *
+ * Roles, inheritance, permissions and route requirements are declared in
+ * one place and used from both the middleware (page and API routes) and
+ * individual route handlers.
+ *
+ * Permissions use a `resource:action` format, e.g. `users:read`.
+ * A role may grant `resource:*` for every action on a resource, or `*`.
+ *
+ * This module has no Node.js dependencies, so it runs in the Edge runtime.
+ */
+
+import { NextResponse } from 'next/server';
+import { createRouteMatcher } from '@/utils/route-matcher';
+
+// Role definitions
+// A role gets its own permissions plus those of every role it inherits.
+// `operator` is a platform role: it is held on the account (user.platformRole)
+// rather than in an organization, so no tenant can grant it.
+export const roleDefinitions = {
+  guest: {
+    permissions: ['content:read'],
+  },
+  user: {
+    inherits: ['guest'],
+    permissions: ['dashboard:view', 'profile:read', 'profile:write'],
+  },
+  admin: {
+    inherits: ['user'],
+    permissions: ['admin:access', 'users:read', 'users:write', 'users:delete', 'users:impersonate'],
+  },
+  operator: {
+    // Data across all organizations, such as CSP violation reports
+    permissions: ['csp:read'],
+  },
+};
+
+// Route requirements
+// `path` is a route pattern (see utils/route-matcher.js): `/admin/**` covers
+// /admin and everything below it, `:id` matches one segment.
+// `permissions` applies to every method; `permissionsByMethod` adds per-method
+// requirements and denies methods it doesn't list. `methods` limits a rule to
+// some HTTP methods, and `public: true` explicitly allows unauthenticated access.
+// `stepUp: { maxAge, mfa }` additionally requires a recent or multi-factor
+// sign-in (see auth/step-up.js), and `impersonation: false` refuses sessions
+// in which an admin is acting as another user (see auth/impersonation.js).
+// `apiKeys: true` lets requests with an API key through to the route handler,
+// which must authenticate them (see auth/authenticate-request.js).
+// The most specific matching rule wins.
+export const routeRules = [
+  {
+    path: '/dashboard/**',
+    permissions: ['dashboard:view'],
+  },
+  {
+    path: '/admin/**',
+    permissions: ['admin:access'],
+  },
+  {
+    // Organization pages; the role checked is the user's role in :orgId
+    path: '/org/:orgId/**',
+    permissions: ['dashboard:view'],
+  },
+  {
+    // Every API route requires a session unless allowlisted below
+    path: '/api/**',
+    permissions: [],
+  },
+  {
+    // Admin APIs also require a sign-in within the last 10 minutes
+    path: '/api/admin/**',
+    permissions: ['admin:access'],
+    stepUp: { maxAge: 10 * 60 },
+  },
+  {
+    // Also used by integrations with API keys
+    path: '/api/users',
+    apiKeys: true,
+    permissionsByMethod: {
+      GET: ['users:read'],
+      POST: ['users:write'],
+      PATCH: ['users:write'],
+      DELETE: ['users:delete'],
+    },
+  },
+  {
+    // Individual records only require a session here;
+    // the route handler decides per record with the policies in auth/abac.js
+    path: '/api/users/:id',
+    permissions: [],
+  },
+  
+  // Public API routes
+  {
+    // NextAuth sign-in, callback and session endpoints, and passkey sign-in
+    path: '/api/auth/**',
+    public: true,
+  },
+  {
+    // Adding a passkey requires an existing session
+    path: '/api/auth/passkey/register/**',
+    permissions: [],
+    impersonation: false,
+  },
+  {
+    // Linking sign-in providers requires a session
+    path: '/api/auth/link/**',
+    permissions: [],
+    impersonation: false,
+  },
+  {
+    // Signing out all devices requires a session
+    path: '/api/auth/sessions',
+    permissions: [],
+    impersonation: false,
+  },
+  {
+    // Managing API keys requires a session
+    path: '/api/auth/api-keys/**',
+    permissions: [],
+    impersonation: false,
+  },
+  {
+    // Support staff can act as a member of their organization
+    path: '/api/auth/impersonation',
+    permissions: ['users:impersonate'],
+    impersonation: false,
+  },
+  {
+    // A user's credentials are never changed on their behalf
+    path: '/api/mfa/**',
+    permissions: [],
+    impersonation: false,
+  },
+  {
+    // Browsers send CSP reports without credentials. The GET summary needs
+    // the platform permission csp:read, which the route handler checks.
+    path: '/api/csp-report',
+    methods: ['POST'],
+    public: true,
+  },
+];
+
+/**
+ * Create an access control policy
+ * @param {Object} options - Policy definition
+ * @param {Object} options.roles - Role definitions ({ inherits, permissions })
+ * @param {Array<Object>} options.routes - Route rules ({ path, methods, public, permissions, permissionsByMethod, stepUp, impersonation, apiKeys })
+ * @returns {Object} Policy instance
+ * @throws {Error} If a role inherits an unknown role, inheritance is circular
+ *   or a route pattern is malformed
+ */
+export function createPolicy({ roles, routes = [] }) {
+  // Resolve each role's effective permissions once, up front
+  const resolve = (role, seen = []) => {
+    if (!roles[role]) {
+      throw new Error(`Unknown role "${role}"${seen.length ? ` inherited by "${seen[seen.length - 1]}"` : ''}`);
+    }
+    if (seen.includes(role)) {
+      throw new Error(`Circular role inheritance: ${[...seen, role].join(' -> ')}`);
+    }
+    
+    const { inherits = [], permissions = [] } = roles[role];
+    const inherited = inherits.flatMap(parent => resolve(parent, [...seen, role]));
+    
+    return [...new Set([...permissions, ...inherited])];
+  };
+  
+  const effectivePermissions = Object.fromEntries(
+    Object.keys(roles).map(role => [role, resolve(role)])
+  );
+  
+  // Check a granted permission against a required one, honouring wildcards
+  const grants = (granted, required) => {
+    if (granted === '*' || granted === required) {
+      return true;
+    }
+    const [resource, action] = granted.split(':');
+    return action === '*' && required.startsWith(`${resource}:`);
+  };
+  
+  const can = (role, permission) => Boolean(
+    role && effectivePermissions[role]?.some(granted => grants(granted, permission))
+  );
+  
+  const routeMatcher = createRouteMatcher(routes);
+  
+  return {
+    /**
+     * Check whether a role has a permission
+     * @param {string} role - Role name
+     * @param {string} permission - Permission, e.g. 'users:read'
+     * @returns {boolean} True if granted
+     */
+    can,
+    
+    /**
+     * Check whether a role has every listed permission
+     * @param {string} role - Role name
+     * @param {string[]} permissions - Required permissions
+     * @returns {boolean} True if all are granted
+     */
+    canAll: (role, permissions) => permissions.every(permission => can(role, permission)),
+    
+    /**
+     * List a role's effective permissions, including inherited ones
+     * @param {string} role - Role name
+     * @returns {string[]} Permissions
+     */
+    permissionsFor: (role) => [...(effectivePermissions[role] || [])],
+    
+    /**
+     * Find the route rule for a request
+     * @param {string} pathname - Request path
+     * @param {string} method - HTTP method
+     * @returns {{ rule: Object, params: Object }|null} Matching rule and path params
+     */
+    matchRoute: (pathname, method = 'GET') => routeMatcher.match(pathname, method),
+    
+    /**
+     * Get the permissions a route requires
+     * @param {string} pathname - Request path
+     * @param {string} method - HTTP method
+     * @returns {string[]|null} Required permissions, or null if the route is not protected
+     */
+    requiredPermissions: (pathname, method = 'GET') => {
+      // HEAD requests are reads of the GET resource
+      const verb = method.toUpperCase() === 'HEAD' ? 'GET' : method.toUpperCase();
+      const match = routeMatcher.match(pathname, verb);
+      if (!match || match.rule.public) {
+        return null;
+      }
+      
+      const { permissions, permissionsByMethod } = match.rule;
+      const byMethod = permissionsByMethod?.[verb];
+      if (permissionsByMethod && !byMethod && !permissions) {
+        // Method not listed: deny by default rather than allowing it
+        return ['*'];
+      }
+      
+      return [...(permissions || []), ...(byMethod || [])];
+    },
+    
+    /**
+     * Get a route's step-up requirement
+     * @param {string} pathname - Request path
+     * @param {string} method - HTTP method
+     * @returns {{ maxAge: number, mfa: boolean }|null} Requirement, or null if the route has none
+     */
+    stepUpFor: (pathname, method = 'GET') => {
+      const verb = method.toUpperCase() === 'HEAD' ? 'GET' : method.toUpperCase();
+      const match = routeMatcher.match(pathname, verb);
+      return match && !match.rule.public ? match.rule.stepUp || null : null;
+    },
+    
+    /**
+     * Check whether a route accepts impersonated sessions
+     * @param {string} pathname - Request path
+     * @param {string} method - HTTP method
+     * @returns {boolean} False if the route is marked `impersonation: false`
+     */
+    allowsImpersonation: (pathname, method = 'GET') => {
+      const verb = method.toUpperCase() === 'HEAD' ? 'GET' : method.toUpperCase();
+      return routeMatcher.match(pathname, verb)?.rule.impersonation !== false;
+    },
+    
+    /**
+     * Check whether a route accepts API keys
+     * @param {string} pathname - Request path
+     * @param {string} method - HTTP method
+     * @returns {boolean} True if the route is marked `apiKeys: true`
+     */
+    acceptsApiKeys: (pathname, method = 'GET') => {
+      const verb = method.toUpperCase() === 'HEAD' ? 'GET' : method.toUpperCase();
+      return routeMatcher.match(pathname, verb)?.rule.apiKeys === true;
+    },
+  };
+}
+
+// Default policy used by the middleware and route handlers
+export const policy = createPolicy({
+  roles: roleDefinitions,
+  routes: routeRules,
+});
+
+/**
+ * Route handler helper: require a permission for the current session
+ * API key sessions (see auth/authenticate-request.js) also need every
+ * permission among the key's scopes.
+ * @param {Object|null} session - Session from getServerSession() or authenticateRequest()
+ * @param {string|string[]} permissions - Required permission(s)
+ * @param {string} role - Role to check; defaults to the role in the session's
+ *   active organization (pass the membership role from requireOrg() for another)
+ * @returns {NextResponse|null} Error response, or null if allowed
+ */
+export function requirePermission(session, permissions, role = session?.user?.role) {
+  if (!session) {
+    return NextResponse.json(
+      { error: 'Authentication required' },
+      { status: 401 }
+    );
+  }
+  
+  const required = [].concat(permissions);
+  if (!policy.canAll(role, required)) {
+    return NextResponse.json(
+      { error: 'Insufficient permissions' },
+      { status: 403 }
+    );
+  }
+  
+  if (session.apiKey && !required.every(permission => session.apiKey.scopes.includes(permission))) {
+    return NextResponse.json(
+      { error: 'API key is missing a required scope' },
+      { status: 403 }
+    );
+  }
+  
+  return null;
+}
+
+// Example usage in a route handler:
+
+/*
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/auth/auth-config';
+import { requirePermission } from '@/auth/rbac';
+
+export async function DELETE(request) {
+  const session = await getServerSession(authOptions);
+  
+  const denied = requirePermission(session, 'users:delete');
+  if (denied) {
+    return denied;
+  }
+  
+  // ...
+}
+*/
@@ -0,0 +1,51 @@
+/**
+ * Session check for protected pages
+ *
+ * The middleware decides from the session cookie alone, in the Edge
+ * runtime. Unless the revocation store is shared with the server (see
+ * auth/session-revocation.js), it can't see that a session was signed
+ * out, ended by "log out all devices" or a password reset, or belongs to
+ * an account that was deactivated since.
+ *
+ * getServerSession() runs the jwt callback on the server, which does
+ * check, so a page that calls requireSession() fails closed: a revoked
+ * session is sent to the sign-in page even when the middleware let it
+ * through. Route handlers get the same check from getServerSession().
+ *
+ * Call it in each page (or its data loader), not in a layout: layouts are
+ * not re-rendered when navigating between the pages below them.
+ */
+
+import { redirect } from 'next/navigation';
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/auth/auth-config';
+
+/**
+ * Require a live, fully authenticated session in a server component
+ * @param {string} returnUrl - Path to come back to after signing in
+ * @returns {Promise<Object>} The session
+ * @throws {Error} Next.js redirect to the sign-in page if there is no session
+ */
+export async function requireSession(returnUrl) {
+  const session = await getServerSession(authOptions);
+  
+  // A session waiting for its second factor has no user ID yet
+  if (!session?.user?.id) {
+    const query = returnUrl ? `?returnUrl=${encodeURIComponent(returnUrl)}` : '';
+    redirect(`/auth/login${query}`);
+  }
+  
+  return session;
+}
+
+// Example usage in a page (app/dashboard/page.js):
+
+/*
+import { requireSession } from '@/auth/require-session';
+
+export default async function DashboardPage() {
+  const session = await requireSession('/dashboard');
+  
+  return <h1>Welcome, {session.user.name}</h1>;
+}
+*/
@@ -0,0 +1,245 @@
+/**
+ * Server-side revocation for JWT sessions
+ *
+ * JWT sessions live in the cookie, so on their own they stay valid until
+ * they expire. This module keeps a small revocation list so sessions can
+ * be ended early:
+ * - Each session gets an ID (`sid`). Signing out revokes that ID until the
+ *   token would have expired anyway.
+ * - Each user has a session version. Tokens record the version they were
+ *   issued with; bumping it revokes every session the user has ("log out
+ *   all devices", role changes, compromised accounts).
+ *
+ * Checked in the jwt callback (auth/auth-config.js) and in middleware().
+ * Middleware runs in the Edge runtime, in its own bundle, so it only sees
+ * revocations made by route handlers when the store is shared (e.g. Redis
+ * or Vercel KV), which the default memory store isn't. So the server side
+ * doesn't rely on it: getServerSession() runs the jwt callback on the
+ * server, next to the route handlers that record revocations, and protected
+ * pages call requireSession() (auth/require-session.js). The file store
+ * suits a single Node.js server; the memory store suits tests.
+ */
+
+// Signed-out session IDs only need remembering until the token expires
+const SESSION_MAX_AGE = (Number(process.env.SESSION_MAX_AGE) || 30 * 60) * 1000;
+
+/**
+ * Create an in-memory revocation store
+ * Each bundle gets its own copy, so middleware doesn't see it.
+ * @param {Object} options - Store options
+ * @param {function} options.now - Clock returning milliseconds
+ * @returns {Object} Store with get/set
+ */
+export function createMemoryRevocationStore({ now = Date.now } = {}) {
+  const entries = new Map();
+  
+  return {
+    get: async (key) => {
+      const entry = entries.get(key);
+      if (entry?.expiresAt && entry.expiresAt <= now()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry ? entry.value : null;
+    },
+    
+    // expiresAt is optional; entries without one are kept forever
+    set: async (key, value, { expiresAt } = {}) => {
+      entries.set(key, { value, expiresAt });
+    },
+  };
+}
+
+/**
+ * Create a revocation store backed by a JSON file
+ * Survives restarts and is shared by processes on the same machine. The
+ * file is re-read when another process changes it and written atomically.
+ * Node.js runtime only: middleware using it must opt into the Node.js runtime.
+ * @param {Object} options - Store options
+ * @param {string} options.path - File to store revocations in
+ * @param {function} options.now - Clock returning milliseconds
+ * @returns {Object} Store with get/set
+ */
+export function createFileRevocationStore({
+  path = process.env.SESSION_REVOCATION_FILE || '.data/session-revocations.json',
+  now = Date.now,
+} = {}) {
+  let entries = {};
+  let loadedMtime = null;
+  let writing = Promise.resolve();
+  
+  // Imported lazily so edge bundles that only use the memory store don't pull in fs
+  const fs = () => import('fs/promises');
+  
+  const load = async () => {
+    const { readFile, stat } = await fs();
+    try {
+      const { mtimeMs } = await stat(path);
+      if (mtimeMs !== loadedMtime) {
+        entries = JSON.parse(await readFile(path, 'utf8'));
+        loadedMtime = mtimeMs;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      entries = {};
+      loadedMtime = null;
+    }
+  };
+  
+  const save = async () => {
+    const { mkdir, rename, stat, writeFile } = await fs();
+    const { dirname } = await import('path');
+    
+    // Drop expired entries so the file doesn't grow forever
+    for (const [key, entry] of Object.entries(entries)) {
+      if (entry.expiresAt && entry.expiresAt <= now()) {
+        delete entries[key];
+      }
+    }
+    
+    // Write to a temporary file and rename, so readers never see half a file
+    await mkdir(dirname(path), { recursive: true });
+    const temporary = `${path}.${process.pid}.tmp`;
+    await writeFile(temporary, JSON.stringify(entries), { mode: 0o600 });
+    await rename(temporary, path);
+    loadedMtime = (await stat(path)).mtimeMs;
+  };
+  
+  return {
+    get: async (key) => {
+      await writing;
+      await load();
+      const entry = entries[key];
+      if (!entry || (entry.expiresAt && entry.expiresAt <= now())) {
+        return null;
+      }
+      return entry.value;
+    },
+    
+    set: (key, value, { expiresAt } = {}) => {
+      // Serialize writes within this process. A failed write is reported
+      // to its caller without blocking the writes queued after it.
+      const result = writing.then(async () => {
+        await load();
+        entries[key] = { value, expiresAt };
+        await save();
+      });
+      writing = result.catch(() => {});
+      return result;
+    },
+  };
+}
+
+/**
+ * Create the session revocation service
+ * @param {Object} options - Service options
+ * @param {Object} options.store - Revocation store (memory, file, or any store with get/set)
+ * @param {function} options.now - Clock returning milliseconds
+ * @param {number} options.sessionMaxAge - Session lifetime in milliseconds
+ * @param {function} options.onEvent - Receives { type, userId, ... } for every revocation
+ * @returns {Object} Session revocation service
+ */
+export function createSessionRevocation({
+  store = createMemoryRevocationStore(),
+  now = Date.now,
+  sessionMaxAge = SESSION_MAX_AGE,
+  onEvent = (event) => console.warn('[security]', JSON.stringify(event)),
+} = {}) {
+  const versionOf = async (userId) => (await store.get(`version:${userId}`)) || 0;
+  
+  return {
+    /**
+     * Claims to add to a new session's token
+     * @param {string} userId - User ID
+     * @returns {Promise<{ sid: string, sessionVersion: number }>} Session claims
+     */
+    issue: async (userId) => ({
+      sid: crypto.randomUUID(),
+      sessionVersion: await versionOf(userId),
+    }),
+    
+    /**
+     * Check whether a session token has been revoked
+     * Tokens without a session ID predate revocation and are treated as revoked.
+     * While impersonating (see auth/impersonation.js), the session belongs to
+     * the admin in `act`, so their revocations apply.
+     * @param {Object} token - Decoded token ({ sub, sid, sessionVersion, act })
+     * @returns {Promise<boolean>} True if the session must not be used
+     */
+    isRevoked: async (token) => {
+      const owner = token?.act?.sub ?? token?.sub;
+      if (!owner || !token.sid) {
+        return true;
+      }
+      
+      if (await store.get(`sid:${token.sid}`)) {
+        return true;
+      }
+      
+      return (token.sessionVersion ?? 0) < await versionOf(owner);
+    },
+    
+    /**
+     * Revoke a single session, e.g. on sign-out
+     * @param {Object} token - Decoded token ({ sub, sid })
+     * @returns {Promise<void>}
+     */
+    revokeSession: async (token) => {
+      if (!token?.sid) {
+        return;
+      }
+      
+      await store.set(`sid:${token.sid}`, true, { expiresAt: now() + sessionMaxAge });
+      onEvent({ type: 'auth.session_revoked', userId: token.sub, at: new Date(now()).toISOString() });
+    },
+    
+    /**
+     * Revoke every session a user has
+     * @param {string} userId - User ID
+     * @param {string} reason - Why, for the audit trail (e.g. 'logout_all', 'role_changed')
+     * @returns {Promise<void>}
+     */
+    revokeAllSessions: async (userId, reason = 'logout_all') => {
+      await store.set(`version:${userId}`, await versionOf(userId) + 1);
+      onEvent({ type: 'auth.sessions_revoked', userId, reason, at: new Date(now()).toISOString() });
+    },
+  };
+}
+
+// Default service used by auth/auth-config.js, middleware and the session routes
+export const sessionRevocation = createSessionRevocation();
+
+// Example: a file-backed store on a single Node.js server
+
+/*
+import { createFileRevocationStore, createSessionRevocation } from '@/auth/session-revocation';
+
+export const sessionRevocation = createSessionRevocation({
+  store: createFileRevocationStore({ path: '/var/lib/myapp/session-revocations.json' }),
+});
+
+// After changing a user's permissions:
+await sessionRevocation.revokeAllSessions(userId, 'role_changed');
+*/
+
+// Example: a Redis store shared by middleware and route handlers (with @upstash/redis)
+
+/*
+import { Redis } from '@upstash/redis';
+import { createSessionRevocation } from '@/auth/session-revocation';
+
+const redis = Redis.fromEnv();
+
+export const sessionRevocation = createSessionRevocation({
+  store: {
+    get: (key) => redis.get(`revocation:${key}`),
+    set: (key, value, { expiresAt } = {}) => redis.set(
+      `revocation:${key}`,
+      value,
+      expiresAt ? { pxat: expiresAt } : {}
+    ),
+  },
+});
+*/
@@ -0,0 +1,176 @@
+/**
+ * Step-up authentication for sensitive operations
+ *
+ * A session proves the user signed in at some point, not that they are at
+ * the keyboard now. Sensitive operations can demand more:
+ * - `maxAge`: the user authenticated within the last N seconds
+ * - `mfa`: the latest authentication used a second factor
+ *
+ * The session token records `auth_time` (seconds since the epoch, as in
+ * OpenID Connect) and `amr` (RFC 8176 method values). When a requirement
+ * isn't met, the response is a 401 challenge in the format of RFC 9470
+ * (OAuth 2.0 Step-Up Authentication Challenge):
+ *
+ *   WWW-Authenticate: Bearer error="insufficient_user_authentication",
+ *     error_description="...", max_age=300, acr_values="mfa"
+ *
+ * with the same fields in the JSON body. Clients re-authenticate with
+ * useSession().update({ reauth: { password } }) or { mfaCode } or
+ * { passkey: { ceremonyId, response } } (see the jwt callback in
+ * auth/auth-config.js) and retry the request.
+ *
+ * While an admin is impersonating a user (see auth/impersonation.js), the
+ * token's auth_time and amr are the admin's, so step-up is never met.
+ *
+ * Requirements can be declared on route rules (`stepUp` in auth/rbac.js,
+ * enforced by the middleware), by wrapping a handler with withStepUp(), or
+ * checked inline with requireStepUp() when they depend on the request body.
+ *
+ * This module has no Node.js dependencies, so it runs in the Edge runtime.
+ */
+
+import { NextResponse } from 'next/server';
+import { getToken } from 'next-auth/jwt';
+import { cookiePolicy } from '@/config/cookie-policy';
+
+// Error code from RFC 9470
+export const STEP_UP_ERROR = 'insufficient_user_authentication';
+
+// `acr_values` sent when a second factor is required
+export const MFA_ACR = 'mfa';
+
+// Default requirement for granting privileges, such as making someone an admin
+export const RECENT_AUTHENTICATION = { maxAge: 5 * 60 };
+
+// amr values (RFC 8176) that count as a second factor: one-time codes,
+// recovery codes and user-verified hardware keys (passkeys)
+const SECOND_FACTORS = ['otp', 'kba', 'hwk'];
+
+/**
+ * Check a session token against a step-up requirement
+ * Impersonated tokens never meet one: the admin's sign-in isn't the user's.
+ * @param {Object} token - Decoded session token ({ auth_time, amr, act })
+ * @param {Object} requirement - Requirement
+ * @param {number} requirement.maxAge - Maximum seconds since the user authenticated
+ * @param {boolean} requirement.mfa - Whether a second factor is required
+ * @param {number} now - Current time in milliseconds
+ * @returns {{ maxAge: number, mfa: boolean }|null} The unmet parts of the
+ *   requirement, or null if it is met
+ */
+export function checkStepUp(token, { maxAge, mfa = false } = {}, now = Date.now()) {
+  if (token?.act) {
+    return { maxAge, mfa };
+  }
+  
+  const authTime = Number(token?.auth_time) || 0;
+  const tooOld = maxAge !== undefined && (now / 1000) - authTime > maxAge;
+  const needsMfa = mfa && !(token?.amr || []).some(method => SECOND_FACTORS.includes(method));
+  
+  if (!tooOld && !needsMfa) {
+    return null;
+  }
+  
+  return { maxAge, mfa: needsMfa };
+}
+
+/**
+ * Build the 401 step-up challenge
+ * @param {Object} requirement - Requirement that wasn't met ({ maxAge, mfa })
+ * @returns {NextResponse} 401 response with WWW-Authenticate and a JSON body
+ */
+export function stepUpChallenge({ maxAge, mfa = false } = {}) {
+  const description = mfa
+    ? 'Verify with a second factor to continue'
+    : 'Sign in again to continue';
+  
+  const parameters = [`error="${STEP_UP_ERROR}"`, `error_description="${description}"`];
+  if (maxAge !== undefined) {
+    parameters.push(`max_age=${maxAge}`);
+  }
+  if (mfa) {
+    parameters.push(`acr_values="${MFA_ACR}"`);
+  }
+  
+  return NextResponse.json(
+    {
+      error: STEP_UP_ERROR,
+      error_description: description,
+      ...(maxAge !== undefined && { max_age: maxAge }),
+      ...(mfa && { acr_values: MFA_ACR }),
+    },
+    {
+      status: 401,
+      headers: {
+        'WWW-Authenticate': `Bearer ${parameters.join(', ')}`,
+        'Cache-Control': 'no-store',
+      },
+    }
+  );
+}
+
+/**
+ * Route handler helper: require recent (or multi-factor) authentication
+ * @param {Request} request - Incoming request
+ * @param {Object} requirement - Requirement ({ maxAge, mfa })
+ * @returns {Promise<NextResponse|null>} Error response, or null if allowed
+ */
+export async function requireStepUp(request, requirement) {
+  const token = await getToken({
+    req: request,
+    secret: process.env.NEXTAUTH_SECRET,
+    cookieName: cookiePolicy.sessionCookieName,
+  });
+  
+  if (!token || token.mfaPending) {
+    return NextResponse.json(
+      { error: 'Authentication required' },
+      { status: 401 }
+    );
+  }
+  
+  // Re-authenticating would need the user's credentials, so don't challenge
+  if (token.act) {
+    return NextResponse.json(
+      { error: 'Not available while impersonating a user' },
+      { status: 403 }
+    );
+  }
+  
+  const unmet = checkStepUp(token, requirement);
+  return unmet ? stepUpChallenge(unmet) : null;
+}
+
+/**
+ * Wrap a route handler so it only runs after step-up authentication
+ * @param {Object} requirement - Requirement ({ maxAge, mfa })
+ * @param {function} handler - Route handler (request, context)
+ * @returns {function} Wrapped route handler
+ */
+export function withStepUp(requirement, handler) {
+  return async (request, context) => {
+    const challenge = await requireStepUp(request, requirement);
+    if (challenge) {
+      return challenge;
+    }
+    
+    return handler(request, context);
+  };
+}
+
+// Example usage in a route handler:
+
+/*
+import { withStepUp } from '@/auth/step-up';
+
+// Deleting the organization needs a sign-in within 5 minutes using a second factor
+export const DELETE = withStepUp({ maxAge: 5 * 60, mfa: true }, async (request, { params }) => {
+  // ...
+});
+
+// Client side: re-authenticate when challenged, then retry
+const response = await fetch('/api/org', { method: 'DELETE' });
+if (response.status === 401 && response.headers.get('WWW-Authenticate')?.includes('insufficient_user_authentication')) {
+  const { acr_values } = await response.json();
+  await update(acr_values === 'mfa' ? { reauth: { mfaCode } } : { reauth: { password } });
+}
+*/
@@ -0,0 +1,160 @@
+/**
+ * Multi-tenant organization scoping
+ *
+ * Every user belongs to one or more organizations, with a role in each.
+ * Memberships are carried in the JWT (see the jwt/session callbacks in
+ * auth/auth-config.js) as `orgs: [{ id, role }]`, plus the `activeOrgId`
+ * chosen at sign-in or via session update.
+ *
+ * A request's organization is resolved, in order, from:
+ * 1. an `:orgId` route parameter (e.g. /org/:orgId/** in auth/rbac.js)
+ * 2. the X-Org-Id header
+ * 3. the session's active organization
+ *
+ * The middleware verifies membership and forwards the verified org ID to
+ * route handlers in the X-Org-Id request header. Handlers still check
+ * membership against the session with requireOrg().
+ *
+ * This module has no Node.js dependencies, so it runs in the Edge runtime.
+ */
+
+import { NextResponse } from 'next/server';
+
+// Header clients use to select an organization, and the middleware uses
+// to forward the verified one
+export const ORG_HEADER = 'x-org-id';
+
+// Organization IDs are opaque, URL-safe identifiers
+const ORG_ID_PATTERN = /^[\w-]{1,64}$/;
+
+// Keep the JWT small: a user in many organizations should store
+// memberships server-side and only carry the active one in the token
+export const MAX_ORGS_IN_TOKEN = 20;
+
+/**
+ * Resolve the organization a request targets
+ * @param {Object} options - Request details
+ * @param {Object} options.params - Route params (checked for `orgId`)
+ * @param {Headers} options.headers - Request headers
+ * @returns {string|null} Organization ID, or null if the request names none
+ * @throws {Error} With status 400 if the ID is malformed or the path and header disagree
+ */
+export function resolveOrgId({ params = {}, headers } = {}) {
+  const fromPath = params.orgId || null;
+  const fromHeader = headers?.get(ORG_HEADER) || null;
+  
+  for (const orgId of [fromPath, fromHeader]) {
+    if (orgId && !ORG_ID_PATTERN.test(orgId)) {
+      const error = new Error('Invalid organization ID');
+      error.status = 400;
+      throw error;
+    }
+  }
+  
+  if (fromPath && fromHeader && fromPath !== fromHeader) {
+    const error = new Error('Organization in path and header do not match');
+    error.status = 400;
+    throw error;
+  }
+  
+  return fromPath || fromHeader;
+}
+
+/**
+ * Find a user's membership in an organization
+ * @param {Object} user - JWT token or session.user (with `orgs`)
+ * @param {string} orgId - Organization ID
+ * @returns {{ id: string, role: string }|null} Membership, or null if not a member
+ */
+export function findMembership(user, orgId) {
+  if (!user || !orgId) {
+    return null;
+  }
+  
+  return user.orgs?.find(org => org.id === orgId) || null;
+}
+
+/**
+ * Pick the organization to activate at sign-in or on an org switch
+ * @param {Array<Object>} orgs - Memberships ({ id, role })
+ * @param {string} preferredOrgId - Requested organization, if any
+ * @returns {{ id: string, role: string }|null} Membership to activate
+ */
+export function selectActiveOrg(orgs = [], preferredOrgId) {
+  return orgs.find(org => org.id === preferredOrgId) || orgs[0] || null;
+}
+
+/**
+ * Route handler helper: resolve the request's organization and require membership
+ * @param {Object|null} session - Session from getServerSession()
+ * @param {Request} request - Incoming request
+ * @param {Object} params - Route params
+ * @returns {{ org: Object }|{ denied: NextResponse }} Verified membership, or an error response
+ */
+export function requireOrg(session, request, params = {}) {
+  if (!session) {
+    return {
+      denied: NextResponse.json(
+        { error: 'Authentication required' },
+        { status: 401 }
+      ),
+    };
+  }
+  
+  let orgId;
+  try {
+    orgId = resolveOrgId({ params, headers: request.headers }) || session.user?.activeOrgId;
+  } catch (error) {
+    return {
+      denied: NextResponse.json(
+        { error: error.message },
+        { status: error.status }
+      ),
+    };
+  }
+  
+  const org = findMembership(session.user, orgId);
+  if (!org) {
+    return {
+      denied: NextResponse.json(
+        { error: 'Not a member of this organization' },
+        { status: 403 }
+      ),
+    };
+  }
+  
+  return { org };
+}
+
+// Example usage in a route handler:
+
+/*
+import { getServerSession } from 'next-auth/next';
+import { authOptions } from '@/auth/auth-config';
+import { requireOrg } from '@/auth/tenancy';
+import { requirePermission } from '@/auth/rbac';
+
+export async function GET(request) {
+  const session = await getServerSession(authOptions);
+  
+  const { org, denied } = requireOrg(session, request);
+  if (denied) {
+    return denied;
+  }
+  
+  // Check permissions with the user's role in this organization
+  const forbidden = requirePermission(session, 'users:read', org.role);
+  if (forbidden) {
+    return forbidden;
+  }
+  
+  // Scope every query to org.id
+  const projects = await db.project.findMany({ where: { orgId: org.id } });
+}
+
+// Switching organization from the client:
+import { useSession } from 'next-auth/react';
+
+const { update } = useSession();
+await update({ activeOrgId: 'org_globex' });
+*/
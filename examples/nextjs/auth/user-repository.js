@@ -0,0 +1,669 @@
+/**
+ * User repository
+ *
+ * One interface for user accounts, used by sign-in (auth/auth-config.js),
+ * password reset and the users API. Two implementations:
+ * - createMemoryUserRepository: seeded in-memory store for development and tests
+ * - createSqlUserRepository: PostgreSQL with parameterized queries only
+ *
+ * Users belong to organizations through memberships ({ id, role }); the
+ * users API works with one organization at a time via toOrgMember().
+ *
+ * Users can also have identities at external sign-in providers linked to
+ * them (see auth/oauth.js). An identity belongs to at most one user.
+ *
+ * Duplicate emails, usernames or identities raise the same conflict error
+ * (status 409, code 'CONFLICT') whatever the storage, so routes don't
+ * depend on database error codes.
+ */
+
+import { randomUUID } from 'crypto';
+import { hash } from 'bcryptjs';
+
+/**
+ * @typedef {Object} User
+ * @property {string} id
+ * @property {string} email - Lowercase
+ * @property {string|null} username
+ * @property {string|null} name
+ * @property {string|null} passwordHash - bcrypt hash; null for passwordless accounts
+ * @property {number|null} passwordChangedAt - Milliseconds; sessions started earlier are revoked
+ * @property {Array<{ id: string, role: string }>} orgs - Organization memberships
+ * @property {string|null} platformRole - Role across all organizations, e.g.
+ *   'operator' (see auth/rbac.js); set in the database, never through the API
+ * @property {Array<Identity>} identities - Linked external identities
+ * @property {'active'|'inactive'} status
+ * @property {number} createdAt - Milliseconds
+ * @property {number} updatedAt - Milliseconds
+ */
+
+/**
+ * @typedef {Object} Identity
+ * @property {string} provider - Provider ID, e.g. 'google'
+ * @property {string} providerAccountId - The provider's stable user ID (`sub`), never the email
+ * @property {string|null} email - Verified email at the provider when linked
+ * @property {number} linkedAt - Milliseconds
+ */
+
+/**
+ * @typedef {Object} UserRepository
+ * @property {function(string): Promise<User|null>} findByEmail
+ * @property {function(string): Promise<User|null>} findById
+ * @property {function(Object): Promise<{ data: User[], total: number }>} list -
+ *   Filters: { orgId, role, status, search }, plus { page, limit, sortBy, order }
+ * @property {function(Object): Promise<User>} create - Accepts `password` and hashes it
+ * @property {function(string, Object): Promise<User|null>} update - Accepts `password` and hashes it
+ * @property {function(string): Promise<boolean>} softDelete - Deleted users are no longer found
+ * @property {function(string, string): Promise<User|null>} findByIdentity - By provider and providerAccountId
+ * @property {function(string, Object): Promise<User|null>} linkIdentity - Adds or replaces the user's
+ *   identity at a provider; conflicts if it belongs to another user
+ * @property {function(string, string): Promise<boolean>} unlinkIdentity - By user ID and provider
+ */
+
+// Columns users may be sorted by, mapped to SQL columns
+const SORT_COLUMNS = {
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  username: 'username',
+  email: 'email',
+};
+
+// Fields update() may change
+const UPDATABLE_FIELDS = ['email', 'username', 'name', 'status', 'orgs'];
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Hash a password with the configured bcrypt cost (PASSWORD_HASH_ROUNDS)
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} bcrypt hash
+ */
+export const hashPassword = (password) => hash(password, Number(process.env.PASSWORD_HASH_ROUNDS) || 12);
+
+/**
+ * Create the error raised for duplicate emails or usernames
+ * @param {string} field - Field that must be unique
+ * @returns {Error} Error with status 409, code 'CONFLICT' and the field
+ */
+export function conflictError(field) {
+  const error = new Error(`A user with this ${field} already exists`);
+  error.status = 409;
+  error.code = 'CONFLICT';
+  error.field = field;
+  return error;
+}
+
+/**
+ * A user as seen within one organization, safe to return from the API
+ * @param {User} user - User
+ * @param {string} orgId - Organization ID
+ * @returns {Object|null} { id, orgId, username, email, name, role, status, createdAt, updatedAt },
+ *   or null if the user isn't a member
+ */
+export function toOrgMember(user, orgId) {
+  const membership = user?.orgs.find(org => org.id === orgId);
+  if (!membership) {
+    return null;
+  }
+  
+  return {
+    id: user.id,
+    orgId,
+    username: user.username,
+    email: user.email,
+    name: user.name,
+    role: membership.role,
+    status: user.status,
+    createdAt: new Date(user.createdAt).toISOString(),
+    updatedAt: new Date(user.updatedAt).toISOString(),
+  };
+}
+
+// Development and test data
+// NEVER store plain text passwords in a real application
+export const seedUsers = [
+  {
+    id: '1',
+    email: 'user@example.com',
+    username: 'testuser',
+    name: 'Test User',
+    passwordHash: '$2a$12$r83OEfN0lvLgwooS1a7oqO9e65YpZ.ASUf4H/RTACFbRYatj4NfBu', // "securePassword123"
+    orgs: [
+      { id: 'org_acme', role: 'admin' },
+      { id: 'org_globex', role: 'user' },
+    ],
+    platformRole: 'operator',
+    status: 'active',
+  },
+  {
+    id: '2',
+    email: 'user1@example.com',
+    username: 'user1',
+    name: 'User One',
+    orgs: [{ id: 'org_acme', role: 'user' }],
+    status: 'active',
+  },
+  {
+    id: '3',
+    email: 'user2@example.com',
+    username: 'user2',
+    name: 'User Two',
+    orgs: [{ id: 'org_globex', role: 'user' }],
+    status: 'inactive',
+  },
+];
+
+/**
+ * Create an in-memory user repository
+ * @param {Object} options - Repository options
+ * @param {Array<Object>} options.seed - Initial users
+ * @param {function} options.now - Clock returning milliseconds
+ * @returns {UserRepository} Repository
+ */
+export function createMemoryUserRepository({ seed = [], now = Date.now } = {}) {
+  const users = new Map();
+  seed.forEach((user) => {
+    users.set(user.id, {
+      username: null,
+      name: null,
+      passwordHash: null,
+      passwordChangedAt: null,
+      orgs: [],
+      identities: [],
+      platformRole: null,
+      status: 'active',
+      createdAt: now(),
+      updatedAt: now(),
+      deletedAt: null,
+      ...structuredClone(user),
+      email: normalizeEmail(user.email),
+    });
+  });
+  
+  // Callers get copies, so they can't change stored records by accident
+  const copy = (user) => {
+    if (!user) {
+      return null;
+    }
+    const { deletedAt, ...rest } = user;
+    return structuredClone(rest);
+  };
+  
+  const current = () => [...users.values()].filter(user => !user.deletedAt);
+  
+  const assertUnique = ({ id, email, username }) => {
+    for (const other of current()) {
+      if (other.id === id) {
+        continue;
+      }
+      if (other.email === email) {
+        throw conflictError('email');
+      }
+      if (username && other.username === username) {
+        throw conflictError('username');
+      }
+    }
+  };
+  
+  const ownsIdentity = (user, provider, providerAccountId) => user.identities.some(identity => (
+    identity.provider === provider && identity.providerAccountId === providerAccountId
+  ));
+  
+  return {
+    findByEmail: async (email) => copy(current().find(user => user.email === normalizeEmail(email))),
+    
+    findById: async (id) => copy(current().find(user => user.id === id)),
+    
+    list: async ({ orgId, role, status, search, page = 1, limit = 20, sortBy = 'createdAt', order = 'desc' } = {}) => {
+      let results = current();
+      
+      if (orgId || role) {
+        results = results.filter(user => user.orgs.some(org => (
+          (!orgId || org.id === orgId) && (!role || org.role === role)
+        )));
+      }
+      
+      if (status) {
+        results = results.filter(user => user.status === status);
+      }
+      
+      if (search) {
+        const searchLower = search.toLowerCase();
+        results = results.filter(user => (
+          (user.username || '').toLowerCase().includes(searchLower)
+          || user.email.includes(searchLower)
+        ));
+      }
+      
+      const field = SORT_COLUMNS[sortBy] ? sortBy : 'createdAt';
+      const direction = order === 'asc' ? 1 : -1;
+      results.sort((a, b) => (
+        (a[field] ?? '') < (b[field] ?? '') ? -direction : (a[field] ?? '') > (b[field] ?? '') ? direction : 0
+      ));
+      
+      const start = (page - 1) * limit;
+      return {
+        data: results.slice(start, start + limit).map(copy),
+        total: results.length,
+      };
+    },
+    
+    create: async ({ password, ...data }) => {
+      const user = {
+        id: randomUUID(),
+        email: normalizeEmail(data.email),
+        username: data.username ?? null,
+        name: data.name ?? null,
+        passwordHash: password ? await hashPassword(password) : null,
+        passwordChangedAt: null,
+        orgs: data.orgs ?? [],
+        identities: [],
+        platformRole: null,
+        status: data.status ?? 'active',
+        createdAt: now(),
+        updatedAt: now(),
+        deletedAt: null,
+      };
+      
+      assertUnique(user);
+      users.set(user.id, user);
+      return copy(user);
+    },
+    
+    update: async (id, { password, ...changes }) => {
+      const user = current().find(candidate => candidate.id === id);
+      if (!user) {
+        return null;
+      }
+      
+      const next = { ...user };
+      UPDATABLE_FIELDS.filter(field => field in changes).forEach((field) => {
+        next[field] = field === 'email' ? normalizeEmail(changes.email) : changes[field];
+      });
+      if (password) {
+        next.passwordHash = await hashPassword(password);
+        next.passwordChangedAt = now();
+      }
+      next.updatedAt = now();
+      
+      assertUnique(next);
+      users.set(id, next);
+      return copy(next);
+    },
+    
+    softDelete: async (id) => {
+      const user = current().find(candidate => candidate.id === id);
+      if (!user) {
+        return false;
+      }
+      
+      users.set(id, { ...user, deletedAt: now(), updatedAt: now() });
+      return true;
+    },
+    
+    findByIdentity: async (provider, providerAccountId) => copy(
+      current().find(user => ownsIdentity(user, provider, String(providerAccountId)))
+    ),
+    
+    linkIdentity: async (id, { provider, providerAccountId, email = null }) => {
+      const user = current().find(candidate => candidate.id === id);
+      if (!user) {
+        return null;
+      }
+      
+      // Soft-deleted users keep their identities, so a new account can't claim them
+      if ([...users.values()].some(other => other.id !== id && ownsIdentity(other, provider, String(providerAccountId)))) {
+        throw conflictError('identity');
+      }
+      
+      const next = {
+        ...user,
+        identities: [
+          ...user.identities.filter(identity => identity.provider !== provider),
+          { provider, providerAccountId: String(providerAccountId), email: email && normalizeEmail(email), linkedAt: now() },
+        ],
+        updatedAt: now(),
+      };
+      users.set(id, next);
+      return copy(next);
+    },
+    
+    unlinkIdentity: async (id, provider) => {
+      const user = current().find(candidate => candidate.id === id);
+      if (!user?.identities.some(identity => identity.provider === provider)) {
+        return false;
+      }
+      
+      users.set(id, {
+        ...user,
+        identities: user.identities.filter(identity => identity.provider !== provider),
+        updatedAt: now(),
+      });
+      return true;
+    },
+  };
+}
+
+/**
+ * Create a PostgreSQL user repository
+ *
+ * Expects these tables:
+ *
+ *   CREATE TABLE users (
+ *     id text PRIMARY KEY,
+ *     email text NOT NULL,
+ *     username text,
+ *     name text,
+ *     password_hash text,
+ *     password_changed_at timestamptz,
+ *     platform_role text,
+ *     status text NOT NULL DEFAULT 'active',
+ *     created_at timestamptz NOT NULL,
+ *     updated_at timestamptz NOT NULL,
+ *     deleted_at timestamptz
+ *   );
+ *   -- Unique among current users, so a deleted user's email can sign up again
+ *   CREATE UNIQUE INDEX users_email_key ON users (email) WHERE deleted_at IS NULL;
+ *   CREATE UNIQUE INDEX users_username_key ON users (username) WHERE deleted_at IS NULL;
+ *
+ *   CREATE TABLE memberships (
+ *     user_id text NOT NULL REFERENCES users (id),
+ *     org_id text NOT NULL,
+ *     role text NOT NULL,
+ *     PRIMARY KEY (user_id, org_id)
+ *   );
+ *
+ *   CREATE TABLE identities (
+ *     provider text NOT NULL,
+ *     provider_account_id text NOT NULL,
+ *     user_id text NOT NULL REFERENCES users (id),
+ *     email text,
+ *     linked_at timestamptz NOT NULL,
+ *     PRIMARY KEY (provider, provider_account_id),
+ *     UNIQUE (user_id, provider)
+ *   );
+ *
+ * Every value is passed as a query parameter. The only SQL built from
+ * input is the sort column and direction, both picked from fixed lists.
+ *
+ * @param {Object} options - Repository options
+ * @param {function} options.query - (text, params) => Promise<{ rows, rowCount }>, e.g. pool.query from pg
+ * @param {function} options.transaction - Runs (query) => Promise in a transaction
+ * @param {function} options.now - Clock returning milliseconds
+ * @returns {UserRepository} Repository
+ */
+export function createSqlUserRepository({
+  query,
+  transaction = (work) => work(query),
+  now = Date.now,
+}) {
+  const USER_COLUMNS = 'u.id, u.email, u.username, u.name, u.password_hash, u.password_changed_at, u.platform_role, u.status, u.created_at, u.updated_at';
+  
+  const toMillis = (value) => (value == null ? null : new Date(value).getTime());
+  
+  const fromRow = (row, orgs = [], identities = []) => ({
+    id: row.id,
+    email: row.email,
+    username: row.username,
+    name: row.name,
+    passwordHash: row.password_hash,
+    passwordChangedAt: toMillis(row.password_changed_at),
+    orgs,
+    identities,
+    platformRole: row.platform_role ?? null,
+    status: row.status,
+    createdAt: toMillis(row.created_at),
+    updatedAt: toMillis(row.updated_at),
+  });
+  
+  // Memberships and identities for several users, one query each
+  const withOrgs = async (rows, run = query) => {
+    if (rows.length === 0) {
+      return [];
+    }
+    
+    const ids = rows.map(row => row.id);
+    const { rows: memberships } = await run(
+      'SELECT user_id, org_id, role FROM memberships WHERE user_id = ANY($1)',
+      [ids]
+    );
+    const { rows: identities } = await run(
+      'SELECT user_id, provider, provider_account_id, email, linked_at FROM identities WHERE user_id = ANY($1)',
+      [ids]
+    );
+    
+    return rows.map(row => fromRow(
+      row,
+      memberships
+        .filter(membership => membership.user_id === row.id)
+        .map(membership => ({ id: membership.org_id, role: membership.role })),
+      identities
+        .filter(identity => identity.user_id === row.id)
+        .map(identity => ({
+          provider: identity.provider,
+          providerAccountId: identity.provider_account_id,
+          email: identity.email,
+          linkedAt: toMillis(identity.linked_at),
+        }))
+    ));
+  };
+  
+  const replaceOrgs = async (run, userId, orgs) => {
+    await run('DELETE FROM memberships WHERE user_id = $1', [userId]);
+    await run(
+      'INSERT INTO memberships (user_id, org_id, role) SELECT $1::text, * FROM unnest($2::text[], $3::text[])',
+      [userId, orgs.map(org => org.id), orgs.map(org => org.role)]
+    );
+  };
+  
+  // Unique index violations become the adapter-neutral conflict error
+  const mapErrors = async (work) => {
+    try {
+      return await work();
+    } catch (error) {
+      if (error.code === '23505') {
+        const constraint = String(error.constraint);
+        throw conflictError(
+          constraint.startsWith('identities') ? 'identity' : constraint.includes('username') ? 'username' : 'email'
+        );
+      }
+      throw error;
+    }
+  };
+  
+  const findOne = async (column, value) => {
+    // `column` is always one of the literals below, never input
+    const { rows } = await query(
+      `SELECT ${USER_COLUMNS} FROM users u WHERE u.${column} = $1 AND u.deleted_at IS NULL`,
+      [value]
+    );
+    const [user] = await withOrgs(rows);
+    return user || null;
+  };
+  
+  return {
+    findByEmail: (email) => findOne('email', normalizeEmail(email)),
+    
+    findById: (id) => findOne('id', id),
+    
+    list: async ({ orgId, role, status, search, page = 1, limit = 20, sortBy = 'createdAt', order = 'desc' } = {}) => {
+      const params = [];
+      const param = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+      };
+      
+      const conditions = ['u.deleted_at IS NULL'];
+      if (orgId || role) {
+        const membershipConditions = ['m.user_id = u.id'];
+        if (orgId) {
+          membershipConditions.push(`m.org_id = ${param(orgId)}`);
+        }
+        if (role) {
+          membershipConditions.push(`m.role = ${param(role)}`);
+        }
+        conditions.push(`EXISTS (SELECT 1 FROM memberships m WHERE ${membershipConditions.join(' AND ')})`);
+      }
+      if (status) {
+        conditions.push(`u.status = ${param(status)}`);
+      }
+      if (search) {
+        // Escape LIKE wildcards so the search is literal
+        const pattern = param(`%${search.replace(/[\\%_]/g, char => `\\${char}`)}%`);
+        conditions.push(`(u.username ILIKE ${pattern} OR u.email ILIKE ${pattern})`);
+      }
+      
+      const where = conditions.join(' AND ');
+      const column = SORT_COLUMNS[sortBy] || SORT_COLUMNS.createdAt;
+      const direction = order === 'asc' ? 'ASC' : 'DESC';
+      
+      const { rows: [{ total }] } = await query(`SELECT COUNT(*)::int AS total FROM users u WHERE ${where}`, params);
+      const { rows } = await query(
+        `SELECT ${USER_COLUMNS} FROM users u WHERE ${where} ORDER BY u.${column} ${direction}, u.id LIMIT ${param(limit)} OFFSET ${param((page - 1) * limit)}`,
+        params
+      );
+      
+      return { data: await withOrgs(rows), total };
+    },
+    
+    create: ({ password, ...data }) => mapErrors(async () => {
+      const passwordHash = password ? await hashPassword(password) : null;
+      const timestamp = new Date(now());
+      
+      return transaction(async (run) => {
+        const { rows } = await run(
+          `INSERT INTO users AS u (id, email, username, name, password_hash, status, created_at, updated_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $7)
+           RETURNING ${USER_COLUMNS}`,
+          [randomUUID(), normalizeEmail(data.email), data.username ?? null, data.name ?? null, passwordHash, data.status ?? 'active', timestamp]
+        );
+        await replaceOrgs(run, rows[0].id, data.orgs ?? []);
+        
+        const [user] = await withOrgs(rows, run);
+        return user;
+      });
+    }),
+    
+    update: (id, { password, ...changes }) => mapErrors(async () => {
+      const params = [id];
+      const param = (value) => {
+        params.push(value);
+        return `$${params.length}`;
+      };
+      
+      const COLUMNS = { email: 'email', username: 'username', name: 'name', status: 'status' };
+      const assignments = Object.keys(COLUMNS)
+        .filter(field => field in changes)
+        .map(field => `${COLUMNS[field]} = ${param(field === 'email' ? normalizeEmail(changes.email) : changes[field])}`);
+      
+      if (password) {
+        assignments.push(`password_hash = ${param(await hashPassword(password))}`);
+        assignments.push(`password_changed_at = ${param(new Date(now()))}`);
+      }
+      assignments.push(`updated_at = ${param(new Date(now()))}`);
+      
+      return transaction(async (run) => {
+        const { rows } = await run(
+          `UPDATE users u SET ${assignments.join(', ')} WHERE u.id = $1 AND u.deleted_at IS NULL RETURNING ${USER_COLUMNS}`,
+          params
+        );
+        if (rows.length === 0) {
+          return null;
+        }
+        
+        if (changes.orgs) {
+          await replaceOrgs(run, id, changes.orgs);
+        }
+        
+        const [user] = await withOrgs(rows, run);
+        return user;
+      });
+    }),
+    
+    softDelete: async (id) => {
+      const { rowCount } = await query(
+        'UPDATE users SET deleted_at = $2, updated_at = $2 WHERE id = $1 AND deleted_at IS NULL',
+        [id, new Date(now())]
+      );
+      return rowCount > 0;
+    },
+    
+    findByIdentity: async (provider, providerAccountId) => {
+      const { rows } = await query(
+        `SELECT ${USER_COLUMNS} FROM users u JOIN identities i ON i.user_id = u.id
+         WHERE i.provider = $1 AND i.provider_account_id = $2 AND u.deleted_at IS NULL`,
+        [provider, String(providerAccountId)]
+      );
+      const [user] = await withOrgs(rows);
+      return user || null;
+    },
+    
+    linkIdentity: (id, { provider, providerAccountId, email = null }) => mapErrors(() => transaction(async (run) => {
+      const { rows } = await run(
+        `UPDATE users u SET updated_at = $2 WHERE u.id = $1 AND u.deleted_at IS NULL RETURNING ${USER_COLUMNS}`,
+        [id, new Date(now())]
+      );
+      if (rows.length === 0) {
+        return null;
+      }
+      
+      // Replaces the user's identity at this provider; another user's
+      // identity violates the primary key and becomes a conflict
+      await run('DELETE FROM identities WHERE user_id = $1 AND provider = $2', [id, provider]);
+      await run(
+        'INSERT INTO identities (provider, provider_account_id, user_id, email, linked_at) VALUES ($1, $2, $3, $4, $5)',
+        [provider, String(providerAccountId), id, email && normalizeEmail(email), new Date(now())]
+      );
+      
+      const [user] = await withOrgs(rows, run);
+      return user;
+    })),
+    
+    unlinkIdentity: async (id, provider) => {
+      const { rowCount } = await query(
+        'DELETE FROM identities WHERE user_id = $1 AND provider = $2',
+        [id, provider]
+      );
+      return rowCount > 0;
+    },
+  };
+}
+
+// Default repository: seeded in-memory data. In production, use the SQL
+// adapter, e.g. createSqlUserRepository({ query: (text, params) => pool.query(text, params) })
+export const userRepository = createMemoryUserRepository({ seed: seedUsers });
+
+// Example usage with node-postgres:
+
+/*
+import { Pool } from 'pg';
+import { createSqlUserRepository } from '@/auth/user-repository';
+
+const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+export const userRepository = createSqlUserRepository({
+  query: (text, params) => pool.query(text, params),
+  transaction: async (work) => {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await work((text, params) => client.query(text, params));
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+});
+
+try {
+  await userRepository.create({ email: 'new@example.com', password, orgs: [{ id: 'org_acme', role: 'user' }] });
+} catch (error) {
+  if (error.code === 'CONFLICT') {
+    // 409: error.field is 'email' or 'username'
+  }
+}
+*/
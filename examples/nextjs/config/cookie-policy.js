@@ -0,0 +1,188 @@
+/**
+ * Cookie policy
+ *
+ * Derives the name and options of every cookie the app sets (NextAuth's
+ * session, CSRF, callback URL, PKCE, state and nonce cookies, the CSRF
+ * helpers in utils/csrf-protection.js and our own short-lived cookies)
+ * from one configuration, so they can't disagree:
+ *
+ * - Over HTTPS, cookies are Secure and use the `__Host-` prefix: the
+ *   browser then refuses them unless they are Secure, host-only (no
+ *   Domain) and scoped to Path=/, so a subdomain can't set or overwrite
+ *   them. Cookies shared with subdomains (COOKIE_DOMAIN) fall back to
+ *   `__Secure-`.
+ * - Over plain HTTP (local development), cookies are neither Secure nor
+ *   prefixed, since browsers reject prefixed cookies that aren't Secure.
+ * - Session cookies on admin hosts (`admin.*` or ADMIN_HOSTS) are
+ *   SameSite=Strict. Everything else is Lax, which the OAuth state, PKCE
+ *   and nonce cookies need to survive the redirect back from the provider.
+ *   With Strict session cookies, the first page load after an OAuth
+ *   sign-in has no session; admin hosts should use passwords or passkeys.
+ *
+ * The configuration is validated when the policy is created, i.e. at
+ * boot, and errors list everything that is wrong at once.
+ *
+ * This module has no Node.js dependencies, so it runs in the Edge runtime.
+ */
+
+// Cookie names, before prefixing. NextAuth's are its defaults without the prefix.
+export const COOKIE_NAMES = {
+  sessionToken: 'next-auth.session-token',
+  callbackUrl: 'next-auth.callback-url',
+  csrfToken: 'next-auth.csrf-token',
+  pkceCodeVerifier: 'next-auth.pkce.code_verifier',
+  state: 'next-auth.state',
+  nonce: 'next-auth.nonce',
+};
+
+// OAuth round trips (state, PKCE, nonce) must finish within 15 minutes
+const OAUTH_CHECK_MAX_AGE = 15 * 60;
+
+const isIpAddress = (hostname) => /^[\d.]+$/.test(hostname) || hostname.includes(':');
+
+// Admin hosts: `admin.` subdomains and anything listed explicitly
+const isAdminHost = (hostname, adminHosts) => (
+  hostname.split('.')[0] === 'admin' || adminHosts.includes(hostname)
+);
+
+/**
+ * Check a cookie configuration
+ * @param {Object} config - Resolved configuration ({ url, environment, domain, adminHosts })
+ * @returns {string[]} Problems found, empty if the configuration is valid
+ */
+export function validateCookieConfig({ url, environment, domain, adminHosts = [] }) {
+  const errors = [];
+  
+  let parsed = null;
+  if (url) {
+    try {
+      parsed = new URL(url);
+    } catch {
+      errors.push(`NEXTAUTH_URL "${url}" is not a valid URL`);
+    }
+  } else if (environment === 'production') {
+    errors.push('NEXTAUTH_URL must be set in production so cookie security can be derived from it');
+  }
+  
+  if (parsed && environment === 'production' && parsed.protocol !== 'https:') {
+    errors.push(`NEXTAUTH_URL must use https in production (got "${parsed.protocol}"); session cookies would not be Secure`);
+  }
+  
+  if (domain) {
+    const bare = domain.replace(/^\./, '').toLowerCase();
+    
+    if (!bare.includes('.') || isIpAddress(bare)) {
+      errors.push(`COOKIE_DOMAIN "${domain}" must be a registrable domain such as example.com, not a top-level domain, IP address or localhost`);
+    } else if (parsed && parsed.hostname !== bare && !parsed.hostname.endsWith(`.${bare}`)) {
+      errors.push(`COOKIE_DOMAIN "${domain}" does not cover the NEXTAUTH_URL host "${parsed.hostname}"; browsers would reject every cookie`);
+    }
+    
+    if (parsed && isAdminHost(parsed.hostname, adminHosts)) {
+      errors.push(`COOKIE_DOMAIN must not be set on the admin host "${parsed.hostname}"; its session cookie must stay host-only`);
+    }
+  }
+  
+  return errors;
+}
+
+/**
+ * Create a cookie policy
+ * @param {Object} options - Policy options
+ * @param {string} options.url - App URL (default: NEXTAUTH_URL); https makes cookies Secure
+ * @param {string} options.environment - Environment (default: NODE_ENV)
+ * @param {string} options.domain - Domain for cookies shared with subdomains (default: COOKIE_DOMAIN)
+ * @param {string[]} options.adminHosts - Extra admin hostnames (default: ADMIN_HOSTS, comma-separated)
+ * @returns {Object} Cookie policy
+ * @throws {Error} Listing every problem if the configuration is invalid
+ */
+export function createCookiePolicy({
+  url = process.env.NEXTAUTH_URL,
+  environment = process.env.NODE_ENV,
+  domain = process.env.COOKIE_DOMAIN,
+  adminHosts = (process.env.ADMIN_HOSTS || '').split(',').map(host => host.trim()).filter(Boolean),
+} = {}) {
+  const errors = validateCookieConfig({ url, environment, domain, adminHosts });
+  if (errors.length > 0) {
+    throw new Error(`Invalid cookie configuration:\n- ${errors.join('\n- ')}`);
+  }
+  
+  const parsed = url ? new URL(url) : null;
+  const secure = parsed ? parsed.protocol === 'https:' : environment === 'production';
+  const adminHost = Boolean(parsed && isAdminHost(parsed.hostname, adminHosts));
+  
+  /**
+   * Prefixed name for a cookie
+   * @param {string} base - Unprefixed name
+   * @param {Object} options - { shared: true } for cookies sent to subdomains too
+   * @returns {string} Cookie name
+   */
+  const name = (base, { shared = false } = {}) => {
+    if (!secure) {
+      return base;
+    }
+    return shared && domain ? `__Secure-${base}` : `__Host-${base}`;
+  };
+  
+  /**
+   * Name and options for a cookie
+   * @param {string} base - Unprefixed name
+   * @param {Object} options - Cookie options
+   * @param {boolean} options.session - Session cookie: Strict on admin hosts
+   * @param {boolean} options.shared - Send to subdomains too (only with COOKIE_DOMAIN)
+   * @param {number} options.maxAge - Lifetime in seconds; omit for a browser-session cookie
+   * @returns {{ name: string, options: Object }} Cookie
+   */
+  const cookie = (base, { session = false, shared = false, maxAge } = {}) => ({
+    name: name(base, { shared }),
+    options: {
+      httpOnly: true,
+      sameSite: session && adminHost ? 'strict' : 'lax',
+      path: '/',
+      secure,
+      ...(shared && domain && { domain }),
+      ...(maxAge !== undefined && { maxAge }),
+    },
+  });
+  
+  return {
+    secure,
+    adminHost,
+    name,
+    cookie,
+    
+    // Passed to getToken() so middleware reads the same cookie NextAuth writes
+    sessionCookieName: name(COOKIE_NAMES.sessionToken, { shared: true }),
+    
+    /**
+     * The `cookies` option for NextAuth
+     * Only the session cookie is shared with subdomains (if COOKIE_DOMAIN is
+     * set); the rest are only ever needed by this host.
+     * @returns {Object} NextAuth cookies configuration
+     */
+    nextAuthCookies: () => ({
+      sessionToken: cookie(COOKIE_NAMES.sessionToken, { session: true, shared: true }),
+      callbackUrl: cookie(COOKIE_NAMES.callbackUrl),
+      csrfToken: cookie(COOKIE_NAMES.csrfToken),
+      pkceCodeVerifier: cookie(COOKIE_NAMES.pkceCodeVerifier, { maxAge: OAUTH_CHECK_MAX_AGE }),
+      state: cookie(COOKIE_NAMES.state, { maxAge: OAUTH_CHECK_MAX_AGE }),
+      nonce: cookie(COOKIE_NAMES.nonce, { maxAge: OAUTH_CHECK_MAX_AGE }),
+    }),
+  };
+}
+
+// Default policy used by auth/auth-config.js, the middleware and the CSRF helpers
+export const cookiePolicy = createCookiePolicy();
+
+// Example usage:
+
+/*
+import { cookiePolicy } from '@/config/cookie-policy';
+
+// https://app.example.com       -> __Host-next-auth.session-token; Secure; SameSite=Lax
+// https://admin.example.com     -> __Host-next-auth.session-token; Secure; SameSite=Strict
+// COOKIE_DOMAIN=example.com     -> __Secure-next-auth.session-token; Domain=example.com
+// http://localhost:3000         -> next-auth.session-token (no prefix, not Secure)
+
+const { name, options } = cookiePolicy.cookie('preferences', { maxAge: 60 * 60 * 24 * 365 });
+response.cookies.set(name, value, options);
+*/
@@ -0,0 +1,434 @@
+/**
+ * Composable Content Security Policy builder
+ *
+ * Hand-editing CSP strings is error-prone: a missing quote around 'self',
+ * a typo in a directive name or a string replace that only touches the
+ * first match silently weakens (or breaks) the policy. This builder keeps
+ * the policy as data, validates every directive and source expression,
+ * deduplicates sources, and serializes it for both the HTTP header and
+ * the <meta> tag.
+ *
+ * Builders are immutable: every method returns a new builder, so a shared
+ * base policy can be extended per environment or per route safely.
+ */
+
+// Directives that take a list of source expressions
+const FETCH_DIRECTIVES = new Set([
+  'default-src',
+  'child-src',
+  'connect-src',
+  'font-src',
+  'frame-src',
+  'img-src',
+  'manifest-src',
+  'media-src',
+  'object-src',
+  'prefetch-src',
+  'script-src',
+  'script-src-elem',
+  'script-src-attr',
+  'style-src',
+  'style-src-elem',
+  'style-src-attr',
+  'worker-src',
+  'base-uri',
+  'form-action',
+  'frame-ancestors',
+]);
+
+// Directives that take free-form tokens (URIs, group names, flags)
+const TOKEN_DIRECTIVES = new Set([
+  'report-uri',
+  'report-to',
+  'sandbox',
+  'trusted-types',
+  'require-trusted-types-for',
+]);
+
+// Directives that take no value at all
+const FLAG_DIRECTIVES = new Set([
+  'upgrade-insecure-requests',
+  'block-all-mixed-content',
+]);
+
+// Directives browsers ignore when the policy is delivered via <meta>
+const META_UNSUPPORTED_DIRECTIVES = new Set([
+  'frame-ancestors',
+  'report-uri',
+  'report-to',
+  'sandbox',
+]);
+
+const KEYWORDS = new Set([
+  "'self'",
+  "'none'",
+  "'unsafe-inline'",
+  "'unsafe-eval'",
+  "'unsafe-hashes'",
+  "'strict-dynamic'",
+  "'report-sample'",
+  "'wasm-unsafe-eval'",
+]);
+
+const NONCE_PATTERN = /^'nonce-[A-Za-z0-9+/_-]+={0,2}'$/;
+const HASH_PATTERN = /^'sha(256|384|512)-[A-Za-z0-9+/_-]+={0,2}'$/;
+const SCHEME_PATTERN = /^[a-z][a-z0-9+.-]*:$/i;
+const HOST_PATTERN = /^(?:[a-z][a-z0-9+.-]*:\/\/)?(?:\*|(?:\*\.)?[a-z0-9-]+(?:\.[a-z0-9-]+)*)(?::(?:\d{1,5}|\*))?(?:\/[^\s;,']*)?$/i;
+
+/**
+ * Check whether a directive name is known
+ * @param {string} directive - Directive name, e.g. 'script-src'
+ * @returns {boolean} True if the directive is supported by the builder
+ */
+export function isValidDirective(directive) {
+  return FETCH_DIRECTIVES.has(directive)
+    || TOKEN_DIRECTIVES.has(directive)
+    || FLAG_DIRECTIVES.has(directive);
+}
+
+/**
+ * Check whether a value is a valid CSP source expression
+ * @param {string} source - Source expression, e.g. "'self'" or 'https://cdn.example.com'
+ * @returns {boolean} True if the source is valid
+ */
+export function isValidSource(source) {
+  if (typeof source !== 'string' || source.length === 0) {
+    return false;
+  }
+  
+  return KEYWORDS.has(source)
+    || NONCE_PATTERN.test(source)
+    || HASH_PATTERN.test(source)
+    || SCHEME_PATTERN.test(source)
+    || HOST_PATTERN.test(source);
+}
+
+// Throw a descriptive error for an unknown directive
+function assertDirective(directive) {
+  if (!isValidDirective(directive)) {
+    throw new Error(`Unknown CSP directive: "${directive}"`);
+  }
+}
+
+// Throw a descriptive error for an invalid source expression
+function assertSource(directive, source) {
+  if (TOKEN_DIRECTIVES.has(directive)) {
+    if (typeof source !== 'string' || !/^[^\s;,]+$/.test(source)) {
+      throw new Error(`Invalid value for ${directive}: "${source}"`);
+    }
+    return;
+  }
+  
+  // Catch the most common mistake: keywords without quotes, which
+  // would otherwise be accepted as a host named "self" or "none"
+  if (KEYWORDS.has(`'${source}'`)) {
+    throw new Error(`Invalid source for ${directive}: "${source}" (did you mean "'${source}'"?)`);
+  }
+  
+  if (isValidSource(source)) {
+    return;
+  }
+  
+  throw new Error(`Invalid source for ${directive}: "${source}"`);
+}
+
+// Add sources to a list, keeping order and dropping duplicates
+function addSources(directive, current, sources) {
+  const next = [...current];
+  
+  sources.forEach(source => {
+    assertSource(directive, source);
+    if (!next.includes(source)) {
+      next.push(source);
+    }
+  });
+  
+  // 'none' cannot be combined with other sources
+  if (next.length > 1 && next.includes("'none'")) {
+    if (sources.includes("'none'")) {
+      throw new Error(`"'none'" cannot be combined with other sources in ${directive}`);
+    }
+    // Allowing a real source replaces an earlier 'none'
+    return next.filter(source => source !== "'none'");
+  }
+  
+  return next;
+}
+
+// Serialize a directive map into "directive value; directive value" form
+function serialize(directives, exclude = new Set()) {
+  return Object.entries(directives)
+    .filter(([directive]) => !exclude.has(directive))
+    .map(([directive, sources]) => (
+      sources.length ? `${directive} ${sources.join(' ')}` : directive
+    ))
+    .join('; ');
+}
+
+// Escape a value for use inside a double-quoted HTML attribute
+function escapeAttribute(value) {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Create a CSP builder
+ * @param {Object} initial - Optional directive map, e.g. { 'default-src': ["'self'"] }
+ * @returns {Object} Immutable CSP builder
+ */
+export function createCsp(initial = {}) {
+  return fromDirectives({}).merge(initial);
+}
+
+// Internal constructor around an already-validated directive map
+function fromDirectives(directives) {
+  const builder = {
+    /**
+     * Allow additional sources for a directive
+     * @param {string} directive - Directive name
+     * @param {...string} sources - Source expressions to add
+     * @returns {Object} New builder
+     */
+    allow: (directive, ...sources) => {
+      assertDirective(directive);
+      if (FLAG_DIRECTIVES.has(directive)) {
+        throw new Error(`${directive} takes no sources, use enable() instead`);
+      }
+      if (sources.length === 0) {
+        throw new Error(`allow("${directive}") requires at least one source`);
+      }
+      
+      return fromDirectives({
+        ...directives,
+        [directive]: addSources(directive, directives[directive] || [], sources),
+      });
+    },
+    
+    /**
+     * Turn on a value-less directive such as upgrade-insecure-requests
+     * @param {string} directive - Directive name
+     * @returns {Object} New builder
+     */
+    enable: (directive) => {
+      if (!FLAG_DIRECTIVES.has(directive)) {
+        throw new Error(`${directive} is not a value-less directive`);
+      }
+      
+      return fromDirectives({ ...directives, [directive]: [] });
+    },
+    
+    /**
+     * Remove sources from a directive, or the whole directive if no sources are given
+     * @param {string} directive - Directive name
+     * @param {...string} sources - Source expressions to remove (optional)
+     * @returns {Object} New builder
+     */
+    remove: (directive, ...sources) => {
+      assertDirective(directive);
+      const next = { ...directives };
+      
+      if (sources.length === 0) {
+        delete next[directive];
+      } else if (next[directive]) {
+        next[directive] = next[directive].filter(source => !sources.includes(source));
+      }
+      
+      return fromDirectives(next);
+    },
+    
+    /**
+     * Merge another policy (builder, preset or plain directive map) into this one
+     * @param {Object} other - Builder or { directive: sources[] } map
+     * @returns {Object} New builder
+     */
+    merge: (other) => {
+      const otherDirectives = typeof other?.toObject === 'function' ? other.toObject() : other;
+      
+      return Object.entries(otherDirectives || {}).reduce((acc, [directive, sources]) => {
+        if (FLAG_DIRECTIVES.has(directive)) {
+          return acc.enable(directive);
+        }
+        return acc.allow(directive, ...[].concat(sources));
+      }, builder);
+    },
+    
+    /**
+     * Replace 'unsafe-inline' with a per-request nonce
+     * 'strict-dynamic' is added to script-src so nonced scripts can load
+     * their own dependencies; it does not apply to styles.
+     * @param {string} nonce - Base64 nonce value
+     * @returns {Object} New builder
+     */
+    withNonce: (nonce) => {
+      const nonceSource = `'nonce-${nonce}'`;
+      const fallback = directives['default-src'] || [];
+      
+      // Directives that are missing fall back to default-src, so seed them
+      // from it rather than narrowing them to the nonce alone
+      const seeded = ['script-src', 'style-src'].reduce((acc, directive) => (
+        directives[directive] || fallback.length === 0 ? acc : acc.allow(directive, ...fallback)
+      ), builder);
+      
+      return seeded
+        .remove('script-src', "'unsafe-inline'")
+        .remove('style-src', "'unsafe-inline'")
+        .allow('script-src', nonceSource, "'strict-dynamic'")
+        .allow('style-src', nonceSource);
+    },
+    
+    /**
+     * Check whether a directive currently allows a source
+     * @param {string} directive - Directive name
+     * @param {string} source - Source expression
+     * @returns {boolean} True if the source is listed
+     */
+    allows: (directive, source) => Boolean(directives[directive]?.includes(source)),
+    
+    /**
+     * Get a copy of the directive map
+     * @returns {Object} Map of directive name to source list
+     */
+    toObject: () => Object.fromEntries(
+      Object.entries(directives).map(([directive, sources]) => [directive, [...sources]])
+    ),
+    
+    /**
+     * Serialize for the Content-Security-Policy HTTP header
+     * @returns {string} Header value
+     */
+    toString: () => serialize(directives),
+    
+    /**
+     * Serialize for a <meta http-equiv> tag
+     * frame-ancestors, report-uri, report-to and sandbox are dropped
+     * because browsers ignore them in meta-delivered policies.
+     * @returns {string} HTML meta tag
+     */
+    toMetaTag: () => {
+      const content = serialize(directives, META_UNSUPPORTED_DIRECTIVES);
+      return `<meta http-equiv="Content-Security-Policy" content="${escapeAttribute(content)}">`;
+    },
+  };
+  
+  return builder;
+}
+
+/**
+ * Parse a Content-Security-Policy header value into a builder
+ * Useful for diffing a policy that is already deployed.
+ * @param {string} header - Header value, e.g. "default-src 'self'; img-src data:"
+ * @returns {Object} CSP builder
+ */
+export function parseCsp(header) {
+  return header
+    .split(';')
+    .map(part => part.trim().split(/\s+/).filter(Boolean))
+    .filter(tokens => tokens.length > 0)
+    .reduce((builder, [directive, ...sources]) => (
+      FLAG_DIRECTIVES.has(directive.toLowerCase())
+        ? builder.enable(directive.toLowerCase())
+        : builder.allow(directive.toLowerCase(), ...sources)
+    ), createCsp());
+}
+
+// Accept builders, directive maps and header strings interchangeably
+function toDirectiveMap(policy) {
+  if (typeof policy === 'string') {
+    return parseCsp(policy).toObject();
+  }
+  return typeof policy?.toObject === 'function' ? policy.toObject() : createCsp(policy).toObject();
+}
+
+/**
+ * Compare an enforced policy against a candidate policy
+ * @param {Object|string} enforced - Current policy (builder, directive map or header string)
+ * @param {Object|string} candidate - Proposed policy
+ * @returns {Object} Per-directive changes and an `identical` flag
+ */
+export function diffCsp(enforced, candidate) {
+  const before = toDirectiveMap(enforced);
+  const after = toDirectiveMap(candidate);
+  const directives = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  
+  const changes = directives.reduce((acc, directive) => {
+    const oldSources = before[directive];
+    const newSources = after[directive];
+    
+    if (!oldSources) {
+      acc.addedDirectives.push(directive);
+    } else if (!newSources) {
+      acc.removedDirectives.push(directive);
+    } else {
+      const added = newSources.filter(source => !oldSources.includes(source));
+      const removed = oldSources.filter(source => !newSources.includes(source));
+      if (added.length || removed.length) {
+        acc.changedDirectives[directive] = { added, removed };
+      }
+    }
+    
+    return acc;
+  }, { addedDirectives: [], removedDirectives: [], changedDirectives: {} });
+  
+  return {
+    ...changes,
+    identical: changes.addedDirectives.length === 0 &&
+      changes.removedDirectives.length === 0 &&
+      Object.keys(changes.changedDirectives).length === 0,
+  };
+}
+
+// Presets for common third-party services
+export const cspPresets = {
+  stripe: {
+    'script-src': ['https://js.stripe.com'],
+    'frame-src': ['https://js.stripe.com', 'https://hooks.stripe.com'],
+    'connect-src': ['https://api.stripe.com'],
+  },
+  googleFonts: {
+    'style-src': ['https://fonts.googleapis.com'],
+    'font-src': ['https://fonts.gstatic.com'],
+  },
+  sentry: {
+    'connect-src': ['https://*.ingest.sentry.io', 'https://*.ingest.us.sentry.io'],
+    'worker-src': ['blob:'],
+  },
+  googleAnalytics: {
+    'script-src': ['https://www.googletagmanager.com'],
+    'img-src': ['https://*.google-analytics.com', 'https://*.googletagmanager.com'],
+    'connect-src': [
+      'https://*.google-analytics.com',
+      'https://*.analytics.google.com',
+      'https://*.googletagmanager.com',
+    ],
+  },
+};
+
+// Example usage:
+
+/*
+import { createCsp, cspPresets, diffCsp } from '@/config/csp-builder';
+
+const csp = createCsp({ 'default-src': ["'self'"], 'object-src': ["'none'"] })
+  .allow('script-src', "'self'")
+  .allow('connect-src', "'self'", 'https://api.example.com')
+  .merge(cspPresets.stripe)
+  .merge(cspPresets.googleFonts)
+  .enable('upgrade-insecure-requests');
+
+csp.toString();
+// "default-src 'self'; object-src 'none'; script-src 'self' https://js.stripe.com; ..."
+
+csp.toMetaTag();
+// '<meta http-equiv="Content-Security-Policy" content="default-src 'self'; ...">'
+
+diffCsp(csp, csp.allow('script-src', "'strict-dynamic'"));
+// { addedDirectives: [], removedDirectives: [],
+//   changedDirectives: { 'script-src': { added: ["'strict-dynamic'"], removed: [] } },
+//   identical: false }
+
+createCsp().allow('script-src', 'self');
+// Error: Invalid source for script-src: "self" (did you mean "'self'"?)
+*/
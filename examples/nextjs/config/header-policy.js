@@ -0,0 +1,400 @@
+/**
+ * Security header policy
+ *
+ * The single source of truth for response security headers. Both the
+ * static next.config.js headers (config/secure-headers.js) and the
+ * middleware (middleware/auth-middleware.js) resolve their headers here,
+ * so the two can no longer drift apart.
+ *
+ * Headers are resolved per path: a base set applies everywhere, each path
+ * is assigned a named profile (see headerProfiles) and path overrides
+ * adjust the result for routes with different needs. The most specific
+ * override wins.
+ */
+
+import { createCsp, parseCsp } from './csp-builder';
+
+// Where browsers send CSP violation reports (app/api/csp-report/route.js)
+// Report-To needs an absolute URL, so resolve it against the app URL.
+const CSP_REPORT_PATH = '/api/csp-report';
+const CSP_REPORT_GROUP = 'csp-endpoint';
+const cspReportUrl = process.env.NEXTAUTH_URL
+  ? new URL(CSP_REPORT_PATH, process.env.NEXTAUTH_URL).toString()
+  : CSP_REPORT_PATH;
+
+// report-uri for older browsers, report-to for the Reporting API.
+// Every policy we emit, enforced or report-only, carries these.
+const reportingDirectives = {
+  'report-uri': [CSP_REPORT_PATH],
+  'report-to': [CSP_REPORT_GROUP],
+};
+
+// Define Content Security Policy directives
+export const contentSecurityPolicy = createCsp({
+  'default-src': ["'self'"],
+  'script-src': ["'self'", "'unsafe-inline'", "https://analytics.example.com"],
+  'style-src': ["'self'", "'unsafe-inline'"],
+  'img-src': ["'self'", "data:", "https://*.example.com"],
+  'font-src': ["'self'", "https://fonts.gstatic.com"],
+  'connect-src': ["'self'", "https://api.example.com"],
+  'frame-src': ["'self'"],
+  'object-src': ["'none'"],
+  'base-uri': ["'self'"],
+  'form-action': ["'self'"],
+  'frame-ancestors': ["'self'"],
+  'worker-src': ["'self'", "blob:"],
+  'manifest-src': ["'self'"],
+  'media-src': ["'self'"],
+})
+  .merge(reportingDirectives)
+  .enable('upgrade-insecure-requests');
+
+// Development additions: React Fast Refresh needs eval, and
+// upgrade-insecure-requests breaks plain-http localhost assets
+const developmentPolicy = contentSecurityPolicy
+  .allow('script-src', "'unsafe-eval'")
+  .remove('upgrade-insecure-requests');
+
+// Headers applied to every path
+// X-XSS-Protection is deliberately absent: the XSS auditor it controlled has
+// been removed from browsers and could itself be abused to leak data.
+export const baseHeaders = {
+  'Strict-Transport-Security': 'max-age=63072000; includeSubDomains; preload',
+  'X-Frame-Options': 'SAMEORIGIN',
+  'X-Content-Type-Options': 'nosniff',
+  'Referrer-Policy': 'strict-origin-when-cross-origin',
+  'Permissions-Policy': 'camera=(), microphone=(), geolocation=()',
+  'X-DNS-Prefetch-Control': 'on',
+  // Define the report-to group used by the CSP. Reporting-Endpoints is the
+  // current standard; Report-To is still required by older Chromium versions.
+  'Reporting-Endpoints': `${CSP_REPORT_GROUP}="${cspReportUrl}"`,
+  'Report-To': JSON.stringify({
+    group: CSP_REPORT_GROUP,
+    max_age: 10886400, // 126 days
+    endpoints: [{ url: cspReportUrl }],
+  }),
+};
+
+// Named header profiles
+// Each profile sets the cross-origin headers (COOP, COEP, CORP) as a
+// consistent group. `headers` entries replace base headers (null removes
+// the header) and `csp` receives the CSP builder and returns the adjusted
+// policy. Profiles with `isDocument: false` serve no HTML, so they get no
+// nonce and no report-only candidate.
+export const headerProfiles = {
+  // Default for pages: isolated from cross-origin openers, resources
+  // only loadable by the same site
+  standard: {
+    headers: {
+      'Cross-Origin-Opener-Policy': 'same-origin',
+      'Cross-Origin-Resource-Policy': 'same-site',
+    },
+  },
+  
+  // Cross-origin isolated pages (enables SharedArrayBuffer and
+  // high-resolution timers). Every subresource must opt in via CORP or CORS.
+  'strict-isolated': {
+    headers: {
+      'Cross-Origin-Opener-Policy': 'same-origin',
+      'Cross-Origin-Embedder-Policy': 'require-corp',
+      'Cross-Origin-Resource-Policy': 'same-origin',
+      'X-Frame-Options': 'DENY',
+    },
+    csp: (policy) => policy
+      .remove('frame-ancestors')
+      .allow('frame-ancestors', "'none'"),
+  },
+  
+  // Pages other sites may frame. X-Frame-Options cannot express an
+  // allowlist, so framing is controlled by CSP frame-ancestors alone.
+  embeddable: {
+    headers: {
+      'Cross-Origin-Opener-Policy': 'unsafe-none',
+      'Cross-Origin-Resource-Policy': 'cross-origin',
+      'X-Frame-Options': null,
+    },
+  },
+  
+  // JSON API responses: nothing to render, frame or run
+  api: {
+    isDocument: false,
+    headers: {
+      'Cross-Origin-Resource-Policy': 'same-origin',
+      'X-Frame-Options': 'DENY',
+      'Referrer-Policy': 'no-referrer',
+      'Permissions-Policy': null,
+      'X-DNS-Prefetch-Control': null,
+      'Reporting-Endpoints': null,
+      'Report-To': null,
+    },
+    csp: () => createCsp({
+      'default-src': ["'none'"],
+      'frame-ancestors': ["'none'"],
+    }),
+  },
+};
+
+// Profile used when no override applies
+const DEFAULT_PROFILE = 'standard';
+
+// Per-path overrides
+// `profile` selects a named profile; `headers` and `csp` then adjust it
+// the same way profiles adjust the base headers.
+export const pathOverrides = [
+  {
+    // API routes get API headers instead of HTML page policies
+    path: '/api',
+    profile: 'api',
+  },
+  {
+    // Widgets that partner sites may frame
+    path: '/embed',
+    profile: 'embeddable',
+    csp: (policy) => policy
+      .remove('frame-ancestors')
+      .allow('frame-ancestors', "'self'", 'https://partner.example.com'),
+  },
+  {
+    // Admin screens are never framed, cached or leaked via Referer
+    path: '/admin',
+    profile: 'strict-isolated',
+    headers: {
+      'Referrer-Policy': 'no-referrer',
+      'Cache-Control': 'no-store',
+    },
+  },
+];
+
+// Staged CSP rollout, or null when none is in progress. Both
+// getStagedRolloutHeaders() and the middleware read it, so pages get the
+// same policies whether or not the middleware sets the CSP.
+// `candidate` is the policy being rolled out (builder, directive map or
+// header string) and `enforce` lists the path prefixes that enforce it.
+export const cspRollout = null;
+
+/**
+ * Generate a cryptographically random nonce for a single request
+ * Uses the Web Crypto API so it works in both the Edge and Node.js runtimes.
+ * @returns {string} Base64-encoded 128-bit nonce
+ */
+export function generateNonce() {
+  const bytes = new Uint8Array(16);
+  crypto.getRandomValues(bytes);
+  return btoa(String.fromCharCode(...bytes));
+}
+
+// Check whether a pathname falls under a path prefix
+export const matchesPath = (pathname, path) => (
+  pathname === path || pathname.startsWith(`${path}/`)
+);
+
+// Strip leading and trailing slashes from a path prefix
+export const trimSlashes = (path) => path.replace(/^\/+|\/+$/g, '');
+
+/**
+ * Select the rollout options for a pathname
+ * @param {string} pathname - Request path
+ * @param {Object|null} rollout - { candidate, enforce } (default: cspRollout)
+ * @returns {Object} `policy` where the candidate is enforced, `reportOnly`
+ *   elsewhere, or nothing when no rollout is in progress
+ */
+export function rolloutOptions(pathname, rollout = cspRollout) {
+  if (!rollout?.candidate) {
+    return {};
+  }
+  
+  const { candidate, enforce = [] } = rollout;
+  const isEnforced = enforce.some(prefix => matchesPath(pathname, `/${trimSlashes(prefix)}`));
+  
+  return isEnforced ? { policy: candidate } : { reportOnly: candidate };
+}
+
+/**
+ * Find the most specific override for a pathname
+ * @param {string} pathname - Request path
+ * @returns {Object|undefined} Matching override
+ */
+export function findPathOverride(pathname) {
+  return pathOverrides
+    .filter(override => matchesPath(pathname, override.path))
+    .sort((a, b) => b.path.length - a.path.length)[0];
+}
+
+/**
+ * Select the header profile for a pathname
+ * @param {string} pathname - Request path
+ * @returns {string} Profile name
+ */
+export function selectProfile(pathname) {
+  const profile = findPathOverride(pathname)?.profile || DEFAULT_PROFILE;
+  
+  if (!headerProfiles[profile]) {
+    throw new Error(`Unknown header profile: "${profile}"`);
+  }
+  
+  return profile;
+}
+
+// Accept a CSP builder, directive map or header string
+const toPolicy = (policy) => (
+  typeof policy === 'string' ? parseCsp(policy) : createCsp().merge(policy)
+);
+
+/**
+ * Resolve the effective security headers for a path
+ * @param {string} pathname - Request path
+ * @param {Object} options - Resolution options
+ * @param {string} options.environment - 'development' or 'production'
+ * @param {string} options.nonce - Per-request nonce; replaces 'unsafe-inline'
+ * @param {Object|string} options.policy - Enforce this CSP instead of the default one
+ * @param {Object|string} options.reportOnly - Candidate CSP to send as
+ *   Content-Security-Policy-Report-Only next to the enforced policy
+ * @returns {Object} Map of header name to value
+ */
+export function resolveHeaders(pathname = '/', options = {}) {
+  const {
+    environment = process.env.NODE_ENV,
+    nonce,
+    reportOnly,
+  } = options;
+  
+  const override = findPathOverride(pathname);
+  const profile = headerProfiles[selectProfile(pathname)];
+  const isDocument = profile.isDocument !== false;
+  
+  // Profile adjustments first, then the path's own
+  const applyOverride = (policy) => [profile.csp, override?.csp]
+    .filter(Boolean)
+    .reduce((acc, adjust) => adjust(acc), policy);
+  
+  const enforced = options.policy
+    ? toPolicy(options.policy).merge(reportingDirectives)
+    : (environment === 'development' ? developmentPolicy : contentSecurityPolicy);
+  
+  let policy = applyOverride(enforced);
+  if (nonce && isDocument) {
+    policy = policy.withNonce(nonce);
+  }
+  
+  const headers = {
+    'Content-Security-Policy': policy.toString(),
+    ...baseHeaders,
+    ...profile.headers,
+    ...override?.headers,
+  };
+  
+  // Browsers evaluate both policies but only report violations of this one
+  if (reportOnly && isDocument) {
+    let candidate = applyOverride(toPolicy(reportOnly).merge(reportingDirectives));
+    if (nonce) {
+      candidate = candidate.withNonce(nonce);
+    }
+    headers['Content-Security-Policy-Report-Only'] = candidate.toString();
+  }
+  
+  // Drop headers an override removed
+  return Object.fromEntries(
+    Object.entries(headers).filter(([, value]) => value !== null && value !== undefined)
+  );
+}
+
+/**
+ * Compare a CSP header against expected directives
+ * @param {string} actual - Actual CSP header value
+ * @param {Object} expected - Map of directive to sources (null = must be absent)
+ * @returns {string[]} Mismatch descriptions
+ */
+function compareCsp(actual, expected) {
+  const directives = actual ? parseCsp(actual).toObject() : {};
+  
+  return Object.entries(expected).flatMap(([directive, sources]) => {
+    const actualSources = directives[directive];
+    
+    if (sources === null) {
+      return actualSources ? [`CSP ${directive}: expected absent, got "${actualSources.join(' ')}"`] : [];
+    }
+    
+    const same = actualSources &&
+      actualSources.length === sources.length &&
+      sources.every(source => actualSources.includes(source));
+    
+    return same ? [] : [
+      `CSP ${directive}: expected "${sources.join(' ')}", got ${actualSources ? `"${actualSources.join(' ')}"` : 'nothing'}`,
+    ];
+  });
+}
+
+/**
+ * Test helper: assert the effective headers for a path
+ * Expected values can be a string (exact match), a RegExp, null (header
+ * must be absent) or, for Content-Security-Policy, a directive map.
+ * @param {string} pathname - Request path
+ * @param {Object} expected - Map of header name to expected value
+ * @param {Object} options - Options passed to resolveHeaders()
+ * @returns {Object} The resolved headers
+ * @throws {Error} Listing every mismatch
+ */
+export function assertEffectiveHeaders(pathname, expected, options = {}) {
+  const actual = resolveHeaders(pathname, options);
+  
+  // Header names are case-insensitive
+  const lookup = Object.fromEntries(
+    Object.entries(actual).map(([key, value]) => [key.toLowerCase(), value])
+  );
+  
+  const failures = Object.entries(expected).flatMap(([key, want]) => {
+    const got = lookup[key.toLowerCase()];
+    
+    if (want === null) {
+      return got === undefined ? [] : [`${key}: expected absent, got "${got}"`];
+    }
+    if (want instanceof RegExp) {
+      return want.test(got ?? '') ? [] : [`${key}: expected to match ${want}, got "${got}"`];
+    }
+    if (typeof want === 'object') {
+      return compareCsp(got, want);
+    }
+    return got === want ? [] : [`${key}: expected "${want}", got "${got}"`];
+  });
+  
+  if (failures.length > 0) {
+    throw new Error(`Unexpected security headers for ${pathname}:\n  ${failures.join('\n  ')}`);
+  }
+  
+  return actual;
+}
+
+// Example usage in a test (Jest or Vitest):
+
+/*
+import { assertEffectiveHeaders } from '@/config/header-policy';
+
+test('embed pages can be framed by partners', () => {
+  assertEffectiveHeaders('/embed/widget', {
+    'X-Frame-Options': null,
+    'Content-Security-Policy': {
+      'frame-ancestors': ["'self'", 'https://partner.example.com'],
+    },
+  });
+});
+
+test('admin pages are never framed or cached', () => {
+  assertEffectiveHeaders('/admin/users', {
+    'X-Frame-Options': 'DENY',
+    'Cache-Control': 'no-store',
+    'Cross-Origin-Embedder-Policy': 'require-corp',
+    'Content-Security-Policy': { 'frame-ancestors': ["'none'"] },
+  }, { environment: 'production' });
+});
+
+test('API routes get API headers, not page policies', () => {
+  assertEffectiveHeaders('/api/users', {
+    'X-XSS-Protection': null,
+    'Cross-Origin-Resource-Policy': 'same-origin',
+    'Content-Security-Policy': {
+      'default-src': ["'none'"],
+      'script-src': null,
+    },
+  });
+});
+*/
@@ -1,75 +1,95 @@
 /**
  * Secure HTTP headers configuration
- * 
+ *
  * This file configures security headers for Next.js using the
- * next.config.js headers property.
+ * next.config.js headers property. The headers themselves are defined
+ * in config/header-policy.js, which the middleware also uses.
  */
 
-// Define Content Security Policy directives
-const ContentSecurityPolicy = {
-  'default-src': ["'self'"],
-  'script-src': ["'self'", "'unsafe-inline'", "https://analytics.example.com"],
-  'style-src': ["'self'", "'unsafe-inline'"],
-  'img-src': ["'self'", "data:", "https://*.example.com"],
-  'font-src': ["'self'", "https://fonts.gstatic.com"],
-  'connect-src': ["'self'", "https://api.example.com"],
-  'frame-src': ["'self'"],
-  'object-src': ["'none'"],
-  'base-uri': ["'self'"],
-  'form-action': ["'self'"],
-  'frame-ancestors': ["'self'"],
-  'worker-src': ["'self'", "blob:"],
-  'manifest-src': ["'self'"],
-  'media-src': ["'self'"],
+import {
+  contentSecurityPolicy,
+  cspRollout,
+  pathOverrides,
+  resolveHeaders,
+  rolloutOptions,
+  trimSlashes,
+} from './header-policy';
+
+export { contentSecurityPolicy };
+
+// Escape a path segment for use inside a path-to-regexp custom pattern
+const escapePattern = (path) => path.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build next.config.js sources for a path scope
+ * A scope covers a prefix and everything below it, except nested
+ * scopes, which get their own entries. Keeping the sources disjoint
+ * means a nested scope can remove a header its parent sets.
+ * @param {string} scope - Path prefix ('' for the root)
+ * @param {string[]} scopes - All scope prefixes
+ * @returns {string[]} Source patterns
+ */
+const sourcesForScope = (scope, scopes) => {
+  const prefix = trimSlashes(scope);
+  const nested = scopes
+    .map(trimSlashes)
+    .filter(other => other !== prefix && (prefix === '' || other.startsWith(`${prefix}/`)))
+    .map(other => escapePattern(prefix === '' ? other : other.slice(prefix.length + 1)));
+  
+  const base = prefix === '' ? '' : `/${prefix}`;
+  
+  if (nested.length === 0) {
+    return [prefix === '' ? '/(.*)' : `${base}/:path*`];
+  }
+  
+  const rest = `${base}/:path((?!(?:${nested.join('|')})(?:/|$)).*)`;
+  return prefix === '' ? [rest] : [base, rest];
 };
 
-// Convert CSP object to string
-const cspString = Object.entries(ContentSecurityPolicy)
-  .map(([key, values]) => `${key} ${values.join(' ')}`)
-  .join('; ');
+/**
+ * Convert resolved header maps into next.config.js header entries
+ * @param {string[]} scopes - Path prefixes that need their own entries
+ * @param {function} resolve - Resolves the header map for a scope path
+ * @returns {Array<Object>} Header configurations for next.config.js
+ */
+const buildHeadersConfig = (scopes, resolve) => {
+  const allScopes = ['', ...new Set(scopes.map(trimSlashes))];
+  
+  return allScopes.flatMap(scope => {
+    const headers = Object.entries(resolve(`/${scope}`))
+      .map(([key, value]) => ({ key, value }));
+    
+    return sourcesForScope(scope, allScopes).map(source => ({ source, headers }));
+  });
+};
 
-// Define secure headers
-const secureHeaders = [
-  {
-    key: 'Content-Security-Policy',
-    value: cspString,
-  },
-  {
-    key: 'Strict-Transport-Security',
-    value: 'max-age=63072000; includeSubDomains; preload',
-  },
-  {
-    key: 'X-XSS-Protection',
-    value: '1; mode=block',
-  },
-  {
-    key: 'X-Frame-Options',
-    value: 'SAMEORIGIN',
-  },
-  {
-    key: 'X-Content-Type-Options',
-    value: 'nosniff',
-  },
-  {
-    key: 'Referrer-Policy',
-    value: 'strict-origin-when-cross-origin',
-  },
-  {
-    key: 'Permissions-Policy',
-    value: 'camera=(), microphone=(), geolocation=(), interest-cohort=()',
-  },
-  {
-    key: 'X-DNS-Prefetch-Control',
-    value: 'on',
-  },
-];
+const overridePaths = pathOverrides.map(override => override.path);
+
+/**
+ * Get the header configuration for an environment
+ * @param {string} environment - 'development' or 'production'
+ * @param {Object} options - Header options
+ * @param {Object|string} options.reportOnly - Candidate CSP to send as
+ *   Content-Security-Policy-Report-Only next to the enforced policy
+ * @returns {Array<Object>} Header configurations for next.config.js
+ */
+export const getEnvironmentHeaders = (environment, options = {}) => (
+  buildHeadersConfig(overridePaths, (path) => resolveHeaders(path, {
+    environment,
+    reportOnly: options.reportOnly,
+  }))
+);
 
 // Export header configuration for next.config.js
-export const secureHeadersConfig = {
-  // Apply to all routes
-  source: '/(.*)',
-  headers: secureHeaders,
-};
+// One entry per path scope (the root plus each override in header-policy.js)
+export const secureHeadersConfig = getEnvironmentHeaders('production');
+
+// Nonce-aware mode: every header except CSP is static. The CSP has to change
+// on every request, so it is set by the middleware.
+export const nonceSecureHeadersConfig = secureHeadersConfig.map(config => ({
+  ...config,
+  headers: config.headers.filter(header => !header.key.startsWith('Content-Security-Policy')),
+}));
 
 // Usage in next.config.js:
 /*
@@ -78,31 +98,77 @@ const { secureHeadersConfig } = require('./config/secure-headers');
 module.exports = {
   async headers() {
     return [
-      secureHeadersConfig,
+      ...secureHeadersConfig,
       // Add other route-specific headers if needed
     ];
   },
 };
-*/
 
-// You can also create environment-specific headers:
-export const getEnvironmentHeaders = (environment) => {
-  if (environment === 'development') {
-    // Looser CSP for development
-    return {
-      ...secureHeadersConfig,
-      headers: secureHeadersConfig.headers.map(header => {
-        if (header.key === 'Content-Security-Policy') {
-          return {
-            key: 'Content-Security-Policy',
-            value: cspString.replace("'self'", "'self' 'unsafe-eval'")
-          };
-        }
-        return header;
-      })
-    };
-  }
+// Or, with nonces (middleware/auth-middleware.js sets the CSP):
+module.exports = {
+  async headers() {
+    return nonceSecureHeadersConfig;
+  },
+};
+
+// Reading the nonce in a server component (app/layout.js):
+import { headers } from 'next/headers';
+import Script from 'next/script';
+
+export default function RootLayout({ children }) {
+  const nonce = headers().get('x-nonce');
   
-  // Use strict headers for production
-  return secureHeadersConfig;
+  return (
+    <html lang="en">
+      <body>
+        {children}
+        <Script src="https://analytics.example.com/script.js" nonce={nonce} />
+      </body>
+    </html>
+  );
+}
+*/
+
+/**
+ * Staged CSP rollout: enforce a candidate policy on some routes and
+ * send it report-only everywhere else
+ * The middleware applies cspRollout (config/header-policy.js) to the CSP
+ * it sets, so configure the rollout there rather than passing it here
+ * when the middleware is in use.
+ * @param {string} environment - 'development' or 'production'
+ * @param {Object} rollout - Rollout options (default: cspRollout)
+ * @param {Object|string} rollout.candidate - Policy being rolled out
+ * @param {string[]} rollout.enforce - Path prefixes that already enforce the candidate
+ * @returns {Array<Object>} Header configurations for next.config.js
+ */
+export const getStagedRolloutHeaders = (environment, rollout = cspRollout) => (
+  buildHeadersConfig([...overridePaths, ...(rollout?.enforce || [])], (path) => (
+    // Candidate enforced on the stages that have been promoted,
+    // report-only next to the current policy everywhere else
+    resolveHeaders(path, { environment, ...rolloutOptions(path, rollout) })
+  ))
+);
+
+// Usage for a staged rollout:
+/*
+// config/header-policy.js - candidate: drop 'unsafe-inline' from scripts,
+// enforced on /admin and report-only everywhere else
+export const cspRollout = {
+  candidate: contentSecurityPolicy.remove('script-src', "'unsafe-inline'"),
+  enforce: ['/admin'],
+};
+
+// next.config.js - static headers for the same rollout
+const { contentSecurityPolicy, getStagedRolloutHeaders } = require('./config/secure-headers');
+const { cspRollout } = require('./config/header-policy');
+const { diffCsp } = require('./config/csp-builder');
+
+// Review what changes before shipping
+console.log(diffCsp(contentSecurityPolicy, cspRollout.candidate));
+
+module.exports = {
+  async headers() {
+    return getStagedRolloutHeaders(process.env.NODE_ENV);
+  },
 };
+*/
@@ -2,72 +2,95 @@
  * Authorization middleware for Next.js
  * 
  * This middleware:
- * 1. Protects routes based on authentication status
- * 2. Implements role-based access control
- * 3. Sets secure headers for all responses
+ * 1. Protects routes based on authentication status, including a pending second factor
+ * 2. Enforces the permission-based access policy from auth/rbac.js
+ * 3. Sets secure headers for all responses, using the route's header profile
+ *    and any staged CSP rollout (cspRollout in config/header-policy.js)
+ * 4. Issues a per-request CSP nonce for inline scripts and styles
+ * 5. Resolves the active organization and checks the user's role in it
+ * 6. Rejects sessions revoked server-side (see auth/session-revocation.js).
+ *    This only catches revocations in a store the Edge runtime shares with
+ *    the server, which the default in-memory store isn't, so it is not the
+ *    last line: route handlers re-check through getServerSession() and
+ *    protected pages must call requireSession() (auth/require-session.js)
+ * 7. Challenges for step-up authentication where a route requires it (see auth/step-up.js)
+ * 8. Warns at startup if a protected route falls outside config.matcher
+ * 9. Marks and audit-logs impersonated sessions, and keeps them out of routes
+ *    that refuse impersonation (see auth/impersonation.js)
+ * 10. Passes API key requests to routes that accept them, whose handlers
+ *     verify the key (see auth/authenticate-request.js)
  */
 
 import { NextResponse } from 'next/server';
 import { getToken } from 'next-auth/jwt';
-
-// Define protected routes and required roles
-const protectedRoutes = [
-  {
-    path: '/dashboard',
-    requiredRole: 'user',
-  },
-  {
-    path: '/admin',
-    requiredRole: 'admin',
-  },
-  {
-    path: '/api/admin',
-    requiredRole: 'admin',
-  },
-];
-
-// Set secure headers for all responses
-const secureHeaders = {
-  'X-DNS-Prefetch-Control': 'on',
-  'Strict-Transport-Security': 'max-age=63072000; includeSubDomains; preload',
-  'X-XSS-Protection': '1; mode=block',
-  'X-Content-Type-Options': 'nosniff',
-  'Referrer-Policy': 'strict-origin-when-cross-origin',
-  'Content-Security-Policy': `
-    default-src 'self';
-    script-src 'self' 'unsafe-inline' 'unsafe-eval';
-    style-src 'self' 'unsafe-inline';
-    img-src 'self' data:;
-    font-src 'self';
-    object-src 'none';
-    base-uri 'self';
-    form-action 'self';
-    frame-ancestors 'self';
-    block-all-mixed-content;
-    upgrade-insecure-requests;
-  `.replace(/\s+/g, ' ').trim(),
-  'Permissions-Policy': 'camera=(), microphone=(), geolocation=()',
-};
+import { generateNonce, resolveHeaders, rolloutOptions } from '@/config/header-policy';
+import { policy, routeRules } from '@/auth/rbac';
+import { ORG_HEADER, findMembership, resolveOrgId } from '@/auth/tenancy';
+import { sessionRevocation } from '@/auth/session-revocation';
+import { MFA_ACR, checkStepUp, stepUpChallenge } from '@/auth/step-up';
+import { IMPERSONATION_HEADER, identitiesOf, impersonationBanner, isImpersonationExpired } from '@/auth/impersonation';
+import { readApiKey } from '@/auth/api-keys';
+import { auditLog } from '@/utils/audit-log';
+import { warnOnMatcherMismatch } from '@/utils/route-matcher';
+import { cookiePolicy } from '@/config/cookie-policy';
 
 export async function middleware(request) {
-  // Clone the response to add headers
-  const response = NextResponse.next();
+  // Get the pathname from the URL
+  const { pathname } = request.nextUrl;
+  
+  // Mint a fresh nonce for this request
+  const nonce = generateNonce();
   
-  // Apply secure headers to all responses
-  Object.entries(secureHeaders).forEach(([key, value]) => {
-    response.headers.set(key, value);
+  // Same header policy as next.config.js, with the nonce in place of 'unsafe-inline'.
+  // The route's profile is selected here too, so /api/* gets API headers,
+  // and so is any staged CSP rollout, which this CSP would otherwise replace.
+  const securityHeaders = resolveHeaders(pathname, {
+    environment: process.env.NODE_ENV,
+    nonce,
+    ...rolloutOptions(pathname),
   });
   
-  // Get the pathname from the URL
-  const { pathname } = request.nextUrl;
+  // Expose the nonce to server components via headers().get('x-nonce').
+  // Next.js also reads the CSP request header to nonce its own scripts.
+  const requestHeaders = new Headers(request.headers);
+  requestHeaders.set('x-nonce', nonce);
+  requestHeaders.set('Content-Security-Policy', securityHeaders['Content-Security-Policy']);
   
-  // Skip auth check for non-protected routes
-  const isProtectedRoute = protectedRoutes.some(
-    (route) => pathname === route.path || pathname.startsWith(`${route.path}/`)
-  );
+  // Route handlers trust X-Org-Id and X-Impersonation, so only ever
+  // forward ones set below
+  requestHeaders.delete(ORG_HEADER);
+  requestHeaders.delete(IMPERSONATION_HEADER);
   
-  if (!isProtectedRoute) {
+  // Continue to the route, applying secure headers to the response.
+  // The impersonation banner, if any, goes to both the route and the browser.
+  const forward = () => {
+    const response = NextResponse.next({
+      request: { headers: requestHeaders },
+    });
+    
+    Object.entries(securityHeaders).forEach(([key, value]) => {
+      response.headers.set(key, value);
+    });
+    
+    const banner = requestHeaders.get(IMPERSONATION_HEADER);
+    if (banner) {
+      response.headers.set(IMPERSONATION_HEADER, banner);
+    }
+    
     return response;
+  };
+  
+  // Skip auth check for non-protected routes
+  const requiredPermissions = policy.requiredPermissions(pathname, request.method);
+  
+  if (!requiredPermissions) {
+    return forward();
+  }
+  
+  // Machine clients: the key store isn't reachable from here, so routes
+  // that accept API keys authenticate them in the handler
+  if (readApiKey(request.headers) && policy.acceptsApiKeys(pathname, request.method)) {
+    return forward();
   }
   
   try {
@@ -75,51 +98,142 @@ export async function middleware(request) {
     const token = await getToken({
       req: request,
       secret: process.env.NEXTAUTH_SECRET,
+      cookieName: cookiePolicy.sessionCookieName,
     });
     
-    // No token = not authenticated
-    if (!token) {
+    // No token, or one revoked before it expired = not authenticated.
+    // Only revocations written to a store shared with the server are
+    // visible here; pages and route handlers check again.
+    if (!token || await sessionRevocation.isRevoked(token)) {
+      // API clients get a 401 rather than an HTML redirect
+      if (pathname.startsWith('/api/')) {
+        return new NextResponse(
+          JSON.stringify({ error: 'Authentication required' }),
+          { status: 401, headers: { 'Content-Type': 'application/json' } }
+        );
+      }
+      
       // Redirect to login page with return URL
       const url = new URL('/auth/login', request.url);
       url.searchParams.set('returnUrl', pathname);
       return NextResponse.redirect(url);
     }
     
-    // Check role-based access for the specific route
-    const routeConfig = protectedRoutes.find(
-      (route) => pathname === route.path || pathname.startsWith(`${route.path}/`)
-    );
-    
-    if (routeConfig && routeConfig.requiredRole) {
-      const userRole = token.role;
-      
-      // Role hierarchy for access control
-      const roleHierarchy = {
-        admin: ['admin', 'user', 'guest'],
-        user: ['user', 'guest'],
-        guest: ['guest'],
-      };
+    // Password accepted but the second factor is outstanding (or timed out)
+    if (token.mfaPending) {
+      if (pathname.startsWith('/api/')) {
+        return new NextResponse(
+          JSON.stringify({ error: 'MFA verification required' }),
+          { status: 401, headers: { 'Content-Type': 'application/json' } }
+        );
+      }
       
-      // Check if user's role has access to the required role
-      const hasAccess = userRole && roleHierarchy[userRole]?.includes(routeConfig.requiredRole);
+      // The MFA page lives under /auth/, which the matcher excludes
+      const url = new URL(token.mfaExpiresAt > Date.now() ? '/auth/mfa' : '/auth/login', request.url);
+      url.searchParams.set('returnUrl', pathname);
+      return NextResponse.redirect(url);
+    }
+    
+    // An admin acting as another user: the time box is checked here too, as
+    // the token only reverts the next time the session is read
+    if (token.act) {
+      if (isImpersonationExpired(token)) {
+        if (pathname.startsWith('/api/')) {
+          return new NextResponse(
+            JSON.stringify({ error: 'Impersonation has ended' }),
+            { status: 401, headers: { 'Content-Type': 'application/json' } }
+          );
+        }
+        
+        // The page under /auth/ refreshes the session, which reverts it to the admin
+        const url = new URL('/auth/impersonation-ended', request.url);
+        url.searchParams.set('returnUrl', pathname);
+        return NextResponse.redirect(url);
+      }
       
-      if (!hasAccess) {
-        // Return 403 Forbidden for API routes
+      if (!policy.allowsImpersonation(pathname, request.method)) {
         if (pathname.startsWith('/api/')) {
           return new NextResponse(
-            JSON.stringify({ error: 'Insufficient permissions' }),
+            JSON.stringify({ error: 'Not available while impersonating a user' }),
             { status: 403, headers: { 'Content-Type': 'application/json' } }
           );
         }
-        
-        // Redirect to unauthorized page for non-API routes
         return NextResponse.redirect(new URL('/unauthorized', request.url));
       }
+      
+      requestHeaders.set(IMPERSONATION_HEADER, impersonationBanner(token));
+      await auditLog.record({
+        type: 'impersonation.request',
+        ...identitiesOf(token),
+        method: request.method,
+        path: pathname,
+      });
+    }
+    
+    // Resolve the organization from the path, the X-Org-Id header or the session,
+    // and use the user's role in that organization
+    const { params } = policy.matchRoute(pathname, request.method) || {};
+    const orgId = resolveOrgId({ params, headers: request.headers }) || token.activeOrgId;
+    const membership = findMembership(token, orgId);
+    
+    if (membership) {
+      requestHeaders.set(ORG_HEADER, membership.id);
+    }
+    
+    // Check the route's required permissions against the user's role.
+    // Naming an organization the user doesn't belong to is always denied.
+    const role = membership ? membership.role : token.role;
+    const hasAccess = (!orgId || membership) && policy.canAll(role, requiredPermissions);
+    
+    if (!hasAccess) {
+      // Return 403 Forbidden for API routes
+      if (pathname.startsWith('/api/')) {
+        return new NextResponse(
+          JSON.stringify({ error: 'Insufficient permissions' }),
+          { status: 403, headers: { 'Content-Type': 'application/json' } }
+        );
+      }
+      
+      // Redirect to unauthorized page for non-API routes
+      return NextResponse.redirect(new URL('/unauthorized', request.url));
+    }
+    
+    // Sensitive routes also need a recent or multi-factor sign-in
+    const stepUp = policy.stepUpFor(pathname, request.method);
+    const unmet = stepUp && checkStepUp(token, stepUp);
+    
+    if (unmet) {
+      // API clients get a machine-readable challenge to re-authenticate and retry
+      if (pathname.startsWith('/api/')) {
+        return stepUpChallenge(unmet);
+      }
+      
+      // The re-authentication page lives under /auth/, which the matcher excludes
+      const url = new URL('/auth/reauth', request.url);
+      url.searchParams.set('returnUrl', pathname);
+      if (unmet.maxAge !== undefined) {
+        url.searchParams.set('max_age', String(unmet.maxAge));
+      }
+      if (unmet.mfa) {
+        url.searchParams.set('acr_values', MFA_ACR);
+      }
+      return NextResponse.redirect(url);
     }
     
     // User is authenticated and authorized
-    return response;
+    return forward();
   } catch (error) {
+    // Malformed or conflicting organization IDs
+    if (error.status === 400) {
+      if (pathname.startsWith('/api/')) {
+        return new NextResponse(
+          JSON.stringify({ error: error.message }),
+          { status: 400, headers: { 'Content-Type': 'application/json' } }
+        );
+      }
+      return NextResponse.redirect(new URL('/unauthorized', request.url));
+    }
+    
     console.error('Middleware error:', error);
     
     // Handle errors gracefully
@@ -144,3 +258,9 @@ export const config = {
     '/((?!_next/static|_next/image|favicon.ico|public/|auth/).*)',
   ],
 };
+
+// Middleware never runs outside config.matcher, so a protected route it
+// doesn't cover would be silently unprotected. Check once at startup.
+if (process.env.NODE_ENV !== 'production') {
+  warnOnMatcherMismatch(config.matcher, routeRules);
+}
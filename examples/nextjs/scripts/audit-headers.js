@@ -0,0 +1,80 @@
+/**
+ * Security headers audit CLI
+ *
+ * Grades the headers produced by config/secure-headers.js (or the
+ * middleware's per-path headers) and exits non-zero when they fall
+ * below a minimum grade, so CI can fail a PR that weakens them.
+ *
+ * Usage:
+ *   npx tsx scripts/audit-headers.js [options]
+ *
+ * Options:
+ *   --env <name>        Environment to audit (default: production)
+ *   --path <path>       Audit the middleware headers for a path (repeatable)
+ *   --min-grade <grade> Fail below this grade (default: B)
+ *   --json              Print the report as JSON
+ */
+
+import { getEnvironmentHeaders } from '../config/secure-headers';
+import { resolveHeaders } from '../config/header-policy';
+import { auditHeaders, formatAuditReport, meetsGrade } from '../utils/header-audit';
+
+// Parse command line arguments
+function parseArgs(argv) {
+  const args = { env: 'production', paths: [], minGrade: 'B', json: false };
+  
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--env':
+        args.env = argv[++i];
+        break;
+      case '--path':
+        args.paths.push(argv[++i]);
+        break;
+      case '--min-grade':
+        args.minGrade = argv[++i];
+        break;
+      case '--json':
+        args.json = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  
+  // Middleware headers carry a nonce, so audit them with a sample one
+  const input = args.paths.length > 0
+    ? args.paths.map(path => ({
+      source: path,
+      headers: Object.entries(resolveHeaders(path, { environment: args.env, nonce: 'audit' }))
+        .map(([key, value]) => ({ key, value })),
+    }))
+    : getEnvironmentHeaders(args.env);
+  
+  const audit = auditHeaders(input);
+  console.log(formatAuditReport(audit, args.json ? 'json' : 'text'));
+  
+  if (!meetsGrade(audit.grade, args.minGrade)) {
+    console.error(`\nHeaders graded ${audit.grade}, below the required ${args.minGrade}.`);
+    process.exit(1);
+  }
+}
+
+try {
+  main();
+} catch (error) {
+  console.error('Header audit failed:', error.message);
+  process.exit(2);
+}
+
+// Example CI step (.github/workflows/security.yml):
+/*
+- name: Audit security headers
+  run: npx tsx examples/nextjs/scripts/audit-headers.js --min-grade A --path / --path /api/users --path /admin
+*/
@@ -0,0 +1,52 @@
+/**
+ * Audit log
+ *
+ * An append-only record of security-relevant actions. Every entry names
+ * the real actor; actions taken while impersonating another user also
+ * name the subject acted as, so "who really did this" is never lost.
+ *
+ * The default sink writes JSON lines to the server log. Production
+ * deployments should ship them somewhere users of the app can't alter,
+ * e.g. a log pipeline or an append-only table.
+ *
+ * This module has no Node.js dependencies, so it runs in the Edge runtime.
+ */
+
+/**
+ * Create an audit log
+ * @param {Object} options - Audit log options
+ * @param {function} options.write - Receives each entry; may return a promise
+ * @param {function} options.now - Clock returning milliseconds
+ * @returns {{ record: function(Object): Promise<Object> }} Audit log
+ */
+export function createAuditLog({
+  write = (entry) => console.info('[audit]', JSON.stringify(entry)),
+  now = Date.now,
+} = {}) {
+  return {
+    /**
+     * Record an action
+     * @param {Object} event - { type, actor: { id, email }, subject?, ...details }
+     * @returns {Promise<Object>} The entry as written, with its timestamp
+     */
+    record: async (event) => {
+      const entry = { ...event, at: new Date(now()).toISOString() };
+      await write(entry);
+      return entry;
+    },
+  };
+}
+
+// Default audit log used by the middleware and auth flows
+export const auditLog = createAuditLog();
+
+// Example: collect entries in tests
+
+/*
+import { createAuditLog } from '@/utils/audit-log';
+
+const entries = [];
+const auditLog = createAuditLog({ write: (entry) => entries.push(entry) });
+
+await auditLog.record({ type: 'impersonation.started', actor: { id: '1' }, subject: { id: '2' } });
+*/
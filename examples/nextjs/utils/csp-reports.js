@@ -0,0 +1,228 @@
+/**
+ * CSP violation report parsing and aggregation
+ *
+ * Browsers send violation reports in two formats:
+ * - Legacy `report-uri`: application/csp-report, { "csp-report": { ... } }
+ * - Reporting API `report-to`: application/reports+json, [{ type, body, ... }]
+ *
+ * Reports are normalized into a single shape and aggregated by
+ * directive + blocked URI, so a single misconfigured script tag doesn't
+ * produce thousands of separate entries.
+ */
+
+import { z } from 'zod';
+import { LRUCache } from 'lru-cache';
+
+// Content types accepted by the report endpoint
+export const CSP_REPORT_CONTENT_TYPES = ['application/csp-report', 'application/reports+json'];
+
+// Reports larger than this are rejected before parsing
+export const MAX_REPORT_BYTES = 16 * 1024;
+
+// Legacy report-uri payload
+const legacyReportSchema = z.object({
+  'csp-report': z.object({
+    'document-uri': z.string().max(2048),
+    'blocked-uri': z.string().max(2048).optional().default(''),
+    'violated-directive': z.string().max(256).optional(),
+    'effective-directive': z.string().max(256).optional(),
+    'disposition': z.enum(['enforce', 'report']).optional().default('enforce'),
+    'source-file': z.string().max(2048).optional(),
+    'line-number': z.number().int().nonnegative().optional(),
+    'script-sample': z.string().max(256).optional(),
+  }),
+});
+
+// Reporting API payload: a batch that can mix report types
+const reportingApiSchema = z.array(z.object({
+  type: z.string().max(64),
+}).passthrough()).max(100);
+
+// Body of a Reporting API csp-violation entry
+const cspViolationBodySchema = z.object({
+  documentURL: z.string().max(2048),
+  blockedURL: z.string().max(2048).optional().default(''),
+  effectiveDirective: z.string().max(256),
+  disposition: z.enum(['enforce', 'report']).optional().default('enforce'),
+  sourceFile: z.string().max(2048).optional(),
+  lineNumber: z.number().int().nonnegative().optional(),
+  sample: z.string().max(256).optional(),
+});
+
+/**
+ * Strip query strings and fragments from a reported URI
+ * Reports can contain tokens or personal data in URLs, so only the
+ * origin and path are kept. Keywords like "inline" or "eval" pass through.
+ * @param {string} uri - URI from the report
+ * @returns {string} Sanitized URI
+ */
+function sanitizeUri(uri) {
+  if (!uri) {
+    return '';
+  }
+  
+  try {
+    const url = new URL(uri);
+    return `${url.origin}${url.pathname}`;
+  } catch {
+    return uri.split(/[?#]/)[0].slice(0, 256);
+  }
+}
+
+/**
+ * Parse a raw report body into normalized violation records
+ * @param {string} rawBody - Request body text
+ * @param {string} contentType - Request Content-Type header
+ * @returns {{ success: boolean, reports: Array<Object>, error: string|null }} Parse result
+ */
+export function parseCspReports(rawBody, contentType = '') {
+  const mediaType = contentType.split(';')[0].trim().toLowerCase();
+  
+  if (!CSP_REPORT_CONTENT_TYPES.includes(mediaType)) {
+    return { success: false, reports: [], error: 'Unsupported content type' };
+  }
+  
+  let payload;
+  try {
+    payload = JSON.parse(rawBody);
+  } catch {
+    return { success: false, reports: [], error: 'Malformed JSON' };
+  }
+  
+  if (mediaType === 'application/csp-report') {
+    const result = legacyReportSchema.safeParse(payload);
+    if (!result.success) {
+      return { success: false, reports: [], error: 'Invalid report' };
+    }
+    
+    const report = result.data['csp-report'];
+    return {
+      success: true,
+      error: null,
+      reports: [{
+        // violated-directive may contain the full directive value; keep the name
+        directive: (report['effective-directive'] || report['violated-directive'] || 'unknown').split(' ')[0],
+        blockedUri: sanitizeUri(report['blocked-uri']),
+        documentUri: sanitizeUri(report['document-uri']),
+        sourceFile: sanitizeUri(report['source-file']),
+        lineNumber: report['line-number'],
+        sample: report['script-sample'],
+        disposition: report.disposition,
+      }],
+    };
+  }
+  
+  const result = reportingApiSchema.safeParse(payload);
+  if (!result.success) {
+    return { success: false, reports: [], error: 'Invalid report' };
+  }
+  
+  // Only csp-violation entries are kept; malformed ones are skipped
+  const reports = result.data
+    .filter(entry => entry.type === 'csp-violation')
+    .map(entry => cspViolationBodySchema.safeParse(entry.body))
+    .filter(parsed => parsed.success)
+    .map(({ data: body }) => ({
+      directive: body.effectiveDirective,
+      blockedUri: sanitizeUri(body.blockedURL),
+      documentUri: sanitizeUri(body.documentURL),
+      sourceFile: sanitizeUri(body.sourceFile),
+      lineNumber: body.lineNumber,
+      sample: body.sample,
+      disposition: body.disposition,
+    }));
+  
+  return { success: true, reports, error: null };
+}
+
+/**
+ * Create a store that aggregates violations by directive and blocked URI
+ * @param {Object} options - Store options
+ * @param {number} options.maxEntries - Maximum distinct violations to keep
+ * @param {number} options.maxDocumentsPerEntry - Example pages kept per violation
+ * @returns {Object} Report store instance
+ */
+export function createCspReportStore(options = {}) {
+  const {
+    maxEntries = 1000,
+    maxDocumentsPerEntry = 5,
+  } = options;
+  
+  // Least recently seen violations are evicted first
+  const entries = new LRUCache({ max: maxEntries });
+  
+  return {
+    /**
+     * Record a normalized violation
+     * @param {Object} report - Report from parseCspReports()
+     * @returns {Object} Aggregated entry for this violation
+     */
+    record: (report) => {
+      // Report-only and enforced violations are tracked separately so a
+      // staged rollout can be judged on its own reports
+      const key = `${report.disposition}|${report.directive}|${report.blockedUri}`;
+      const now = new Date().toISOString();
+      const existing = entries.get(key);
+      
+      const entry = existing || {
+        directive: report.directive,
+        blockedUri: report.blockedUri,
+        disposition: report.disposition,
+        count: 0,
+        firstSeen: now,
+        lastSeen: now,
+        documents: [],
+        sample: report.sample,
+      };
+      
+      entry.count += 1;
+      entry.lastSeen = now;
+      if (
+        report.documentUri &&
+        entry.documents.length < maxDocumentsPerEntry &&
+        !entry.documents.includes(report.documentUri)
+      ) {
+        entry.documents.push(report.documentUri);
+      }
+      
+      entries.set(key, entry);
+      return entry;
+    },
+    
+    /**
+     * Summarize recorded violations, most frequent first
+     * @param {Object} filters - Summary filters
+     * @param {string} filters.directive - Only include this directive
+     * @param {string} filters.disposition - 'enforce' or 'report'
+     * @param {number} filters.limit - Maximum entries to return
+     * @returns {Object} Totals and top violations
+     */
+    summary: ({ directive, disposition, limit = 50 } = {}) => {
+      const all = [...entries.values()].filter(entry =>
+        (!directive || entry.directive === directive) &&
+        (!disposition || entry.disposition === disposition)
+      );
+      
+      const byDirective = all.reduce((acc, entry) => {
+        acc[entry.directive] = (acc[entry.directive] || 0) + entry.count;
+        return acc;
+      }, {});
+      
+      return {
+        totalReports: all.reduce((sum, entry) => sum + entry.count, 0),
+        distinctViolations: all.length,
+        byDirective,
+        violations: all.sort((a, b) => b.count - a.count).slice(0, limit),
+      };
+    },
+    
+    /**
+     * Remove all recorded violations
+     */
+    clear: () => entries.clear(),
+  };
+}
+
+// Default store shared by the report endpoint
+// In production, back this with a database or log pipeline instead
+export const cspReportStore = createCspReportStore();
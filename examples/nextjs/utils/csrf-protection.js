@@ -7,19 +7,18 @@
 
 import { withIronSessionApiRoute, withIronSessionSsr } from 'iron-session/next';
 import { getToken, csrf } from 'next-csrf';
+import { cookiePolicy } from '@/config/cookie-policy';
+
+// Cookie names and options follow the app-wide policy (config/cookie-policy.js):
+// __Host- prefixed and Secure over HTTPS, plain over local HTTP
+const sessionCookie = cookiePolicy.cookie('next-csrf-session', { session: true });
+const csrfCookie = cookiePolicy.cookie('next-csrf');
 
 // Configuration for iron-session (used for storing CSRF token)
 const sessionOptions = {
   password: process.env.SESSION_SECRET || 'complex-password-at-least-32-characters-long',
-  cookieName: 'next-csrf-session',
-  cookieOptions: {
-    // Set secure: true in production
-    secure: process.env.NODE_ENV === 'production',
-    httpOnly: true,
-    sameSite: 'lax',
-    // Set domain in production
-    ...(process.env.NODE_ENV === 'production' ? { domain: '.example.com' } : {}),
-  },
+  cookieName: sessionCookie.name,
+  cookieOptions: sessionCookie.options,
 };
 
 // Configure CSRF protection
@@ -27,15 +26,10 @@ export const csrfConfig = {
   // Generate a unique token value
   getToken,
   // Cookie settings for CSRF token
-  cookieOptions: {
-    httpOnly: true,
-    sameSite: 'lax',
-    path: '/',
-    secure: process.env.NODE_ENV === 'production',
-  },
+  cookieOptions: csrfCookie.options,
   // Additional options
   tokenKey: 'csrf-token', // The form input field name
-  cookieName: 'next-csrf', // The cookie name
+  cookieName: csrfCookie.name, // The cookie name
   expiresIn: 3600, // 1 hour in seconds
   salt: 'unique-salt-string', // A unique string to secure your tokens
 };
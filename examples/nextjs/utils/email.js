@@ -0,0 +1,96 @@
+/**
+ * Email delivery
+ *
+ * Security emails (password reset, account unlock) are sent through a
+ * mailer with a pluggable transport. A transport is any object with an
+ * async `send(message)`, so wiring up a provider takes a few lines and
+ * tests can use the in-memory transport to read what would have been sent.
+ */
+
+const DEFAULT_FROM = process.env.EMAIL_FROM || 'no-reply@localhost';
+
+/**
+ * Create a transport that keeps messages in memory
+ * For tests: read `outbox` instead of sending real email.
+ * @returns {Object} Transport with send/clear and the `outbox` array
+ */
+export function createMemoryTransport() {
+  const outbox = [];
+  
+  return {
+    outbox,
+    send: async (message) => {
+      outbox.push(message);
+    },
+    clear: () => {
+      outbox.length = 0;
+    },
+  };
+}
+
+/**
+ * Create a transport that prints messages to the console
+ * Only prints in development: emails contain single-use links that
+ * must not end up in production logs.
+ * @returns {Object} Transport with send
+ */
+export function createConsoleTransport() {
+  return {
+    send: async (message) => {
+      if (process.env.NODE_ENV === 'development') {
+        console.log(`[email] To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}`);
+      }
+    },
+  };
+}
+
+/**
+ * Create a mailer
+ * @param {Object} options - Mailer options
+ * @param {Object} options.transport - Transport with an async send(message)
+ * @param {string} options.from - Sender address
+ * @returns {Object} Mailer with send
+ */
+export function createMailer({
+  transport = createConsoleTransport(),
+  from = DEFAULT_FROM,
+} = {}) {
+  return {
+    /**
+     * Send an email
+     * @param {Object} message - { to, subject, text, html? }
+     * @returns {Promise<void>}
+     * @throws {Error} If the message has no recipient or subject
+     */
+    send: async ({ to, subject, text, html }) => {
+      if (!to || !subject) {
+        throw new Error('Email requires a recipient and a subject');
+      }
+      
+      await transport.send({ from, to, subject, text, html });
+    },
+  };
+}
+
+// Default mailer. Replace the console transport with your email provider.
+export const mailer = createMailer();
+
+// Example provider transport and test setup:
+
+/*
+import { createMailer, createMemoryTransport } from '@/utils/email';
+
+// Production: wrap your provider's SDK
+const mailer = createMailer({
+  transport: {
+    send: (message) => emailProvider.send(message),
+  },
+});
+
+// Tests: capture messages instead of sending them
+const transport = createMemoryTransport();
+const testMailer = createMailer({ transport });
+
+await testMailer.send({ to: 'user@example.com', subject: 'Hello', text: 'Hi' });
+transport.outbox[0].subject; // 'Hello'
+*/
@@ -0,0 +1,340 @@
+/**
+ * Security headers self-audit
+ *
+ * Grades a set of response headers in the spirit of securityheaders.com
+ * and Mozilla Observatory, so CI can fail a change that weakens them.
+ *
+ * Accepts any of:
+ * - A header map: { 'Content-Security-Policy': '...' }
+ * - A header list: [{ key, value }]
+ * - A next.config.js entry: { source, headers: [{ key, value }] }
+ * - An array of entries, e.g. secureHeadersConfig or getEnvironmentHeaders(env)
+ */
+
+// Score deductions per finding severity
+const PENALTIES = {
+  high: 20,
+  medium: 10,
+  low: 5,
+  info: 0,
+};
+
+// Minimum score for each grade, best first
+const GRADES = [
+  ['A', 90],
+  ['B', 75],
+  ['C', 60],
+  ['D', 45],
+  ['E', 30],
+  ['F', 0],
+];
+
+// HSTS max-age thresholds in seconds
+const HSTS_MIN_MAX_AGE = 15552000; // 180 days
+const HSTS_PRELOAD_MAX_AGE = 31536000; // 1 year, required for preload
+
+// Headers that no longer do anything useful (or are harmful)
+const DEPRECATED_HEADERS = {
+  'x-xss-protection': {
+    name: 'X-XSS-Protection',
+    severity: 'low',
+    message: 'X-XSS-Protection is obsolete; the XSS auditor was removed from browsers and could be abused. Remove it or set it to "0".',
+    allow: (value) => value.trim() === '0',
+  },
+  'expect-ct': {
+    name: 'Expect-CT',
+    severity: 'low',
+    message: 'Expect-CT is obsolete; Certificate Transparency is enforced by default.',
+  },
+  'public-key-pins': {
+    name: 'Public-Key-Pins',
+    severity: 'medium',
+    message: 'Public-Key-Pins (HPKP) is obsolete and risks locking users out of the site.',
+  },
+  'feature-policy': {
+    name: 'Feature-Policy',
+    severity: 'low',
+    message: 'Feature-Policy was replaced by Permissions-Policy.',
+  },
+  'report-to': {
+    name: 'Report-To',
+    severity: 'info',
+    message: 'Report-To is superseded by Reporting-Endpoints; keep it only for older Chromium versions.',
+  },
+};
+
+// Directives where a wildcard lets an attacker load executable content
+const SCRIPT_LIKE_DIRECTIVES = ['script-src', 'object-src', 'default-src'];
+
+/**
+ * Normalize the supported input shapes into one or more header maps
+ * @param {Object|Array} input - Headers to audit
+ * @returns {Array<{ source: string, headers: Object }>} Lowercased header maps
+ */
+function normalizeInput(input) {
+  const lowercase = (entries) => Object.fromEntries(
+    entries.map(([key, value]) => [key.toLowerCase(), String(value)])
+  );
+  
+  // next.config.js entry
+  if (input && !Array.isArray(input) && Array.isArray(input.headers)) {
+    return [{
+      source: input.source || '*',
+      headers: lowercase(input.headers.map(({ key, value }) => [key, value])),
+    }];
+  }
+  
+  if (Array.isArray(input)) {
+    // Array of next.config.js entries
+    if (input.every(entry => Array.isArray(entry?.headers))) {
+      return input.flatMap(normalizeInput);
+    }
+    // Header list
+    return [{ source: '*', headers: lowercase(input.map(({ key, value }) => [key, value])) }];
+  }
+  
+  // Header map
+  return [{ source: '*', headers: lowercase(Object.entries(input || {})) }];
+}
+
+/**
+ * Parse a CSP header leniently (unknown directives are kept, not rejected)
+ * @param {string} value - Header value
+ * @returns {Object} Map of directive to source list
+ */
+function parsePolicy(value) {
+  return value.split(';').reduce((acc, part) => {
+    const [directive, ...sources] = part.trim().split(/\s+/).filter(Boolean);
+    if (directive) {
+      acc[directive.toLowerCase()] = sources;
+    }
+    return acc;
+  }, {});
+}
+
+// Audit Content-Security-Policy
+function auditCsp(headers, finding) {
+  const value = headers['content-security-policy'];
+  
+  if (!value) {
+    finding('high', 'csp-missing', 'Content-Security-Policy', 'No Content-Security-Policy header.');
+    return;
+  }
+  
+  const policy = parsePolicy(value);
+  const scriptSources = policy['script-src'] || policy['default-src'] || [];
+  const hasNonceOrHash = scriptSources.some(source => /^'(nonce|sha256|sha384|sha512)-/.test(source));
+  
+  if (scriptSources.length === 0) {
+    finding('high', 'csp-no-script-src', 'Content-Security-Policy', 'Neither script-src nor default-src is set, so scripts are unrestricted.');
+  }
+  
+  if (scriptSources.includes("'unsafe-inline'")) {
+    if (hasNonceOrHash) {
+      finding('info', 'csp-unsafe-inline-fallback', 'Content-Security-Policy', "'unsafe-inline' in script-src is ignored by browsers that support nonces or hashes.");
+    } else {
+      finding('high', 'csp-unsafe-inline', 'Content-Security-Policy', "script-src allows 'unsafe-inline', which defeats CSP's XSS protection. Use nonces or hashes.");
+    }
+  }
+  
+  if (scriptSources.includes("'unsafe-eval'")) {
+    finding('medium', 'csp-unsafe-eval', 'Content-Security-Policy', "script-src allows 'unsafe-eval'.");
+  }
+  
+  const styleSources = policy['style-src'] || policy['default-src'] || [];
+  if (styleSources.includes("'unsafe-inline'") && !styleSources.some(source => source.startsWith("'nonce-"))) {
+    finding('low', 'csp-style-unsafe-inline', 'Content-Security-Policy', "style-src allows 'unsafe-inline'.");
+  }
+  
+  Object.entries(policy).forEach(([directive, sources]) => {
+    const scriptLike = SCRIPT_LIKE_DIRECTIVES.includes(directive);
+    
+    sources.forEach(source => {
+      if (source === '*' || /^\w+:\/\/\*$/.test(source)) {
+        finding(scriptLike ? 'high' : 'medium', 'csp-wildcard', 'Content-Security-Policy', `${directive} allows any host ("${source}").`);
+      } else if (scriptLike && /^(https?|data|blob):$/.test(source)) {
+        finding('high', 'csp-scheme-source', 'Content-Security-Policy', `${directive} allows any "${source}" source.`);
+      } else if (scriptLike && source.includes('*')) {
+        finding('low', 'csp-wildcard-subdomain', 'Content-Security-Policy', `${directive} allows a wildcard subdomain ("${source}").`);
+      }
+    });
+  });
+  
+  const objectSources = policy['object-src'] || policy['default-src'] || [];
+  if (!(objectSources.length === 1 && objectSources[0] === "'none'")) {
+    finding('medium', 'csp-object-src', 'Content-Security-Policy', "object-src is not 'none' (directly or via default-src).");
+  }
+  
+  // base-uri does not fall back to default-src, but only matters if scripts can run
+  const scriptsBlocked = scriptSources.length === 1 && scriptSources[0] === "'none'";
+  if (!policy['base-uri'] && !scriptsBlocked) {
+    finding('low', 'csp-base-uri', 'Content-Security-Policy', 'base-uri is not restricted; injected <base> tags can redirect relative script URLs.');
+  }
+  
+  const framed = policy['frame-ancestors'] || headers['x-frame-options'];
+  if (!framed) {
+    finding('medium', 'framing-unrestricted', 'Content-Security-Policy', 'Neither frame-ancestors nor X-Frame-Options is set (clickjacking).');
+  }
+}
+
+// Audit Strict-Transport-Security
+function auditHsts(headers, finding) {
+  const value = headers['strict-transport-security'];
+  
+  if (!value) {
+    finding('high', 'hsts-missing', 'Strict-Transport-Security', 'No Strict-Transport-Security header.');
+    return;
+  }
+  
+  const maxAge = Number((value.match(/max-age=(\d+)/i) || [])[1] || 0);
+  const includesSubDomains = /includesubdomains/i.test(value);
+  const preload = /preload/i.test(value);
+  
+  if (maxAge < HSTS_MIN_MAX_AGE) {
+    finding('medium', 'hsts-short-max-age', 'Strict-Transport-Security', `max-age=${maxAge} is shorter than 180 days (${HSTS_MIN_MAX_AGE}).`);
+  }
+  
+  if (!includesSubDomains) {
+    finding('low', 'hsts-no-subdomains', 'Strict-Transport-Security', 'includeSubDomains is missing.');
+  }
+  
+  if (!preload) {
+    finding('low', 'hsts-no-preload', 'Strict-Transport-Security', 'preload is missing.');
+  } else if (maxAge < HSTS_PRELOAD_MAX_AGE || !includesSubDomains) {
+    finding('medium', 'hsts-invalid-preload', 'Strict-Transport-Security', 'preload requires max-age of at least 1 year and includeSubDomains.');
+  }
+}
+
+// Audit the remaining single-value headers
+function auditOtherHeaders(headers, finding) {
+  if (headers['x-content-type-options']?.toLowerCase() !== 'nosniff') {
+    finding('medium', 'nosniff-missing', 'X-Content-Type-Options', 'X-Content-Type-Options is not "nosniff".');
+  }
+  
+  const referrerPolicy = headers['referrer-policy'];
+  if (!referrerPolicy) {
+    finding('low', 'referrer-policy-missing', 'Referrer-Policy', 'No Referrer-Policy header.');
+  } else if (/unsafe-url|no-referrer-when-downgrade/.test(referrerPolicy)) {
+    finding('medium', 'referrer-policy-weak', 'Referrer-Policy', `Referrer-Policy "${referrerPolicy}" leaks full URLs cross-origin.`);
+  }
+  
+  if (!headers['permissions-policy']) {
+    finding('low', 'permissions-policy-missing', 'Permissions-Policy', 'No Permissions-Policy header.');
+  }
+  
+  if (!headers['cross-origin-opener-policy']) {
+    finding('info', 'coop-missing', 'Cross-Origin-Opener-Policy', 'No Cross-Origin-Opener-Policy header.');
+  }
+  
+  Object.entries(DEPRECATED_HEADERS).forEach(([key, rule]) => {
+    const value = headers[key];
+    if (value !== undefined && !(rule.allow && rule.allow(value))) {
+      finding(rule.severity, `deprecated-${key}`, rule.name, rule.message);
+    }
+  });
+}
+
+/**
+ * Convert a score into a letter grade
+ * @param {number} score - Score between 0 and 100
+ * @param {Array<Object>} findings - Findings behind the score
+ * @returns {string} Grade from A+ to F
+ */
+function toGrade(score, findings) {
+  if (score === 100 && findings.every(finding => finding.severity === 'info')) {
+    return 'A+';
+  }
+  return GRADES.find(([, minimum]) => score >= minimum)[0];
+}
+
+/**
+ * Audit a set of security headers
+ * @param {Object|Array} input - Header map, header list or next.config.js entries
+ * @returns {Object} Overall grade plus per-source results and findings
+ */
+export function auditHeaders(input) {
+  const results = normalizeInput(input).map(({ source, headers }) => {
+    const findings = [];
+    const finding = (severity, id, header, message) => {
+      findings.push({ id, severity, header, message, penalty: PENALTIES[severity] });
+    };
+    
+    auditCsp(headers, finding);
+    auditHsts(headers, finding);
+    auditOtherHeaders(headers, finding);
+    
+    const score = Math.max(0, 100 - findings.reduce((sum, item) => sum + item.penalty, 0));
+    return { source, score, grade: toGrade(score, findings), findings };
+  });
+  
+  // The weakest route determines the overall result
+  const worst = results.reduce((min, result) => (result.score < min.score ? result : min), results[0]);
+  
+  return {
+    grade: worst.grade,
+    score: worst.score,
+    results,
+  };
+}
+
+/**
+ * Check whether a grade meets a minimum
+ * @param {string} grade - Actual grade
+ * @param {string} minimum - Required grade, e.g. 'B'
+ * @returns {boolean} True if grade is at least the minimum
+ */
+export function meetsGrade(grade, minimum) {
+  const order = ['A+', ...GRADES.map(([letter]) => letter)];
+  
+  if (!order.includes(minimum)) {
+    throw new Error(`Unknown grade: "${minimum}"`);
+  }
+  
+  return order.indexOf(grade) <= order.indexOf(minimum);
+}
+
+/**
+ * Format an audit result for humans or machines
+ * @param {Object} audit - Result of auditHeaders()
+ * @param {'text'|'json'} format - Output format
+ * @returns {string} Formatted report
+ */
+export function formatAuditReport(audit, format = 'text') {
+  if (format === 'json') {
+    return JSON.stringify(audit, null, 2);
+  }
+  
+  const lines = [`Overall grade: ${audit.grade} (${audit.score}/100)`];
+  
+  audit.results.forEach(result => {
+    lines.push('', `${result.source}: ${result.grade} (${result.score}/100)`);
+    
+    if (result.findings.length === 0) {
+      lines.push('  No issues found');
+    }
+    
+    result.findings.forEach(item => {
+      lines.push(`  [${item.severity.toUpperCase()}] ${item.header}: ${item.message}`);
+    });
+  });
+  
+  return lines.join('\n');
+}
+
+// Example usage:
+
+/*
+import { auditHeaders, formatAuditReport } from '@/utils/header-audit';
+import { secureHeadersConfig } from '@/config/secure-headers';
+
+const audit = auditHeaders(secureHeadersConfig);
+console.log(formatAuditReport(audit));
+// Overall grade: B (75/100)
+//
+// /:path((?!(?:api|embed|admin)(?:/|$)).*): B (75/100)
+//   [HIGH] Content-Security-Policy: script-src allows 'unsafe-inline', ...
+
+// Or audit a live response
+const response = await fetch('https://example.com');
+auditHeaders(Object.fromEntries(response.headers.entries()));
+*/
@@ -3,10 +3,32 @@
  * 
  * This file provides input validation and sanitization utilities
  * using Zod for schema validation and DOMPurify for HTML sanitization.
+ *
+ * Schemas that set a password also run the password policy
+ * (utils/password-policy.js). Its breached-password lookup is
+ * asynchronous, so it is only in breachCheckedSchemas, which need
+ * validateInputAsync; `schemas` all work with validateInput.
  */
 
 import { z } from 'zod';
 import DOMPurify from 'isomorphic-dompurify';
+import { passwordPolicy } from './password-policy';
+
+// Field rules shared by registration and password reset
+const emailField = z.string()
+  .email('Invalid email address');
+
+const passwordField = z.string()
+  .min(8, 'Password must be at least 8 characters')
+  .regex(/[A-Z]/, 'Password must contain at least one uppercase letter')
+  .regex(/[a-z]/, 'Password must contain at least one lowercase letter')
+  .regex(/[0-9]/, 'Password must contain at least one number')
+  .regex(/[^A-Za-z0-9]/, 'Password must contain at least one special character');
+
+const passwordsMatch = [
+  data => data.password === data.confirmPassword,
+  { message: 'Passwords do not match', path: ['confirmPassword'] },
+];
 
 // Common validation schemas
 export const schemas = {
@@ -16,20 +38,28 @@ export const schemas = {
       .min(3, 'Username must be at least 3 characters')
       .max(50, 'Username cannot exceed 50 characters')
       .regex(/^[a-zA-Z0-9_-]+$/, 'Username can only contain letters, numbers, underscores and hyphens'),
-    email: z.string()
-      .email('Invalid email address'),
-    password: z.string()
-      .min(8, 'Password must be at least 8 characters')
-      .regex(/[A-Z]/, 'Password must contain at least one uppercase letter')
-      .regex(/[a-z]/, 'Password must contain at least one lowercase letter')
-      .regex(/[0-9]/, 'Password must contain at least one number')
-      .regex(/[^A-Za-z0-9]/, 'Password must contain at least one special character'),
+    email: emailField,
+    password: passwordField,
     confirmPassword: z.string(),
-  }).refine(data => data.password === data.confirmPassword, {
-    message: 'Passwords do not match',
-    path: ['confirmPassword'],
+  })
+    .refine(...passwordsMatch)
+    .superRefine(passwordPolicy.refinement()),
+
+  // Password reset request schema
+  passwordResetRequest: z.object({
+    email: emailField,
   }),
 
+  // Password reset schema - same password rules as registration. The
+  // request has no username or email, so the route checks those separately.
+  passwordReset: z.object({
+    token: z.string().min(16).max(128),
+    password: passwordField,
+    confirmPassword: z.string(),
+  })
+    .refine(...passwordsMatch)
+    .superRefine(passwordPolicy.refinement()),
+
   // Profile update schema
   profileUpdate: z.object({
     displayName: z.string()
@@ -76,11 +106,43 @@ export const schemas = {
   }),
 };
 
+// Password schemas that also reject breached passwords (validateInputAsync only)
+export const breachCheckedSchemas = {
+  registration: schemas.registration.superRefine(passwordPolicy.breachRefinement()),
+  passwordReset: schemas.passwordReset.superRefine(passwordPolicy.breachRefinement()),
+};
+
+// Format Zod errors for easier consumption: one message per field
+const formatErrors = (error) => error.errors.reduce((acc, err) => {
+  const path = err.path.join('.');
+  acc[path] = err.message;
+  return acc;
+}, {});
+
+const toResult = (error) => {
+  if (error instanceof z.ZodError) {
+    return {
+      data: null,
+      success: false,
+      errors: formatErrors(error)
+    };
+  }
+  
+  // Handle unexpected errors
+  console.error('Validation error:', error);
+  return {
+    data: null,
+    success: false,
+    errors: { _form: 'Validation failed. Please check your input.' }
+  };
+};
+
 /**
  * Validate and sanitize user input against a schema
  * @param {object} data - The data to validate
  * @param {z.ZodSchema} schema - The Zod schema to validate against
  * @returns {object} - Validation result with data, success, and errors
+ * @throws {Error} If the schema has asynchronous refinements (use validateInputAsync)
  */
 export function validateInput(data, schema) {
   try {
@@ -88,28 +150,27 @@ export function validateInput(data, schema) {
     const validatedData = schema.parse(data);
     return { data: validatedData, success: true, errors: null };
   } catch (error) {
-    if (error instanceof z.ZodError) {
-      // Format Zod errors for easier consumption
-      const formattedErrors = error.errors.reduce((acc, err) => {
-        const path = err.path.join('.');
-        acc[path] = err.message;
-        return acc;
-      }, {});
-      
-      return { 
-        data: null,
-        success: false,
-        errors: formattedErrors
-      };
+    // A programming error, not invalid input: don't report it as a form error
+    if (!(error instanceof z.ZodError) && /parseAsync/.test(error?.message)) {
+      throw new Error('validateInput() was given a schema with asynchronous refinements; use validateInputAsync()');
     }
-    
-    // Handle unexpected errors
-    console.error('Validation error:', error);
-    return {
-      data: null,
-      success: false,
-      errors: { _form: 'Validation failed. Please check your input.' }
-    };
+    return toResult(error);
+  }
+}
+
+/**
+ * Validate user input against a schema with asynchronous refinements,
+ * such as the breached-password check in breachCheckedSchemas.registration
+ * @param {object} data - The data to validate
+ * @param {z.ZodSchema} schema - The Zod schema to validate against
+ * @returns {Promise<object>} - Validation result with data, success, and errors
+ */
+export async function validateInputAsync(data, schema) {
+  try {
+    const validatedData = await schema.parseAsync(data);
+    return { data: validatedData, success: true, errors: null };
+  } catch (error) {
+    return toResult(error);
   }
 }
 
@@ -159,7 +220,7 @@ export function sanitizeHtml(html, options = {}) {
 export function validateRequest(schema, source = 'body') {
   return async (req, res, next) => {
     try {
-      const result = validateInput(req[source], schema);
+      const result = await validateInputAsync(req[source], schema);
       
       if (!result.success) {
         return res.status(400).json({
@@ -183,12 +244,12 @@ export function validateRequest(schema, source = 'body') {
 
 // Usage example in API route:
 /*
-import { schemas, validateInput } from '@/utils/input-validation';
+import { schemas, validateInputAsync } from '@/utils/input-validation';
 
 export async function POST(req) {
   try {
     const body = await req.json();
-    const result = validateInput(body, schemas.registration);
+    const result = await validateInputAsync(body, schemas.registration);
     
     if (!result.success) {
       return Response.json(
@@ -0,0 +1,613 @@
+/**
+ * Password policy
+ *
+ * Character-class rules alone accept `Password1!`. This policy adds:
+ * - Strength estimation in the style of zxcvbn: the password is split into
+ *   the patterns attackers try first (common passwords, l33t spellings,
+ *   keyboard rows, sequences, repeats, dates), and scored by how many
+ *   guesses the cheapest split would take
+ * - Rejection of passwords that contain the username or email
+ * - A check against breached-password corpora using k-anonymity: only the
+ *   first 5 characters of the password's SHA-1 hash leave the server
+ *
+ * No Node.js or Next.js imports, so the same module runs in route handlers,
+ * the browser and React Native. The React Native example imports this file
+ * (examples/react-native/utils/password-policy.js) rather than a copy.
+ */
+
+// Scores, as in zxcvbn: 0 = too guessable ... 4 = very unguessable
+const SCORE_THRESHOLDS = [3, 6, 8, 10]; // log10 of guesses
+
+// Guesses per character not covered by a pattern
+const BRUTEFORCE_CARDINALITY = 10;
+const MIN_GUESSES_SINGLE_CHAR = 10;
+const MIN_GUESSES_MULTI_CHAR = 50;
+
+// Only the first characters are analyzed; longer passwords are strong anyway
+const MAX_ANALYZED_LENGTH = 100;
+
+const REFERENCE_YEAR = new Date().getFullYear();
+const MIN_YEAR_SPACE = 20;
+
+// Most common passwords, most common first. The rank is the number of
+// guesses an attacker needs to reach the word.
+const COMMON_PASSWORDS = [
+  '123456', 'password', '12345678', 'qwerty', '123456789', '12345', '1234', '111111',
+  '1234567', 'dragon', '123123', 'baseball', 'abc123', 'football', 'monkey', 'letmein',
+  '696969', 'shadow', 'master', '666666', 'qwertyuiop', '123321', 'mustang', '1234567890',
+  'michael', '654321', 'superman', '1qaz2wsx', '7777777', '121212', '000000', 'qazwsx',
+  '123qwe', 'killer', 'trustno1', 'jordan', 'jennifer', 'zxcvbnm', 'asdfgh', 'hunter',
+  'buster', 'soccer', 'harley', 'batman', 'andrew', 'tigger', 'sunshine', 'iloveyou',
+  'charlie', 'robert', 'thomas', 'hockey', 'ranger', 'daniel', 'starwars', 'klaster',
+  '112233', 'george', 'computer', 'michelle', 'jessica', 'pepper', '1111', 'zxcvbn',
+  '555555', '11111111', '131313', 'freedom', '777777', 'pass', 'maggie', '159753',
+  'aaaaaa', 'ginger', 'princess', 'joshua', 'cheese', 'amanda', 'summer', 'love',
+  'ashley', 'nicole', 'chelsea', 'biteme', 'matthew', 'access', 'yankees', '987654321',
+  'dallas', 'austin', 'thunder', 'taylor', 'matrix', 'welcome', 'admin', 'login',
+  'secret', 'changeme', 'hello', 'flower', 'whatever', 'winter', 'spring', 'autumn',
+  'orange', 'purple', 'silver', 'golden', 'diamond', 'angel', 'baby', 'family',
+  'friends', 'forever', 'money', 'secure', 'default', 'guest', 'test', 'user',
+  'root', 'qwer', 'asdf', 'zxcv', 'passwd', 'letmeinplease', 'football1', 'monkey1',
+];
+
+// Common substitutions, e.g. p@ssw0rd
+const L33T_TABLE = {
+  '4': ['a'], '@': ['a'], '8': ['b'], '(': ['c'], '{': ['c'], '[': ['c'], '<': ['c'],
+  '3': ['e'], '6': ['g'], '9': ['g'], '1': ['i', 'l'], '!': ['i'], '|': ['i', 'l'],
+  '0': ['o'], '$': ['s'], '5': ['s'], '+': ['t'], '7': ['t', 'l'], '%': ['x'], '2': ['z'],
+};
+
+// Keyboard rows, unshifted and shifted
+const KEYBOARD_ROWS = [
+  '`1234567890-=', 'qwertyuiop[]\\', "asdfghjkl;'", 'zxcvbnm,./',
+  '~!@#$%^&*()_+', 'QWERTYUIOP{}|', 'ASDFGHJKL:"', 'ZXCVBNM<>?',
+];
+const KEYBOARD_STARTING_POSITIONS = 47;
+const KEYBOARD_AVERAGE_DEGREE = 4;
+
+const log10 = Math.log10;
+
+const rankedDictionary = (words) => {
+  const ranks = new Map();
+  words.forEach((word, index) => {
+    const key = String(word).toLowerCase();
+    if (key && !ranks.has(key)) {
+      ranks.set(key, index + 1);
+    }
+  });
+  return ranks;
+};
+
+const defaultDictionary = rankedDictionary(COMMON_PASSWORDS);
+
+const binomial = (n, k) => {
+  if (k > n) {
+    return 0;
+  }
+  let result = 1;
+  for (let i = 1; i <= k; i++) {
+    result = (result * (n - k + i)) / i;
+  }
+  return result;
+};
+
+// Capitalizing the first or last letter, or everything, barely helps
+const uppercaseVariations = (token) => {
+  if (token === token.toLowerCase()) {
+    return 1;
+  }
+  if (/^[A-Z][^A-Z]+$/.test(token) || /^[^A-Z]+[A-Z]$/.test(token) || /^[^a-z]+$/.test(token)) {
+    return 2;
+  }
+  const upper = (token.match(/[A-Z]/g) || []).length;
+  const lower = (token.match(/[a-z]/g) || []).length;
+  let variations = 0;
+  for (let i = 1; i <= Math.min(upper, lower); i++) {
+    variations += binomial(upper + lower, i);
+  }
+  return variations;
+};
+
+// All ways to read a token without its l33t substitutions (capped)
+const unl33tVariants = (token) => {
+  let variants = [''];
+  for (const char of token) {
+    const options = L33T_TABLE[char] || [char];
+    variants = variants.flatMap(prefix => options.map(option => prefix + option)).slice(0, 32);
+  }
+  return variants;
+};
+
+const dictionaryMatches = (password, dictionaries) => {
+  const lower = password.toLowerCase();
+  const reversed = [...lower].reverse().join('');
+  const maxLength = Math.max(...dictionaries.map(({ maxLength }) => maxLength));
+  const matches = [];
+  
+  for (let i = 0; i < lower.length; i++) {
+    for (let j = i + 3; j <= Math.min(lower.length, i + maxLength); j++) {
+      const token = password.slice(i, j);
+      const plain = lower.slice(i, j);
+      const backwards = reversed.slice(lower.length - j, lower.length - i);
+      const hasL33t = [...plain].some(char => L33T_TABLE[char]);
+      
+      for (const { ranks, pattern } of dictionaries) {
+        const candidates = [
+          { word: plain, extra: 1 },
+          { word: backwards, extra: 2 },
+          ...(hasL33t ? unl33tVariants(plain).map(word => ({ word, extra: 2 })) : []),
+        ];
+        
+        for (const { word, extra } of candidates) {
+          const rank = ranks.get(word);
+          if (rank) {
+            matches.push({ pattern, i, j, guesses: rank * uppercaseVariations(token) * extra });
+          }
+        }
+      }
+    }
+  }
+  
+  return matches;
+};
+
+// abc, 9876, XYZ
+const sequenceMatches = (password) => {
+  const matches = [];
+  const classOf = (char) => (/[a-z]/.test(char) ? 'lower' : /[A-Z]/.test(char) ? 'upper' : /\d/.test(char) ? 'digit' : null);
+  const step = (k) => password.charCodeAt(k + 1) - password.charCodeAt(k);
+  const sameClass = (k) => classOf(password[k]) && classOf(password[k]) === classOf(password[k + 1]);
+  
+  let i = 0;
+  while (i < password.length - 1) {
+    const delta = step(i);
+    if (Math.abs(delta) !== 1 || !sameClass(i)) {
+      i++;
+      continue;
+    }
+    
+    let j = i + 1;
+    while (j < password.length - 1 && step(j) === delta && sameClass(j)) {
+      j++;
+    }
+    
+    if (j + 1 - i >= 3) {
+      const token = password.slice(i, j + 1);
+      const base = /^[aAzZ019]/.test(token) ? 4 : /^\d/.test(token) ? 10 : 26;
+      matches.push({ pattern: 'sequence', i, j: j + 1, guesses: base * token.length * (delta < 0 ? 2 : 1) });
+    }
+    i = j;
+  }
+  
+  return matches;
+};
+
+// aaa, abcabc
+const repeatMatches = (password, estimate) => {
+  const matches = [];
+  const lazy = /(.+?)\1+/g;
+  let match;
+  
+  while ((match = lazy.exec(password))) {
+    const [token, base] = match;
+    if (token.length >= 3) {
+      const baseGuesses = 10 ** estimate(base).guessesLog10;
+      matches.push({ pattern: 'repeat', i: match.index, j: match.index + token.length, guesses: baseGuesses * (token.length / base.length) });
+    }
+  }
+  
+  return matches;
+};
+
+// qwerty, asdf, 7890
+const spatialMatches = (password) => {
+  const matches = [];
+  
+  for (const row of KEYBOARD_ROWS) {
+    const reversedRow = [...row].reverse().join('');
+    const lower = row === row.toLowerCase() ? password.toLowerCase() : password;
+    
+    for (let i = 0; i < lower.length - 2; i++) {
+      let j = i + 2;
+      while (j <= lower.length && (row.includes(lower.slice(i, j)) || reversedRow.includes(lower.slice(i, j)))) {
+        j++;
+      }
+      j--;
+      
+      if (j - i >= 3) {
+        const shifted = row !== row.toLowerCase() || /[A-Z]/.test(password.slice(i, j)) ? 2 : 1;
+        matches.push({
+          pattern: 'spatial',
+          i,
+          j,
+          guesses: KEYBOARD_STARTING_POSITIONS * KEYBOARD_AVERAGE_DEGREE * (j - i - 1) * shifted,
+        });
+        i = j - 1;
+      }
+    }
+  }
+  
+  return matches;
+};
+
+// 1987, 2024, 31121999, 1999-12-31
+const dateMatches = (password) => {
+  const matches = [];
+  const yearSpace = (year) => Math.max(Math.abs(year - REFERENCE_YEAR), MIN_YEAR_SPACE);
+  
+  for (const match of password.matchAll(/(?=((?:19|20)\d\d))/g)) {
+    matches.push({ pattern: 'date', i: match.index, j: match.index + 4, guesses: yearSpace(Number(match[1])) });
+  }
+  
+  const datePattern = /(?=(\d{1,4})([\s/._-]?)(\d{1,2})\2(\d{2,4}))/g;
+  for (const match of password.matchAll(datePattern)) {
+    const [, first, separator, , last] = match;
+    const year = first.length === 4 ? Number(first) : last.length === 4 ? Number(last) : 2000 + Number(last) % 100;
+    const length = match[1].length + match[3].length + match[4].length + separator.length * 2;
+    if (year >= 1900 && year <= 2099 && length >= 6) {
+      matches.push({
+        pattern: 'date',
+        i: match.index,
+        j: match.index + length,
+        guesses: 365 * yearSpace(year) * (separator ? 4 : 1),
+      });
+    }
+  }
+  
+  return matches;
+};
+
+const feedbackFor = (pattern) => ({
+  dictionary: 'This is similar to a commonly used password.',
+  userInputs: 'Passwords based on your name or email are easy to guess.',
+  sequence: 'Sequences like "abc" or "6543" are easy to guess.',
+  repeat: 'Repeated characters like "aaa" or "abcabc" are easy to guess.',
+  spatial: 'Straight rows of keys like "qwerty" are easy to guess.',
+  date: 'Dates and years are easy to guess.',
+}[pattern] || null);
+
+/**
+ * Estimate how many guesses a password would take to crack
+ * @param {string} password - Password to score
+ * @param {Object} options - Estimation options
+ * @param {string[]} options.userInputs - Words specific to the user (name, email, ...)
+ * @param {string[]} options.dictionary - Extra words, most common first
+ * @returns {{ score: number, guessesLog10: number, feedback: { warning: string|null, suggestions: string[] } }}
+ *   Score from 0 (too guessable) to 4 (very unguessable)
+ */
+export function estimateStrength(password, { userInputs = [], dictionary = [] } = {}) {
+  const analyzed = String(password || '').slice(0, MAX_ANALYZED_LENGTH);
+  
+  const dictionaries = [
+    { pattern: 'dictionary', ranks: defaultDictionary, maxLength: 16 },
+    ...(dictionary.length ? [{ pattern: 'dictionary', ranks: rankedDictionary(dictionary), maxLength: 32 }] : []),
+    ...(userInputs.length ? [{ pattern: 'userInputs', ranks: rankedDictionary(userInputs), maxLength: 64 }] : []),
+  ];
+  
+  const estimate = (token) => {
+    const matches = [
+      ...dictionaryMatches(token, dictionaries),
+      ...sequenceMatches(token),
+      ...(token.length > 1 ? repeatMatches(token, estimate) : []),
+      ...spatialMatches(token),
+      ...dateMatches(token),
+    ];
+    
+    // Cheapest way to cover the password with patterns and bruteforced characters
+    const best = [{ guessesLog10: 0, patterns: [] }];
+    for (let k = 1; k <= token.length; k++) {
+      best[k] = {
+        guessesLog10: best[k - 1].guessesLog10 + log10(BRUTEFORCE_CARDINALITY),
+        patterns: best[k - 1].patterns,
+      };
+      
+      for (const match of matches.filter(({ j }) => j === k)) {
+        const minimum = match.j - match.i === 1 ? MIN_GUESSES_SINGLE_CHAR : MIN_GUESSES_MULTI_CHAR;
+        const guessesLog10 = best[match.i].guessesLog10 + log10(Math.max(match.guesses, minimum));
+        if (guessesLog10 < best[k].guessesLog10) {
+          best[k] = { guessesLog10, patterns: [...best[match.i].patterns, match.pattern] };
+        }
+      }
+    }
+    
+    return best[token.length];
+  };
+  
+  const { guessesLog10, patterns } = estimate(analyzed);
+  const score = SCORE_THRESHOLDS.filter(threshold => guessesLog10 >= threshold).length;
+  
+  const suggestions = [];
+  if (score < 3) {
+    suggestions.push('Use a few words that don\'t go together, or a longer password.');
+    if (patterns.length) {
+      suggestions.push('Avoid common passwords, keyboard rows, sequences and dates.');
+    }
+  }
+  
+  return {
+    score,
+    guessesLog10,
+    feedback: {
+      warning: score < 3 ? feedbackFor(patterns[0]) : null,
+      suggestions,
+    },
+  };
+}
+
+/**
+ * Words from the user's context that must not appear in their password
+ * @param {Object} context - { username, email, name }
+ * @returns {string[]} Lowercase terms of 3 or more characters
+ */
+export function contextTerms({ username, email, name } = {}) {
+  const terms = [];
+  const add = (value) => {
+    const term = String(value || '').trim().toLowerCase();
+    if (term.length >= 3 && !terms.includes(term)) {
+      terms.push(term);
+    }
+  };
+  
+  add(username);
+  add(email);
+  const localPart = String(email || '').split('@')[0];
+  add(localPart);
+  add(localPart.replace(/[^a-z0-9]/gi, ''));
+  String(name || '').split(/\s+/).forEach(add);
+  
+  return terms;
+}
+
+/**
+ * Compute a SHA-1 hash as uppercase hex
+ * Uses Web Crypto, available in Node.js 18+, browsers and the Edge runtime.
+ * @param {string} value - Value to hash
+ * @returns {Promise<string>} Hash
+ */
+export async function sha1Hex(value) {
+  const digest = await globalThis.crypto.subtle.digest('SHA-1', new TextEncoder().encode(value));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+// Parse a range response: one "SUFFIX:COUNT" per line
+const parseRange = (text) => {
+  const range = new Map();
+  for (const line of text.split('\n')) {
+    const [suffix, count] = line.trim().split(':');
+    // Padding entries have a count of 0
+    if (suffix && Number(count) > 0) {
+      range.set(suffix.toUpperCase(), Number(count));
+    }
+  }
+  return range;
+};
+
+/**
+ * Breach lookup backend for the Have I Been Pwned range API
+ * @param {Object} options - Backend options
+ * @param {function} options.fetch - fetch implementation
+ * @param {string} options.endpoint - Range endpoint, ending in a slash
+ * @param {number} options.timeout - Request timeout in milliseconds
+ * @returns {Object} Backend with range(prefix)
+ */
+export function createHibpBackend({
+  fetch: fetchImpl = (...args) => globalThis.fetch(...args),
+  endpoint = 'https://api.pwnedpasswords.com/range/',
+  timeout = 3000,
+} = {}) {
+  return {
+    range: async (prefix) => {
+      const response = await fetchImpl(`${endpoint}${prefix}`, {
+        // Pads responses so their size doesn't reveal the prefix's bucket
+        headers: { 'Add-Padding': 'true' },
+        signal: AbortSignal.timeout(timeout),
+      });
+      if (!response.ok) {
+        throw new Error(`Breached password lookup failed with status ${response.status}`);
+      }
+      return parseRange(await response.text());
+    },
+  };
+}
+
+/**
+ * Breach lookup backend over a local list
+ * For tests and offline deployments. Entries are plain passwords, or
+ * { password, count } objects.
+ * @param {Array<string|Object>} entries - Breached passwords
+ * @returns {Object} Backend with range(prefix)
+ */
+export function createOfflineBreachBackend(entries = []) {
+  const hashed = Promise.all(entries.map(async (entry) => {
+    const { password, count = 1 } = typeof entry === 'string' ? { password: entry } : entry;
+    return { hash: await sha1Hex(password), count };
+  }));
+  
+  return {
+    range: async (prefix) => {
+      const range = new Map();
+      for (const { hash, count } of await hashed) {
+        if (hash.startsWith(prefix)) {
+          range.set(hash.slice(5), (range.get(hash.slice(5)) || 0) + count);
+        }
+      }
+      return range;
+    },
+  };
+}
+
+/**
+ * Create a breached-password checker
+ * Only the first 5 hex characters of the SHA-1 hash are sent to the
+ * backend; the match happens locally.
+ * @param {Object} options - Checker options
+ * @param {Object} options.backend - Backend with range(prefix) resolving to Map<suffix, count>
+ * @param {boolean} options.failOpen - Accept passwords when the backend is unavailable
+ * @returns {Object} Checker with count(password)
+ */
+export function createBreachChecker({
+  backend = createHibpBackend(),
+  failOpen = true,
+} = {}) {
+  return {
+    /**
+     * Count how often a password appears in breaches
+     * @param {string} password - Password to look up
+     * @returns {Promise<number>} Number of appearances; 0 if none
+     * @throws {Error} If the backend fails and failOpen is false
+     */
+    count: async (password) => {
+      const hash = await sha1Hex(password);
+      try {
+        const range = await backend.range(hash.slice(0, 5));
+        return range.get(hash.slice(5)) || 0;
+      } catch (error) {
+        if (!failOpen) {
+          throw error;
+        }
+        console.warn('Breached password check unavailable:', error.message);
+        return 0;
+      }
+    },
+  };
+}
+
+/**
+ * Create a password policy
+ * @param {Object} options - Policy options
+ * @param {number} options.minScore - Lowest accepted strength score (0-4)
+ * @param {Object} options.breachChecker - Checker (see createBreachChecker)
+ * @param {string[]} options.dictionary - Extra words to treat as guessable
+ *   (e.g. your product name), most common first
+ * @returns {Object} Password policy
+ */
+export function createPasswordPolicy({
+  minScore = 3,
+  breachChecker = createBreachChecker(),
+  dictionary = [],
+} = {}) {
+  /**
+   * Check strength and context, without the breach lookup
+   * @param {string} password - Password to check
+   * @param {Object} context - { username, email, name }
+   * @returns {{ valid: boolean, errors: string[], score: number, feedback: Object }} Result
+   */
+  const evaluate = (password, context = {}) => {
+    const errors = [];
+    const terms = contextTerms(context);
+    const lower = String(password).toLowerCase();
+    
+    if (terms.some(term => lower.includes(term))) {
+      errors.push('Password must not contain your username or email');
+    }
+    
+    const { score, feedback } = estimateStrength(password, { userInputs: terms, dictionary });
+    if (score < minScore) {
+      errors.push(['Password is too easy to guess.', feedback.warning].filter(Boolean).join(' '));
+    }
+    
+    return { valid: errors.length === 0, errors, score, feedback };
+  };
+  
+  // Zod refinements accept the password itself or an object holding it
+  const passwordOf = (data, passwordField) => (typeof data === 'string' ? data : data?.[passwordField]);
+  const pathOf = (data, passwordField) => (typeof data === 'string' ? [] : [passwordField]);
+  
+  return {
+    minScore,
+    evaluate,
+    
+    /**
+     * Check strength, context and breaches
+     * @param {string} password - Password to check
+     * @param {Object} context - { username, email, name }
+     * @returns {Promise<{ valid: boolean, errors: string[], score: number, feedback: Object, breachCount: number }>} Result
+     */
+    check: async (password, context = {}) => {
+      const result = evaluate(password, context);
+      const breachCount = await breachChecker.count(password);
+      if (breachCount > 0) {
+        result.errors.push('This password has appeared in a data breach. Please choose another.');
+      }
+      return { ...result, valid: result.errors.length === 0, breachCount };
+    },
+    
+    /**
+     * Zod superRefine for strength and context (synchronous)
+     * @param {Object} options - Refinement options
+     * @param {string} options.passwordField - Password field, when refining an object
+     * @param {string[]} options.contextFields - Fields the password must not contain
+     * @returns {function} (data, ctx) => void
+     */
+    refinement: ({ passwordField = 'password', contextFields = ['username', 'email', 'name'] } = {}) => (data, ctx) => {
+      const password = passwordOf(data, passwordField);
+      if (typeof password !== 'string' || !password) {
+        return;
+      }
+      
+      const context = {};
+      if (typeof data === 'object') {
+        contextFields.forEach((field) => {
+          context[field] = data[field];
+        });
+      }
+      
+      for (const message of evaluate(password, context).errors) {
+        ctx.addIssue({ code: 'custom', message, path: pathOf(data, passwordField) });
+      }
+    },
+    
+    /**
+     * Zod superRefine for the breach lookup (asynchronous: use parseAsync
+     * or validateInputAsync)
+     * @param {Object} options - Refinement options
+     * @param {string} options.passwordField - Password field, when refining an object
+     * @returns {function} async (data, ctx) => void
+     */
+    breachRefinement: ({ passwordField = 'password' } = {}) => async (data, ctx) => {
+      const password = passwordOf(data, passwordField);
+      if (typeof password !== 'string' || !password) {
+        return;
+      }
+      
+      if (await breachChecker.count(password) > 0) {
+        ctx.addIssue({
+          code: 'custom',
+          message: 'This password has appeared in a data breach. Please choose another.',
+          path: pathOf(data, passwordField),
+        });
+      }
+    },
+  };
+}
+
+// Default policy: score 3 or better, checked against Have I Been Pwned
+export const passwordPolicy = createPasswordPolicy();
+
+// Example usage:
+
+/*
+import { z } from 'zod';
+import { createBreachChecker, createOfflineBreachBackend, createPasswordPolicy, estimateStrength } from '@/utils/password-policy';
+
+estimateStrength('Password1!').score; // 1
+estimateStrength('correct-horse-battery-staple').score; // 4
+
+// Tests: an offline breach list instead of the network
+const policy = createPasswordPolicy({
+  breachChecker: createBreachChecker({
+    backend: createOfflineBreachBackend(['Tr0ub4dor&3']),
+  }),
+});
+
+const signUpSchema = z.object({
+  username: z.string(),
+  email: z.string().email(),
+  password: z.string(),
+})
+  .superRefine(policy.refinement())
+  .superRefine(policy.breachRefinement());
+
+await signUpSchema.parseAsync({ username: 'alice', email: 'alice@example.com', password: 'alice2024!' });
+// ZodError: Password must not contain your username or email
+*/
@@ -3,73 +3,228 @@
  * 
  * This module provides rate limiting functionality to protect
  * API routes from abuse, brute force attacks, and DoS.
+ * 
+ * Every limiter has the same check(limit, token) API; the algorithm
+ * decides how "limit requests per interval" is enforced:
+ * - fixed-window: a counter per window, starting at the token's first
+ *   request. Cheapest, but allows up to twice the limit across a window edge.
+ * - sliding-window-log: a timestamp per request in the last interval.
+ *   Exact, but stores up to `limit` timestamps per token.
+ * - sliding-window-counter: this window's count plus the previous window's,
+ *   weighted by how much of it still overlaps the last interval. Close to
+ *   exact with two counters per token.
+ * - token-bucket: `limit` tokens, refilled continuously over the interval.
+ *   Allows bursts up to the limit, then a steady rate.
+ * - gcra: Generic Cell Rate Algorithm. Same behaviour as the token bucket,
+ *   with a single timestamp per token.
+ * 
+ * State is kept per token with the timestamps it depends on, so reading or
+ * updating it never extends a window. Pass `now` to control the clock in tests.
  */
 
 import { LRUCache } from 'lru-cache';
 
+// Round down, ignoring floating point noise (e.g. 8.9999999 tokens is 9)
+const whole = (value) => Math.max(0, Math.floor(value + 1e-9));
+
+/**
+ * Rate limiting algorithms
+ * Each takes the token's stored state (undefined at first), the limit, the
+ * interval and current time in milliseconds, and the number of requests to
+ * take (0 to inspect without consuming). It returns whether they were
+ * allowed, the new state, the requests remaining, and the milliseconds
+ * until the quota is fully restored (`reset`) and until a rejected request
+ * would be allowed (`retryAfter`).
+ */
+const algorithms = {
+  'fixed-window': (state, limit, interval, now, cost) => {
+    const current = state && now < state.start + interval ? state : { start: now, count: 0 };
+    const allowed = current.count + cost <= limit;
+    const next = allowed ? { start: current.start, count: current.count + cost } : current;
+    const windowEnd = current.start + interval - now;
+    
+    return {
+      allowed,
+      state: next,
+      remaining: whole(limit - next.count),
+      reset: next.count > 0 ? windowEnd : 0,
+      retryAfter: allowed ? 0 : windowEnd,
+    };
+  },
+  
+  'sliding-window-log': (state, limit, interval, now, cost) => {
+    const log = (state?.log || []).filter(timestamp => now - timestamp < interval);
+    const allowed = log.length + cost <= limit;
+    const next = allowed ? [...log, ...Array(cost).fill(now)] : log;
+    
+    // Rejected: wait until enough of the oldest requests leave the window
+    const expiring = log[log.length + cost - limit - 1];
+    
+    return {
+      allowed,
+      state: { log: next },
+      remaining: whole(limit - next.length),
+      reset: next.length > 0 ? next[next.length - 1] + interval - now : 0,
+      retryAfter: allowed ? 0 : expiring + interval - now,
+    };
+  },
+  
+  'sliding-window-counter': (state, limit, interval, now, cost) => {
+    const start = Math.floor(now / interval) * interval;
+    let previous = 0;
+    let count = 0;
+    if (state?.start === start) {
+      ({ previous, count } = state);
+    } else if (state?.start === start - interval) {
+      previous = state.count;
+    }
+    
+    // Share of the previous window still inside the last interval
+    const elapsed = now - start;
+    const weight = (interval - elapsed) / interval;
+    const allowed = previous * weight + count + cost <= limit;
+    const nextCount = allowed ? count + cost : count;
+    
+    // Rejected: wait until the previous window's weight has decayed enough,
+    // or, if this window alone is over the limit, into the next window
+    let retryAfter = 0;
+    if (!allowed) {
+      const room = limit - cost - count;
+      retryAfter = room >= 0
+        ? start + interval - (room * interval) / previous - now
+        : start + interval + Math.max(0, interval - ((limit - cost) * interval) / count) - now;
+    }
+    
+    let reset = 0;
+    if (nextCount > 0) {
+      reset = start + 2 * interval - now;
+    } else if (previous > 0) {
+      reset = start + interval - now;
+    }
+    
+    return {
+      allowed,
+      state: { start, previous, count: nextCount },
+      remaining: whole(limit - previous * weight - nextCount),
+      reset,
+      retryAfter,
+    };
+  },
+  
+  'token-bucket': (state, limit, interval, now, cost) => {
+    const refill = limit / interval; // tokens per millisecond
+    const tokens = state
+      ? Math.min(limit, state.tokens + (now - state.updatedAt) * refill)
+      : limit;
+    const allowed = tokens + 1e-9 >= cost;
+    const next = allowed ? Math.max(0, tokens - cost) : tokens;
+    
+    return {
+      allowed,
+      state: { tokens: next, updatedAt: now },
+      remaining: whole(next),
+      reset: (limit - next) / refill,
+      retryAfter: allowed ? 0 : (cost - tokens) / refill,
+    };
+  },
+  
+  gcra: (state, limit, interval, now, cost) => {
+    // Each request pushes the theoretical arrival time (TAT) one emission
+    // interval further; requests are allowed while it is within `interval` of now
+    const emission = interval / limit;
+    const tat = Math.max(state?.tat ?? now, now);
+    const nextTat = tat + cost * emission;
+    const allowAt = nextTat - interval;
+    const allowed = now >= allowAt - 1e-9;
+    const next = allowed ? nextTat : tat;
+    
+    return {
+      allowed,
+      state: { tat: next },
+      remaining: whole((interval - (next - now)) / emission),
+      reset: next - now,
+      retryAfter: allowed ? 0 : allowAt - now,
+    };
+  },
+};
+
+// Names accepted by the `algorithm` option
+export const RATE_LIMIT_ALGORITHMS = Object.keys(algorithms);
+
 /**
  * Create a rate limiter with the specified configuration
  * @param {Object} options - Rate limiter options
  * @param {number} options.interval - Time window in milliseconds
  * @param {number} options.maxRequests - Maximum requests allowed in the time window
  * @param {number} options.uniqueTokenPerInterval - Maximum number of unique tokens to track
+ * @param {string} options.algorithm - One of RATE_LIMIT_ALGORITHMS, case-insensitive (default 'fixed-window')
+ * @param {function} options.now - Clock returning milliseconds
  * @returns {Object} Rate limiter instance
+ * @throws {Error} If the algorithm is unknown
  */
 export function rateLimit(options = {}) {
   const {
     interval = 60 * 1000, // 1 minute in milliseconds
     maxRequests = 10,      // Maximum 10 requests per minute
     uniqueTokenPerInterval = 500, // Maximum 500 unique tokens (users)
+    algorithm = 'fixed-window',
+    now = Date.now,
   } = options;
   
-  // Create LRU cache to store rate limiting data
+  const step = algorithms[String(algorithm).toLowerCase()];
+  if (!step) {
+    throw new Error(`Unknown rate limit algorithm "${algorithm}"; use one of: ${RATE_LIMIT_ALGORITHMS.join(', ')}`);
+  }
+  
+  // LRU cache of per-token state. The state carries its own timestamps;
+  // the TTL only evicts tokens idle long enough that no algorithm needs them.
   const tokenCache = new LRUCache({
     max: uniqueTokenPerInterval,
-    ttl: interval,
+    ttl: 2 * interval,
   });
   
+  const toSeconds = (milliseconds) => Math.ceil(Math.max(0, milliseconds) / 1000);
+  
+  /**
+   * Check if a token has exceeded the rate limit
+   * @param {number} limit - Custom limit for this check (optional)
+   * @param {string} token - Unique identifier (e.g., IP, API key, user ID)
+   * @returns {Promise<Object>} Result with success, limit, remaining, and reset
+   *   (seconds until the full limit is available again)
+   * @throws {Error} If rate limit is exceeded; error.rateLimit also has
+   *   retryAfter (seconds until a request would be allowed)
+   */
+  const check = async (limit, token) => {
+    const maxRequestsForToken = limit || maxRequests;
+    const result = step(tokenCache.get(token), maxRequestsForToken, interval, now(), 1);
+    
+    if (result.allowed) {
+      tokenCache.set(token, result.state);
+    }
+    
+    // Rate limit information
+    const rateLimitInfo = {
+      limit: maxRequestsForToken,
+      remaining: result.remaining,
+      reset: toSeconds(result.reset),
+    };
+    
+    // Check if rate limit exceeded
+    if (!result.allowed) {
+      const error = new Error('Rate limit exceeded');
+      error.status = 429;
+      error.rateLimit = { ...rateLimitInfo, retryAfter: toSeconds(result.retryAfter) };
+      throw error;
+    }
+    
+    return {
+      success: true,
+      ...rateLimitInfo,
+    };
+  };
+  
   return {
-    /**
-     * Check if a token has exceeded the rate limit
-     * @param {number} limit - Custom limit for this check (optional)
-     * @param {string} token - Unique identifier (e.g., IP, API key, user ID)
-     * @returns {Promise<Object>} Result with success, limit, remaining, and reset information
-     * @throws {Error} If rate limit is exceeded
-     */
-    check: async (limit, token) => {
-      const maxRequestsForToken = limit || maxRequests;
-      
-      // Get current count from cache
-      const tokenCount = (tokenCache.get(token) || 0) + 1;
-      
-      // Calculate time to reset
-      const currentTime = Date.now();
-      const ttl = tokenCache.getTtl(token) || (currentTime + interval);
-      const reset = Math.ceil((ttl - currentTime) / 1000); // in seconds
-      
-      // Store updated count
-      tokenCache.set(token, tokenCount);
-      
-      // Rate limit information
-      const rateLimitInfo = {
-        limit: maxRequestsForToken,
-        remaining: Math.max(0, maxRequestsForToken - tokenCount),
-        reset,
-      };
-      
-      // Check if rate limit exceeded
-      if (tokenCount > maxRequestsForToken) {
-        const error = new Error('Rate limit exceeded');
-        error.status = 429;
-        error.rateLimit = rateLimitInfo;
-        throw error;
-      }
-      
-      return {
-        success: true,
-        ...rateLimitInfo,
-      };
-    },
+    check,
     
     /**
      * Create a middleware function for Next.js API routes
@@ -94,7 +249,7 @@ export function rateLimit(options = {}) {
           );
           
           // Check rate limit
-          const result = await this.check(limit, token);
+          const result = await check(limit, token);
           
           // Set rate limit headers if enabled
           if (headers) {
@@ -115,14 +270,14 @@ export function rateLimit(options = {}) {
               res.setHeader('X-RateLimit-Limit', error.rateLimit.limit);
               res.setHeader('X-RateLimit-Remaining', 0);
               res.setHeader('X-RateLimit-Reset', error.rateLimit.reset);
-              res.setHeader('Retry-After', error.rateLimit.reset);
+              res.setHeader('Retry-After', error.rateLimit.retryAfter);
             }
             
             // Send 429 Too Many Requests response
             res.status(429).json({
               error: 'Too Many Requests',
               message: 'Rate limit exceeded. Please try again later.',
-              retryAfter: error.rateLimit?.reset || 60,
+              retryAfter: error.rateLimit?.retryAfter || 60,
             });
           } else {
             // Handle other errors
@@ -158,7 +313,7 @@ export function rateLimit(options = {}) {
           );
           
           // Check rate limit
-          const result = await this.check(limit, token);
+          const result = await check(limit, token);
           
           // Set rate limit headers if enabled
           if (headers) {
@@ -177,14 +332,14 @@ export function rateLimit(options = {}) {
               res.setHeader('X-RateLimit-Limit', error.rateLimit.limit);
               res.setHeader('X-RateLimit-Remaining', 0);
               res.setHeader('X-RateLimit-Reset', error.rateLimit.reset);
-              res.setHeader('Retry-After', error.rateLimit.reset);
+              res.setHeader('Retry-After', error.rateLimit.retryAfter);
             }
             
             // Send 429 Too Many Requests response
             return res.status(429).json({
               error: 'Too Many Requests',
               message: 'Rate limit exceeded. Please try again later.',
-              retryAfter: error.rateLimit?.reset || 60,
+              retryAfter: error.rateLimit?.retryAfter || 60,
             });
           }
           
@@ -205,16 +360,14 @@ export function rateLimit(options = {}) {
      * @returns {Object} Rate limit information
      */
     getStatus: (token, limit = maxRequests) => {
-      const tokenCount = tokenCache.get(token) || 0;
-      const currentTime = Date.now();
-      const ttl = tokenCache.getTtl(token) || (currentTime + interval);
-      const reset = Math.ceil((ttl - currentTime) / 1000); // in seconds
+      // Inspect without taking a request
+      const result = step(tokenCache.get(token), limit, interval, now(), 0);
       
       return {
         limit,
-        remaining: Math.max(0, limit - tokenCount),
-        reset,
-        exceeded: tokenCount >= limit,
+        remaining: result.remaining,
+        reset: toSeconds(result.reset),
+        exceeded: result.remaining < 1,
       };
     },
     
@@ -243,9 +396,11 @@ export const globalLimiter = rateLimit({
   maxRequests: 60,      // 60 requests per minute (reasonable for general API)
 });
 
+// Exact sliding window, so login attempts can't double up across a window edge
 export const authLimiter = rateLimit({
   interval: 60 * 1000, // 1 minute
   maxRequests: 5,       // 5 login attempts per minute
+  algorithm: 'sliding-window-log',
 });
 
 export const sensitiveApiLimiter = rateLimit({
@@ -256,6 +411,21 @@ export const sensitiveApiLimiter = rateLimit({
 // Example usage:
 
 /*
+// Choosing an algorithm: bursts of up to 20, refilled at 20 per minute
+const burstyLimiter = rateLimit({
+  interval: 60 * 1000,
+  maxRequests: 20,
+  algorithm: 'token-bucket',
+});
+
+// In tests, drive the clock instead of waiting
+let time = 0;
+const testLimiter = rateLimit({ algorithm: 'gcra', maxRequests: 2, now: () => time });
+await testLimiter.check(2, 'client'); // remaining: 1
+await testLimiter.check(2, 'client'); // remaining: 0
+time += 30 * 1000;                    // one request's worth of the minute
+await testLimiter.check(2, 'client'); // allowed again
+
 // In app/api/login/route.js
 import { authLimiter } from '@/utils/rate-limit';
 
@@ -280,12 +450,12 @@ export async function POST(request) {
         { 
           error: 'Too many login attempts', 
           message: 'Please try again later',
-          retryAfter: error.rateLimit?.reset || 60 
+          retryAfter: error.rateLimit?.retryAfter || 60 
         },
         { 
           status: 429,
           headers: {
-            'Retry-After': error.rateLimit?.reset || 60,
+            'Retry-After': error.rateLimit?.retryAfter || 60,
           }
         }
       );
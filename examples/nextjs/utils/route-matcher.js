@@ -0,0 +1,368 @@
+/**
+ * Route pattern matching for access rules
+ *
+ * Compiles route patterns once and picks the most specific rule for a
+ * request. The pattern syntax follows Next.js `config.matcher`
+ * (path-to-regexp) with two glob shorthands:
+ *
+ *   /api/users          exact path (a trailing slash is ignored)
+ *   /org/:orgId/settings named parameter, one segment
+ *   /docs/:path*        zero or more segments (:path+ for one or more)
+ *   /files/:name?       optional segment
+ *   /img/:id(\d+)       parameter with a custom pattern
+ *   /admin/*            exactly one segment
+ *   /admin/**           the path itself and everything below it
+ *
+ * Matching is segment-aware, so `/admin/**` covers `/admin/users` but
+ * not `/administrator`.
+ *
+ * This module has no dependencies, so it runs in the Edge runtime.
+ */
+
+// Segment ranks used for precedence (higher is more specific)
+const RANK_STATIC = 4;
+const RANK_PARAM = 3;
+const RANK_GLOB = 2;
+const RANK_VARIADIC = 1;
+// Rank of a segment a pattern doesn't have: below a fixed segment,
+// above a variadic one, so `/api/users` beats `/api/users/**` on `/api/users`
+const RANK_END = 1.5;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Read a parenthesised group starting at `start`, honouring nesting and escapes
+ * @returns {{ body: string, end: number }} Group contents and the index after ')'
+ */
+const readGroup = (pattern, start) => {
+  let depth = 0;
+  
+  for (let i = start; i < pattern.length; i++) {
+    if (pattern[i] === '\\') {
+      i++;
+    } else if (pattern[i] === '(') {
+      depth++;
+    } else if (pattern[i] === ')' && --depth === 0) {
+      return { body: pattern.slice(start + 1, i), end: i + 1 };
+    }
+  }
+  
+  throw new Error(`Unbalanced parentheses in route pattern "${pattern}"`);
+};
+
+/**
+ * Split a pattern into slash, static, param and glob tokens
+ * @param {string} pattern - Route pattern
+ * @returns {Array<Object>} Tokens
+ */
+const tokenize = (pattern) => {
+  const tokens = [];
+  let unnamed = 0;
+  let i = 0;
+  
+  while (i < pattern.length) {
+    const char = pattern[i];
+    
+    if (char === '/') {
+      tokens.push({ type: 'slash' });
+      i++;
+    } else if (char === '*') {
+      const multi = pattern[i + 1] === '*';
+      tokens.push({ type: 'glob', multi });
+      i += multi ? 2 : 1;
+    } else if (char === ':' || char === '(') {
+      let name = unnamed;
+      
+      if (char === ':') {
+        const [match] = pattern.slice(i + 1).match(/^\w+/) || [];
+        if (!match) {
+          throw new Error(`Missing parameter name in route pattern "${pattern}"`);
+        }
+        name = match;
+        i += 1 + match.length;
+      } else {
+        unnamed++;
+      }
+      
+      let custom = null;
+      if (pattern[i] === '(') {
+        const group = readGroup(pattern, i);
+        custom = group.body;
+        i = group.end;
+      }
+      
+      const modifier = /^[*+?]/.test(pattern[i] || '') ? pattern[i++] : '';
+      tokens.push({ type: 'param', name, custom, modifier });
+    } else {
+      const [literal] = pattern.slice(i).match(/^[^/:(*]+/);
+      tokens.push({ type: 'static', value: literal });
+      i += literal.length;
+    }
+  }
+  
+  return tokens;
+};
+
+/**
+ * Rank a pattern's segments for precedence
+ * @param {Array<Object>} tokens - Pattern tokens
+ * @returns {number[]} One rank per segment
+ */
+const rankSegments = (tokens) => {
+  const segments = [];
+  
+  tokens.forEach(token => {
+    if (token.type === 'slash') {
+      segments.push(RANK_STATIC);
+      return;
+    }
+    
+    let rank = RANK_STATIC;
+    if (token.type === 'glob') {
+      rank = token.multi ? RANK_VARIADIC : RANK_GLOB;
+    } else if (token.type === 'param') {
+      rank = ['*', '+'].includes(token.modifier) ? RANK_VARIADIC : token.custom ? RANK_GLOB : RANK_PARAM;
+    }
+    
+    // A segment is only as specific as its least specific part
+    const last = segments.length - 1;
+    if (last < 0) {
+      segments.push(rank);
+    } else {
+      segments[last] = Math.min(segments[last], rank);
+    }
+  });
+  
+  return segments;
+};
+
+/**
+ * Compile a route pattern
+ * @param {string} pattern - Route pattern, e.g. '/org/:orgId/settings/**'
+ * @returns {Object} Compiled route with match(pathname)
+ * @throws {Error} If the pattern is malformed
+ */
+export function compileRoute(pattern) {
+  if (typeof pattern !== 'string' || !pattern.startsWith('/')) {
+    throw new Error(`Route pattern must start with "/": ${pattern}`);
+  }
+  
+  const normalized = pattern.length > 1 ? pattern.replace(/\/+$/, '') : pattern;
+  const tokens = tokenize(normalized);
+  const keys = [];
+  let source = '';
+  
+  tokens.forEach((token, index) => {
+    const next = tokens[index + 1];
+    
+    if (token.type === 'slash') {
+      // A slash before an optional or variadic part is optional with it
+      const optionalNext = (next?.type === 'param' && ['*', '?'].includes(next.modifier))
+        || (next?.type === 'glob' && next.multi && index + 2 === tokens.length);
+      if (!optionalNext) {
+        source += '/';
+      }
+    } else if (token.type === 'static') {
+      source += escapeRegex(token.value);
+    } else if (token.type === 'glob') {
+      const prev = tokens[index - 1];
+      if (token.multi && prev?.type === 'slash' && !next) {
+        source += '(?:/.*)?';
+      } else {
+        source += token.multi ? '.*' : '[^/]+';
+      }
+    } else {
+      keys.push(token.name);
+      const segment = token.custom || '[^/]+';
+      const prefix = tokens[index - 1]?.type === 'slash' && ['*', '?'].includes(token.modifier) ? '/' : '';
+      
+      if (token.modifier === '*' || token.modifier === '+') {
+        const repeated = `(${segment}(?:/${segment})*)`;
+        source += token.modifier === '*' ? `(?:${prefix}${repeated})?` : repeated;
+      } else if (token.modifier === '?') {
+        source += `(?:${prefix}(${segment}))?`;
+      } else {
+        source += `(${segment})`;
+      }
+    }
+  });
+  
+  const regex = new RegExp(`^${source || '/'}/?$`, 'i');
+  
+  return {
+    pattern,
+    regex,
+    keys,
+    tokens,
+    specificity: rankSegments(tokens),
+    
+    /**
+     * Match a pathname against this route
+     * @param {string} pathname - Request path
+     * @returns {Object|null} Captured params, or null if it doesn't match
+     */
+    match: (pathname) => {
+      const result = regex.exec(pathname);
+      if (!result) {
+        return null;
+      }
+      
+      return Object.fromEntries(
+        keys.map((key, i) => [key, result[i + 1] === undefined ? undefined : decodeURIComponent(result[i + 1])])
+      );
+    },
+  };
+}
+
+/**
+ * Compare two compiled routes by specificity
+ * @returns {number} Negative if `a` is more specific, positive if `b` is
+ */
+export function compareSpecificity(a, b) {
+  const length = Math.max(a.specificity.length, b.specificity.length);
+  
+  for (let i = 0; i < length; i++) {
+    const rankA = a.specificity[i] ?? RANK_END;
+    const rankB = b.specificity[i] ?? RANK_END;
+    if (rankA !== rankB) {
+      return rankB - rankA;
+    }
+  }
+  
+  return 0;
+}
+
+/**
+ * Create a matcher for a list of route rules
+ * @param {Array<Object>} rules - Rules with `path`, optional `methods` (HTTP
+ *   methods the rule is limited to) and `public` (explicitly unprotected).
+ *   Any other fields are passed through on the matched rule.
+ * @returns {Object} Matcher with match(pathname, method)
+ * @throws {Error} If a rule's pattern is malformed
+ */
+export function createRouteMatcher(rules) {
+  const compiled = rules.map((rule, order) => {
+    if (rule.methods && !Array.isArray(rule.methods)) {
+      throw new Error(`Route rule "${rule.path}": methods must be an array of HTTP methods`);
+    }
+    
+    return {
+      rule,
+      order,
+      route: compileRoute(rule.path),
+      methods: rule.methods?.map(method => method.toUpperCase()),
+    };
+  });
+  
+  // Most specific first; method-limited rules before unlimited ones at the
+  // same specificity; otherwise declaration order
+  const ordered = [...compiled].sort((a, b) => (
+    compareSpecificity(a.route, b.route)
+    || Boolean(b.methods) - Boolean(a.methods)
+    || a.order - b.order
+  ));
+  
+  return {
+    rules: compiled.map(({ rule }) => rule),
+    
+    /**
+     * Find the most specific rule for a request
+     * @param {string} pathname - Request path
+     * @param {string} method - HTTP method
+     * @returns {{ rule: Object, params: Object }|null} Matching rule and its params
+     */
+    match: (pathname, method = 'GET') => {
+      const verb = method.toUpperCase();
+      
+      for (const { rule, route, methods } of ordered) {
+        if (methods && !methods.includes(verb)) {
+          continue;
+        }
+        const params = route.match(pathname);
+        if (params) {
+          return { rule, params };
+        }
+      }
+      
+      return null;
+    },
+  };
+}
+
+/**
+ * Build sample paths a rule covers, for checking it against other patterns
+ * Rules with custom parameter patterns can't be sampled and are skipped.
+ * @param {Object} route - Compiled route
+ * @returns {string[]} Sample paths
+ */
+const samplePaths = (route) => {
+  if (route.tokens.some(token => token.type === 'param' && token.custom)) {
+    return [];
+  }
+  
+  const build = (deep) => route.tokens.map(token => {
+    if (token.type === 'slash') {
+      return '/';
+    }
+    if (token.type === 'static') {
+      return token.value;
+    }
+    return deep || !(token.multi || ['*', '?'].includes(token.modifier)) ? 'sample' : '';
+  }).join('').replace(/\/+$/, '') || '/';
+  
+  return [...new Set([build(false), build(true)])];
+};
+
+/**
+ * Find protected routes that the middleware's `config.matcher` does not cover
+ * Middleware only runs on paths its matcher selects, so a protected route
+ * outside the matcher is silently unenforced.
+ * @param {Array<string|Object>} matcher - Next.js middleware config.matcher
+ * @param {Array<Object>} rules - Route rules
+ * @returns {string[]} Warnings, empty if everything is covered
+ */
+export function findMatcherMismatches(matcher, rules) {
+  const sources = [].concat(matcher).map(entry => compileRoute(typeof entry === 'string' ? entry : entry.source));
+  
+  return rules
+    .filter(rule => !rule.public)
+    .flatMap(rule => {
+      const uncovered = samplePaths(compileRoute(rule.path))
+        .filter(path => !sources.some(source => source.regex.test(path)));
+      
+      return uncovered.length > 0
+        ? [`Protected route "${rule.path}" is not covered by the middleware config.matcher (e.g. "${uncovered[0]}"), so it is not enforced`]
+        : [];
+    });
+}
+
+/**
+ * Log a warning for each protected route the middleware matcher misses
+ * @param {Array<string|Object>} matcher - Next.js middleware config.matcher
+ * @param {Array<Object>} rules - Route rules
+ * @param {Object} logger - Logger with a warn() method
+ * @returns {string[]} The warnings that were logged
+ */
+export function warnOnMatcherMismatch(matcher, rules, logger = console) {
+  const warnings = findMatcherMismatches(matcher, rules);
+  warnings.forEach(warning => logger.warn(`[route-matcher] ${warning}`));
+  return warnings;
+}
+
+// Example usage:
+
+/*
+import { createRouteMatcher } from '@/utils/route-matcher';
+
+const routes = createRouteMatcher([
+  { path: '/org/:orgId/settings/**', permissions: ['org:manage'] },
+  { path: '/api/**', permissions: [] },
+  { path: '/api/health', methods: ['GET'], public: true },
+]);
+
+routes.match('/org/acme/settings/billing', 'GET');
+// { rule: { path: '/org/:orgId/settings/**', ... }, params: { orgId: 'acme' } }
+
+routes.match('/api/health', 'POST');
+// { rule: { path: '/api/**', ... }, params: {} }
+*/
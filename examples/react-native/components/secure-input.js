@@ -21,6 +21,8 @@ import {
 } from 'react-native';
 import { z } from 'zod';
 import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+// The server's policy (re-exported from examples/nextjs/utils/password-policy.js)
+import { passwordPolicy } from '../utils/password-policy';
 
 /**
  * Secure input component with validation and security features
@@ -261,12 +263,15 @@ export const Validators = {
   // Email validator
   email: z.string().email('Please enter a valid email address'),
   
-  // Password validator (min 8 chars, 1 uppercase, 1 lowercase, 1 number)
+  // Password validator (min 8 chars, 1 uppercase, 1 lowercase, 1 number,
+  // and hard to guess). The breached-password check is asynchronous, so it
+  // runs on the server when the password is submitted.
   password: z.string()
     .min(8, 'Password must be at least 8 characters')
     .regex(/[A-Z]/, 'Password must contain at least one uppercase letter')
     .regex(/[a-z]/, 'Password must contain at least one lowercase letter')
-    .regex(/[0-9]/, 'Password must contain at least one number'),
+    .regex(/[0-9]/, 'Password must contain at least one number')
+    .superRefine(passwordPolicy.refinement()),
   
   // Phone number validator (simple format)
   phone: z.string().regex(/^\+?[0-9]{10,15}$/, 'Please enter a valid phone number'),
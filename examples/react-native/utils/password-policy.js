@@ -0,0 +1,37 @@
+/**
+ * Password policy
+ *
+ * Re-exports the server's policy (examples/nextjs/utils/password-policy.js)
+ * rather than copying it, so the app and the server always agree on what a
+ * valid password is. Only the synchronous checks are exported: the breach
+ * lookup needs crypto.subtle, which React Native doesn't provide by
+ * default, and runs on the server anyway.
+ *
+ * The module lives outside this project, so Metro must be told to watch
+ * it (see the metro.config.js example below). In your own apps, publish
+ * the policy as a package that both the app and the server depend on.
+ */
+
+export { contextTerms, estimateStrength, passwordPolicy } from '../../nextjs/utils/password-policy';
+
+// Example metro.config.js:
+
+/*
+const path = require('path');
+const { getDefaultConfig, mergeConfig } = require('@react-native/metro-config');
+
+module.exports = mergeConfig(getDefaultConfig(__dirname), {
+  // Let the app import the shared password policy from the Next.js example
+  watchFolders: [path.resolve(__dirname, '../nextjs/utils')],
+});
+*/
+
+// Example usage:
+
+/*
+import { estimateStrength, passwordPolicy } from '../utils/password-policy';
+
+estimateStrength('correct horse battery staple').score; // 4
+
+const schema = z.string().superRefine(passwordPolicy.refinement());
+*/